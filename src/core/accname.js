@@ -0,0 +1,800 @@
+/**
+ * A11y Live - Accessible Name Computation
+ *
+ * Computes accessible names and descriptions following the W3C Accessible
+ * Name and Description Computation 1.2 (accname), with the HTML-AAM rules
+ * for native labels (<label>, alt, <legend>, <caption>, ...). Also resolves
+ * ARIA roles, which the computation depends on. The rule engine, its
+ * locators and the panel all use this implementation.
+ *
+ * https://www.w3.org/TR/accname-1.2/
+ */
+
+// Concrete WAI-ARIA 1.2 roles; a role attribute takes the first of its
+// tokens that is one of these (the rest are fallbacks)
+const ARIA_CONCRETE_ROLES = [
+  "alert",
+  "alertdialog",
+  "application",
+  "article",
+  "banner",
+  "blockquote",
+  "button",
+  "caption",
+  "cell",
+  "checkbox",
+  "code",
+  "columnheader",
+  "combobox",
+  "complementary",
+  "contentinfo",
+  "definition",
+  "deletion",
+  "dialog",
+  "directory",
+  "document",
+  "emphasis",
+  "feed",
+  "figure",
+  "form",
+  "generic",
+  "grid",
+  "gridcell",
+  "group",
+  "heading",
+  "img",
+  "insertion",
+  "link",
+  "list",
+  "listbox",
+  "listitem",
+  "log",
+  "main",
+  "marquee",
+  "math",
+  "menu",
+  "menubar",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "meter",
+  "navigation",
+  "none",
+  "note",
+  "option",
+  "paragraph",
+  "presentation",
+  "progressbar",
+  "radio",
+  "radiogroup",
+  "region",
+  "row",
+  "rowgroup",
+  "rowheader",
+  "scrollbar",
+  "search",
+  "searchbox",
+  "separator",
+  "slider",
+  "spinbutton",
+  "status",
+  "strong",
+  "subscript",
+  "superscript",
+  "switch",
+  "tab",
+  "table",
+  "tablist",
+  "tabpanel",
+  "term",
+  "textbox",
+  "time",
+  "timer",
+  "toolbar",
+  "tooltip",
+  "tree",
+  "treegrid",
+  "treeitem",
+];
+
+// Role prefixes of the ARIA modules (DPUB, Graphics), valid in a role
+// attribute but not modelled by the rule engine
+const ARIA_MODULE_ROLE_PREFIXES = ["doc-", "graphics-"];
+
+// Roles implied by HTML elements
+const IMPLICIT_ROLES = {
+  a: (el) => (el.hasAttribute("href") ? "link" : null),
+  area: (el) => (el.hasAttribute("href") ? "link" : null),
+  article: () => "article",
+  aside: () => "complementary",
+  button: () => "button",
+  datalist: () => "listbox",
+  dd: () => "definition",
+  details: () => "group",
+  dialog: () => "dialog",
+  dt: () => "term",
+  fieldset: () => "group",
+  figure: () => "figure",
+  footer: (el) =>
+    AccessibleName._isInSectioningContent(el) ? null : "contentinfo",
+  form: () => "form",
+  h1: () => "heading",
+  h2: () => "heading",
+  h3: () => "heading",
+  h4: () => "heading",
+  h5: () => "heading",
+  h6: () => "heading",
+  header: (el) => (AccessibleName._isInSectioningContent(el) ? null : "banner"),
+  hr: () => "separator",
+  img: (el) => (el.getAttribute("alt") === "" ? "presentation" : "img"),
+  input: (el) =>
+    ({
+      button: "button",
+      checkbox: "checkbox",
+      image: "button",
+      radio: "radio",
+      range: "slider",
+      reset: "button",
+      search: "searchbox",
+      submit: "button",
+    })[(el.getAttribute("type") || "").toLowerCase()] || "textbox",
+  li: () => "listitem",
+  main: () => "main",
+  menu: () => "list",
+  meter: () => "meter",
+  nav: () => "navigation",
+  ol: () => "list",
+  optgroup: () => "group",
+  option: () => "option",
+  output: () => "status",
+  progress: () => "progressbar",
+  search: () => "search",
+  section: () => "region",
+  select: () => "combobox",
+  table: () => "table",
+  tbody: () => "rowgroup",
+  td: (el) => (AccessibleName._isInGrid(el) ? "gridcell" : "cell"),
+  textarea: () => "textbox",
+  tfoot: () => "rowgroup",
+  th: (el) =>
+    el.getAttribute("scope") === "row" ||
+    el.getAttribute("scope") === "rowgroup"
+      ? "rowheader"
+      : "columnheader",
+  thead: () => "rowgroup",
+  tr: () => "row",
+  ul: () => "list",
+};
+
+// Roles whose name can come from their text content
+const NAME_FROM_CONTENT_ROLES = [
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "row",
+  "rowheader",
+  "switch",
+  "tab",
+  "tooltip",
+  "treeitem",
+];
+
+// Controls that contribute their value when embedded in another element's
+// label (step 2C)
+const RANGE_ROLES = [
+  "slider",
+  "spinbutton",
+  "progressbar",
+  "meter",
+  "scrollbar",
+];
+
+// Input types that have no text value of their own
+const NON_TEXT_INPUT_TYPES = [
+  "button",
+  "checkbox",
+  "color",
+  "file",
+  "hidden",
+  "image",
+  "radio",
+  "range",
+  "reset",
+  "submit",
+];
+
+// Elements rendered inline when there is no layout engine to ask; any
+// other element is separated from its neighbours by a space
+const INLINE_ELEMENTS = [
+  "a",
+  "abbr",
+  "b",
+  "bdi",
+  "bdo",
+  "cite",
+  "code",
+  "data",
+  "dfn",
+  "em",
+  "i",
+  "img",
+  "kbd",
+  "label",
+  "mark",
+  "q",
+  "s",
+  "samp",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "time",
+  "u",
+  "var",
+];
+
+// Elements whose content is never rendered
+const UNRENDERED_ELEMENTS = ["script", "style", "template", "noscript"];
+
+class AccessibleName {
+  /**
+   * Compute an element's accessible name. The element's own visibility is
+   * ignored, so hidden elements get the name they would have when shown.
+   * @param {Element} element - DOM element
+   * @returns {string} Accessible name, whitespace-collapsed
+   */
+  static computeName(element) {
+    return AccessibleName.compute(element).name;
+  }
+
+  /**
+   * Compute an element's accessible name and where it came from
+   * @param {Element} element - DOM element
+   * @returns {{name: string, source: string}} source is "aria-labelledby",
+   *   "aria-label", "label", "alt", "value", "native" (legend, caption,
+   *   figcaption, SVG title...), "contents", "title", "placeholder", or ""
+   *   when there is no name
+   */
+  static compute(element) {
+    const state = { root: element, source: "", visiting: new Set() };
+    const name = AccessibleName._flatten(
+      AccessibleName._computeText(element, state, { isRoot: true })
+    );
+    return { name, source: name ? state.source : "" };
+  }
+
+  /**
+   * Compute an element's accessible description: aria-describedby,
+   * aria-description, then title when it is not already the name
+   * @param {Element} element - DOM element
+   * @returns {string} Accessible description, whitespace-collapsed
+   */
+  static computeDescription(element) {
+    const state = { root: element, source: "", visiting: new Set() };
+    const described = AccessibleName._getReferences(element, "aria-describedby")
+      .map((ref) => AccessibleName._computeReferenced(ref, state))
+      .join(" ");
+
+    const description =
+      AccessibleName._flatten(described) ||
+      AccessibleName._flatten(element.getAttribute("aria-description") || "");
+    if (description) {
+      return description;
+    }
+
+    return AccessibleName.compute(element).source === "title"
+      ? ""
+      : AccessibleName._flatten(element.getAttribute("title") || "");
+  }
+
+  /**
+   * Get an element's ARIA role: the first role attribute token that is a
+   * concrete or module role, else its implicit role
+   * @param {Element} element - DOM element
+   * @returns {string|null} Resolved role
+   */
+  static getRole(element) {
+    return (
+      AccessibleName.getExplicitRole(element) ||
+      AccessibleName.getImplicitRole(element)
+    );
+  }
+
+  /**
+   * Get the role an element takes from its role attribute
+   * @param {Element} element - DOM element
+   * @returns {string|null} First valid role token, or null if none is
+   */
+  static getExplicitRole(element) {
+    return (
+      AccessibleName.getRoleTokens(element).find(
+        (token) =>
+          ARIA_CONCRETE_ROLES.includes(token) ||
+          AccessibleName.isModuleRole(token)
+      ) || null
+    );
+  }
+
+  /**
+   * Get the whitespace-separated tokens of an element's role attribute
+   * @param {Element} element - DOM element
+   * @returns {string[]} Role tokens, empty without a role attribute
+   */
+  static getRoleTokens(element) {
+    return (element.getAttribute("role") || "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a role comes from an ARIA module (DPUB, Graphics)
+   * @param {string|null} role - Role name
+   * @returns {boolean} True for module roles
+   */
+  static isModuleRole(role) {
+    return (
+      !!role &&
+      ARIA_MODULE_ROLE_PREFIXES.some((prefix) => role.startsWith(prefix))
+    );
+  }
+
+  /**
+   * Get the role an element has without a role attribute (HTML-AAM)
+   * @param {Element} element - DOM element
+   * @returns {string|null} Implicit role
+   */
+  static getImplicitRole(element) {
+    const implicit = IMPLICIT_ROLES[element.tagName.toLowerCase()];
+    const role = implicit ? implicit(element) : null;
+    // Sections and forms are only landmarks when they are named
+    if (
+      (role === "region" || role === "form") &&
+      !element.hasAttribute("aria-label") &&
+      !element.hasAttribute("aria-labelledby")
+    ) {
+      return null;
+    }
+    return role;
+  }
+
+  /**
+   * Check whether a node is hidden from assistive technology by itself:
+   * aria-hidden="true", display: none, visibility: hidden, or content that
+   * is never rendered. Ancestors are not checked.
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if hidden
+   */
+  static isHidden(element) {
+    if (
+      element.getAttribute("aria-hidden") === "true" ||
+      UNRENDERED_ELEMENTS.includes(element.tagName.toLowerCase())
+    ) {
+      return true;
+    }
+
+    const style = AccessibleName._getStyle(element);
+    if (style) {
+      return (
+        style.display === "none" ||
+        style.visibility === "hidden" ||
+        style.visibility === "collapse"
+      );
+    }
+    return element.hasAttribute("hidden");
+  }
+
+  /**
+   * Get an element's children in the flat tree: its open shadow root's
+   * content instead of its light DOM children, and the nodes assigned to
+   * a slot
+   * @param {Element} element - DOM element
+   * @returns {Array<Node>} Child nodes
+   */
+  static getChildNodes(element) {
+    if (element.shadowRoot) {
+      return Array.from(element.shadowRoot.childNodes);
+    }
+    if (element.tagName.toLowerCase() === "slot") {
+      const assigned = element.assignedNodes({ flatten: true });
+      if (assigned.length > 0) {
+        return assigned;
+      }
+    }
+    return Array.from(element.childNodes);
+  }
+
+  /**
+   * Compute the text alternative of a node (accname step 2)
+   * @param {Node} node - Current node
+   * @param {Object} state - { root, source, visiting }, shared by the whole
+   *   computation; visiting holds the elements being computed
+   * @param {Object} context - { isRoot, isReferenced, inLabelledBy,
+   *   includeHidden }; isReferenced marks nodes reached through a
+   *   relation (aria-labelledby, <label>) rather than as descendants
+   * @returns {string} Text alternative, not yet flattened
+   */
+  static _computeText(node, state, context) {
+    if (node.nodeType === 3) {
+      return node.data; // Step 2G: text node
+    }
+    if (node.nodeType !== 1) {
+      return "";
+    }
+
+    // An element met again inside its own computation adds nothing, or a
+    // label and the control in it would name each other forever. The root
+    // may still be referenced from its own aria-labelledby.
+    const selfReference = context.isReferenced && node === state.root;
+    if (state.visiting.has(node) && !selfReference) {
+      return "";
+    }
+    const entered = !state.visiting.has(node);
+    state.visiting.add(node);
+    try {
+      return AccessibleName._computeElementText(node, state, context);
+    } finally {
+      if (entered) {
+        state.visiting.delete(node);
+      }
+    }
+  }
+
+  /**
+   * Steps 2A to 2I of _computeText() for an element
+   */
+  static _computeElementText(element, state, context) {
+    const { isRoot = false, isReferenced = false } = context;
+    const setSource = (source, text) => {
+      if (isRoot) {
+        state.source = source;
+      }
+      return text;
+    };
+
+    // A label containing the control being named doesn't repeat it
+    if (!isRoot && !isReferenced && element === state.root) {
+      return "";
+    }
+
+    // Step 2A: hidden nodes, unless the relation pointed at hidden content
+    if (!isRoot && !context.includeHidden && AccessibleName.isHidden(element)) {
+      return "";
+    }
+
+    // Step 2B: aria-labelledby, not followed twice
+    if (!context.inLabelledBy) {
+      const refs = AccessibleName._getReferences(element, "aria-labelledby");
+      const text = refs
+        .map((ref) => AccessibleName._computeReferenced(ref, state))
+        .join(" ");
+      if (text.trim()) {
+        return setSource("aria-labelledby", text);
+      }
+    }
+
+    // Step 2C: controls embedded in another element's label give their value
+    if (!isRoot) {
+      const value = AccessibleName._getEmbeddedValue(element);
+      if (value !== null) {
+        return value;
+      }
+    }
+
+    // Step 2D: aria-label
+    const ariaLabel = element.getAttribute("aria-label");
+    if (ariaLabel && ariaLabel.trim()) {
+      return setSource("aria-label", ariaLabel);
+    }
+
+    // alt="" marks an image as decorative: no name, not even the title.
+    // Its implicit role is presentation, so step 2E would skip the alt.
+    if (
+      element.tagName.toLowerCase() === "img" &&
+      element.getAttribute("alt") === ""
+    ) {
+      return "";
+    }
+
+    // Step 2E: host language label
+    const role = AccessibleName.getRole(element);
+    if (role !== "presentation" && role !== "none") {
+      const native = AccessibleName._getNativeText(element, state);
+      if (native) {
+        return setSource(native.source, native.text);
+      }
+    }
+
+    // Step 2F: name from content, always followed below the root
+    if (!isRoot || NAME_FROM_CONTENT_ROLES.includes(role)) {
+      const text = AccessibleName._getContentText(element, state, context);
+      if (text.trim()) {
+        return setSource("contents", text);
+      }
+    }
+
+    // Step 2I: tooltip
+    const title = element.getAttribute("title");
+    if (title && title.trim()) {
+      return setSource("title", title);
+    }
+
+    // Text fields fall back to their placeholder after the title
+    if (isRoot && AccessibleName._isTextField(element)) {
+      const placeholder =
+        element.getAttribute("placeholder") ||
+        element.getAttribute("aria-placeholder");
+      if (placeholder && placeholder.trim()) {
+        return setSource("placeholder", placeholder);
+      }
+    }
+
+    return "";
+  }
+
+  /**
+   * Text of a node referenced by aria-labelledby or aria-describedby.
+   * Hidden referenced nodes still count, including their hidden content.
+   */
+  static _computeReferenced(ref, state) {
+    return AccessibleName._computeText(ref, state, {
+      isReferenced: true,
+      inLabelledBy: true,
+      includeHidden: AccessibleName.isHidden(ref),
+    });
+  }
+
+  /**
+   * Text from HTML's own labelling mechanisms (HTML-AAM)
+   * @returns {{text: string, source: string}|null} null when the element
+   *   has none
+   */
+  static _getNativeText(element, state) {
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute("type") || "").toLowerCase();
+
+    if (tag === "input" && ["button", "submit", "reset"].includes(type)) {
+      const value = element.getAttribute("value");
+      if (value !== null && value.trim()) {
+        return { text: value, source: "value" };
+      }
+      const defaults = { submit: "Submit", reset: "Reset" };
+      return defaults[type] ? { text: defaults[type], source: "value" } : null;
+    }
+
+    if (tag === "input" && type === "image") {
+      const alt = element.getAttribute("alt");
+      if (alt && alt.trim()) {
+        return { text: alt, source: "alt" };
+      }
+      const title = element.getAttribute("title");
+      if (title && title.trim()) {
+        return { text: title, source: "title" };
+      }
+      return {
+        text: element.getAttribute("value") || "Submit Query",
+        source: "value",
+      };
+    }
+
+    if (element.labels && element.labels.length > 0) {
+      const text = Array.from(element.labels)
+        .map((label) =>
+          AccessibleName._computeText(label, state, {
+            isReferenced: true,
+            includeHidden: AccessibleName.isHidden(label),
+          })
+        )
+        .join(" ");
+      if (text.trim()) {
+        return { text, source: "label" };
+      }
+    }
+
+    if (tag === "img" || tag === "area") {
+      const alt = element.getAttribute("alt");
+      // An empty alt on an <area> ends the computation too
+      return alt === null ? null : { text: alt, source: "alt" };
+    }
+
+    const captionChild = {
+      fieldset: "legend",
+      figure: "figcaption",
+      table: "caption",
+      svg: "title",
+    }[tag];
+    if (captionChild) {
+      const caption = Array.from(element.children).find(
+        (child) => child.tagName.toLowerCase() === captionChild
+      );
+      const text = caption
+        ? AccessibleName._computeText(caption, state, { isReferenced: true })
+        : "";
+      if (text.trim()) {
+        return { text, source: "native" };
+      }
+    }
+
+    if (tag === "optgroup" && element.getAttribute("label")) {
+      return { text: element.getAttribute("label"), source: "native" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Value of a form control met while naming another element, or null if
+   * the element is not such a control
+   */
+  static _getEmbeddedValue(element) {
+    const role = AccessibleName.getRole(element);
+    const tag = element.tagName.toLowerCase();
+
+    if (role === "textbox" || role === "searchbox") {
+      if (tag === "input" || tag === "textarea") {
+        return element.value || "";
+      }
+      return element.textContent;
+    }
+
+    if (role === "combobox" || role === "listbox") {
+      if (tag === "select") {
+        return Array.from(element.selectedOptions || [])
+          .map((option) => option.textContent)
+          .join(" ");
+      }
+      if (tag === "input") {
+        return element.value || "";
+      }
+      return Array.from(element.querySelectorAll('[aria-selected="true"]'))
+        .map((option) => option.textContent)
+        .join(" ");
+    }
+
+    if (RANGE_ROLES.includes(role)) {
+      return (
+        element.getAttribute("aria-valuetext") ||
+        element.getAttribute("aria-valuenow") ||
+        element.value ||
+        ""
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Text of an element's content, including CSS generated content and the
+   * children of its open shadow root or assigned slot nodes
+   */
+  static _getContentText(element, state, context) {
+    const childContext = {
+      inLabelledBy: context.inLabelledBy,
+      includeHidden: context.includeHidden,
+    };
+    const parts = [AccessibleName._getPseudoContent(element, "::before")];
+
+    AccessibleName.getChildNodes(element).forEach((child) => {
+      const text = AccessibleName._computeText(child, state, childContext);
+      parts.push(
+        child.nodeType === 1 && !AccessibleName._isInline(child)
+          ? ` ${text} `
+          : text
+      );
+    });
+
+    parts.push(AccessibleName._getPseudoContent(element, "::after"));
+    return parts.join("");
+  }
+
+  /**
+   * Whether a table cell belongs to a table with a grid or treegrid role
+   */
+  static _isInGrid(cell) {
+    const table = cell.closest("table");
+    return !!table && /^(grid|treegrid)\b/.test(AccessibleName.getRole(table));
+  }
+
+  /**
+   * Whether a header or footer is scoped to sectioning content, which
+   * makes it generic instead of the page's banner or contentinfo
+   */
+  static _isInSectioningContent(element) {
+    return !!element.parentElement?.closest(
+      "article, aside, main, nav, section, [role~=article], " +
+        "[role~=complementary], [role~=main], [role~=navigation], " +
+        "[role~=region]"
+    );
+  }
+
+  /**
+   * Quoted strings from a pseudo-element's CSS content. jsdom doesn't
+   * compute pseudo-element styles, so there is none there.
+   */
+  static _getPseudoContent(element, pseudo) {
+    const view = element.ownerDocument.defaultView;
+    if (view && /jsdom/i.test(view.navigator.userAgent)) {
+      return "";
+    }
+    const style = AccessibleName._getStyle(element, pseudo);
+    const content = style ? style.content : "";
+    if (!content || content === "none" || content === "normal") {
+      return "";
+    }
+    const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g);
+    return strings
+      ? strings.map((str) => str.slice(1, -1).replace(/\\(.)/g, "$1")).join("")
+      : "";
+  }
+
+  static _isInline(element) {
+    const style = AccessibleName._getStyle(element);
+    if (style && style.display) {
+      return style.display.startsWith("inline");
+    }
+    return INLINE_ELEMENTS.includes(element.tagName.toLowerCase());
+  }
+
+  static _isTextField(element) {
+    const tag = element.tagName.toLowerCase();
+    return (
+      tag === "textarea" ||
+      (tag === "input" &&
+        !NON_TEXT_INPUT_TYPES.includes(
+          (element.getAttribute("type") || "").toLowerCase()
+        ))
+    );
+  }
+
+  /**
+   * Resolve an IDREF list attribute within the element's tree
+   */
+  static _getReferences(element, attribute) {
+    const ids = (element.getAttribute(attribute) || "").trim();
+    if (!ids) {
+      return [];
+    }
+    const root = element.getRootNode();
+    const scope =
+      typeof root.getElementById === "function" ? root : element.ownerDocument;
+    return ids
+      .split(/\s+/)
+      .map((id) => scope.getElementById(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Computed style from the element's own window, or null without one
+   */
+  static _getStyle(element, pseudo) {
+    const view = element.ownerDocument && element.ownerDocument.defaultView;
+    if (!view || typeof view.getComputedStyle !== "function") {
+      return null;
+    }
+    try {
+      return view.getComputedStyle(element, pseudo);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static _flatten(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AccessibleName;
+} else if (typeof window !== "undefined") {
+  window.AccessibleName = AccessibleName;
+}
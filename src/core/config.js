@@ -0,0 +1,299 @@
+/**
+ * A11y Live - Configuration Module
+ *
+ * Validates project configuration (.a11yliverc / a11y-live.config.js) and
+ * applies it to a RuleEngine and Reporter. The browser engine, the headless
+ * API and the CLI all go through A11yConfig.apply(), so a config behaves
+ * the same everywhere.
+ *
+ * {
+ *   rules: { "rule-id": "off" | "on" | "error" | "warning" | "info" |
+ *            { enabled, severity, options } },
+ *   tags: { "tag": "off" | "on" },
+ *   include: ["main"],
+ *   exclude: [".third-party-widget"],
+ *   thresholds: { failOn, maxErrors, maxWarnings, maxInfo }
+ * }
+ */
+
+// Allowed top-level keys and their types
+const CONFIG_SCHEMA = {
+  rules: "object",
+  tags: "object",
+  include: "array",
+  exclude: "array",
+  thresholds: "object",
+};
+
+const CONFIG_SEVERITIES = ["error", "warning", "info"];
+const CONFIG_TOGGLES = ["on", "off"];
+const RULE_SETTING_KEYS = ["enabled", "severity", "options"];
+const THRESHOLD_KEYS = ["failOn", "maxErrors", "maxWarnings", "maxInfo"];
+
+/**
+ * Error raised when a config does not match the schema
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {Array<string>} problems - Human-readable validation failures
+   * @param {string} [source] - Where the config came from (file or URL)
+   */
+  constructor(problems, source) {
+    super(
+      `Invalid A11y Live config${source ? ` (${source})` : ""}: ${problems.join(
+        "; "
+      )}`
+    );
+    this.name = "ConfigValidationError";
+    this.problems = problems;
+    this.source = source || null;
+  }
+}
+
+class A11yConfig {
+  /**
+   * Validate a config. With a rule engine, rule IDs, tags and rule option
+   * names are checked against the registered rules too.
+   * @param {Object} config - Config object
+   * @param {Object} [context]
+   * @param {RuleEngine} [context.ruleEngine] - Rule engine to check against
+   * @param {string} [context.source] - Config file or URL, for messages
+   * @param {Document} [context.doc] - Document to check selectors with -
+   *   Default: the global document, if any
+   * @throws {ConfigValidationError} Listing every problem found
+   */
+  static validate(config, { ruleEngine = null, source, doc } = {}) {
+    const problems = [];
+
+    if (!A11yConfig._isPlainObject(config)) {
+      throw new ConfigValidationError(["config must be an object"], source);
+    }
+
+    Object.keys(config).forEach((key) => {
+      if (!(key in CONFIG_SCHEMA)) {
+        problems.push(`unknown key "${key}"`);
+      }
+    });
+
+    Object.entries(CONFIG_SCHEMA).forEach(([key, type]) => {
+      if (config[key] === undefined) {
+        return;
+      }
+      const valid =
+        type === "array"
+          ? Array.isArray(config[key])
+          : A11yConfig._isPlainObject(config[key]);
+      if (!valid) {
+        problems.push(`"${key}" must be an ${type}`);
+      }
+    });
+
+    if (A11yConfig._isPlainObject(config.rules)) {
+      Object.entries(config.rules).forEach(([ruleId, setting]) =>
+        A11yConfig._validateRuleSetting(ruleId, setting, ruleEngine, problems)
+      );
+    }
+
+    if (A11yConfig._isPlainObject(config.tags)) {
+      const knownTags = ruleEngine
+        ? new Set(ruleEngine.getAllRules().flatMap((rule) => rule.tags || []))
+        : null;
+      Object.entries(config.tags).forEach(([tag, toggle]) => {
+        if (!CONFIG_TOGGLES.includes(toggle)) {
+          problems.push(`tags.${tag} must be "on" or "off"`);
+        }
+        if (knownTags && !knownTags.has(tag)) {
+          problems.push(`tags.${tag}: no rule has this tag`);
+        }
+      });
+    }
+
+    ["include", "exclude"].forEach((key) => {
+      if (!Array.isArray(config[key])) {
+        return;
+      }
+      config[key].forEach((selector) => {
+        if (typeof selector !== "string") {
+          problems.push(`"${key}" must only contain selector strings`);
+        } else if (!A11yConfig._isValidSelector(selector, doc)) {
+          problems.push(`${key}: "${selector}" is not a valid CSS selector`);
+        }
+      });
+    });
+
+    if (A11yConfig._isPlainObject(config.thresholds)) {
+      A11yConfig._validateThresholds(config.thresholds, problems);
+    }
+
+    if (problems.length > 0) {
+      throw new ConfigValidationError(problems, source);
+    }
+  }
+
+  /**
+   * Convert a validated config into the form RuleEngine.configure() takes
+   * @param {Object} config - Validated config
+   * @returns {Object} { rules, tags, include, exclude, thresholds }
+   */
+  static normalize(config) {
+    const rules = {};
+    Object.entries(config.rules || {}).forEach(([ruleId, setting]) => {
+      if (typeof setting === "string") {
+        rules[ruleId] = CONFIG_TOGGLES.includes(setting)
+          ? { enabled: setting === "on" }
+          : { enabled: true, severity: setting };
+      } else {
+        rules[ruleId] = { ...setting };
+      }
+    });
+
+    const tags = {};
+    Object.entries(config.tags || {}).forEach(([tag, toggle]) => {
+      tags[tag] = toggle === "on";
+    });
+
+    return {
+      rules,
+      tags,
+      include: config.include || [],
+      exclude: config.exclude || [],
+      thresholds: config.thresholds || null,
+    };
+  }
+
+  /**
+   * Validate a config and apply it
+   * @param {Object} config - Config object
+   * @param {Object} components
+   * @param {RuleEngine} components.ruleEngine - Receives rule settings and
+   *   include/exclude selectors
+   * @param {Reporter} [components.reporter] - Receives the thresholds
+   * @param {Document} [components.doc] - Document to check selectors with
+   * @param {string} [source] - Config file or URL, for messages
+   * @returns {Object} The normalized config
+   * @throws {ConfigValidationError} If the config is invalid
+   */
+  static apply(config, { ruleEngine, reporter = null, doc }, source) {
+    A11yConfig.validate(config, { ruleEngine, source, doc });
+    const normalized = A11yConfig.normalize(config);
+
+    ruleEngine.configure(normalized);
+    if (reporter && normalized.thresholds) {
+      reporter.setThresholds(normalized.thresholds);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check one entry of config.rules
+   */
+  static _validateRuleSetting(ruleId, setting, ruleEngine, problems) {
+    const rule = ruleEngine ? ruleEngine.getRule(ruleId) : null;
+    if (ruleEngine && !rule) {
+      problems.push(`rules.${ruleId}: unknown rule`);
+    }
+
+    if (typeof setting === "string") {
+      if (
+        !CONFIG_TOGGLES.includes(setting) &&
+        !CONFIG_SEVERITIES.includes(setting)
+      ) {
+        problems.push(
+          `rules.${ruleId} must be one of ${[
+            ...CONFIG_TOGGLES,
+            ...CONFIG_SEVERITIES,
+          ].join(", ")} or an object`
+        );
+      }
+      return;
+    }
+
+    if (!A11yConfig._isPlainObject(setting)) {
+      problems.push(`rules.${ruleId} must be a string or an object`);
+      return;
+    }
+
+    Object.keys(setting).forEach((key) => {
+      if (!RULE_SETTING_KEYS.includes(key)) {
+        problems.push(`rules.${ruleId}: unknown key "${key}"`);
+      }
+    });
+    if (setting.enabled !== undefined && typeof setting.enabled !== "boolean") {
+      problems.push(`rules.${ruleId}.enabled must be a boolean`);
+    }
+    if (
+      setting.severity !== undefined &&
+      !CONFIG_SEVERITIES.includes(setting.severity)
+    ) {
+      problems.push(
+        `rules.${ruleId}.severity must be one of ${CONFIG_SEVERITIES.join(
+          ", "
+        )}`
+      );
+    }
+    if (setting.options !== undefined) {
+      if (!A11yConfig._isPlainObject(setting.options)) {
+        problems.push(`rules.${ruleId}.options must be an object`);
+      } else if (rule) {
+        // Options are limited to the ones the rule declares defaults for
+        const known = Object.keys(rule.options || {});
+        Object.keys(setting.options)
+          .filter((key) => !known.includes(key))
+          .forEach((key) =>
+            problems.push(`rules.${ruleId}.options: unknown option "${key}"`)
+          );
+      }
+    }
+  }
+
+  /**
+   * Check config.thresholds
+   */
+  static _validateThresholds(thresholds, problems) {
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (!THRESHOLD_KEYS.includes(key)) {
+        problems.push(`thresholds: unknown key "${key}"`);
+      } else if (key === "failOn") {
+        if (!CONFIG_SEVERITIES.includes(value) && value !== "none") {
+          problems.push(
+            `thresholds.failOn must be one of ${CONFIG_SEVERITIES.join(
+              ", "
+            )}, none`
+          );
+        }
+      } else if (!Number.isInteger(value) || value < 0) {
+        problems.push(`thresholds.${key} must be a non-negative integer`);
+      }
+    });
+  }
+
+  /**
+   * Check a selector where a DOM is available (always valid otherwise)
+   */
+  static _isValidSelector(selector, doc) {
+    doc = doc || (typeof document !== "undefined" ? document : null);
+    if (!doc) {
+      return true;
+    }
+    try {
+      doc.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static _isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+}
+
+A11yConfig.ConfigValidationError = ConfigValidationError;
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = A11yConfig;
+} else if (typeof window !== "undefined") {
+  window.A11yConfig = A11yConfig;
+}
@@ -24,19 +24,115 @@ async function loadScript(src) {
   });
 }
 
-// Ensure dependencies are loaded before defining the engine
-async function loadDependencies() {
-  // Core scripts (must come first)
-  await loadScript("./src/core/rules.js");
-  await loadScript("./src/core/reporter.js");
-
-  // UI scripts (only if UI enabled)
-  await loadScript("./src/ui/overlay.js");
-  await loadScript("./src/ui/panel.js");
-  await loadScript("./src/ui/tutorial.js");
-  await loadScript("./src/ui/ui-Manager.js");
+// Scripts that make up the global-script build, in load order. Paths are
+// relative to the asset base URL (options.baseUrl).
+const CORE_COMPONENTS = [
+  { name: "AccessibleName", path: "src/core/accname.js" },
+  { name: "AccessibilityTree", path: "src/core/tree.js" },
+  { name: "RuleEngine", path: "src/core/rules.js" },
+  { name: "Reporter", path: "src/core/reporter.js" },
+  { name: "A11yConfig", path: "src/core/config.js" },
+];
+
+const UI_COMPONENTS = [
+  { name: "Overlay", path: "src/ui/overlay.js" },
+  { name: "Panel", path: "src/ui/panel.js" },
+  { name: "Tutorial", path: "src/ui/tutorial.js" },
+  { name: "UIManager", path: "src/ui/ui-Manager.js" },
+];
+
+// Default base URL: two levels above this script (src/core/engine.js), so the
+// sibling files resolve no matter which page includes the engine.
+const DEFAULT_BASE_URL =
+  typeof document !== "undefined" && document.currentScript?.src
+    ? new URL("../../", document.currentScript.src).href
+    : "./";
+
+/**
+ * Error raised when a component script cannot be loaded
+ */
+class DependencyLoadError extends Error {
+  /**
+   * @param {Object} component - Component descriptor ({ name, path, url })
+   * @param {Error} [cause] - Underlying failure
+   */
+  constructor(component, cause) {
+    super(
+      `Failed to load A11y Live component "${component.name}" from ${component.url}` +
+        (cause?.message ? `: ${cause.message}` : "")
+    );
+    this.name = "DependencyLoadError";
+    this.component = component.name;
+    this.url = component.url;
+    this.cause = cause;
+  }
 }
 
+// Events emitted by A11yEngine, both to instance listeners registered with
+// on()/once() and as "a11y-live-<name>" CustomEvents on window
+const ENGINE_EVENTS = [
+  "started", // { target, rulesEnabled, mode }
+  "stopped", // { stats }
+  "analysis-start", // { elementCount }
+  "analysis-progress", // { processed, total, duration }
+  "analysis-cancelled", // { processed, total, duration }
+  "analysis-complete", // { results, changes, elementCount, duration }
+  "results", // { results }
+  "error", // { error, phase }
+  "rule-failed", // { error, ruleId, element }
+  "issue-added", // { issue }
+  "issue-changed", // { issue, previous }
+  "issue-resolved", // { issue }
+];
+
+// Allowed plugin properties (see A11yEngine#use)
+const PLUGIN_KEYS = [
+  "name",
+  "rules",
+  "educationalContent",
+  "fixGenerators",
+  "hooks",
+  "setup",
+];
+
+// Attribute changes that can alter the results of descendants (inherited
+// styles, hidden subtrees, context roles, language, inline suppressions)
+const INHERITED_ATTRIBUTES = [
+  "class",
+  "style",
+  "aria-hidden",
+  "role",
+  "lang",
+  "data-a11y-ignore",
+];
+
+// Comments that suppress rules for the elements after them
+const SUPPRESSION_COMMENT = /^\s*a11y-live-(disable|enable)\b/;
+
+// Added or removed elements that can alter results anywhere in the document:
+// stylesheets, and labels pointing at controls by ID
+const CACHE_RESET_SELECTOR = "style, link[rel~='stylesheet'], label[for]";
+
+// Marks the tool's own panel, overlay and tutorial, which are never analyzed
+const OWN_UI_SELECTOR = "[data-a11y-live-ui]";
+
+// Elements users interact with, analyzed first in large passes
+const INTERACTIVE_SELECTOR =
+  "a[href], button, input, select, textarea, summary, [tabindex], " +
+  "[contenteditable], [role=button], [role=link], [role=checkbox], " +
+  "[role=radio], [role=tab], [role=menuitem], [role=switch], [role=textbox]";
+
+// Passes with fewer uncached elements than this aren't reordered
+const PRIORITIZE_MIN_ELEMENTS = 200;
+
+// Longest wait for the viewport check before analyzing in document order
+const VISIBILITY_TIMEOUT_MS = 100;
+
+// Component classes registered by the module entry point (src/index.js),
+// shared by every engine. When present, engines use them instead of
+// injecting script tags.
+const componentRegistry = {};
+
 class A11yEngine {
   constructor(options = {}) {
     // Merge options with defaults
@@ -44,10 +140,20 @@ class A11yEngine {
       mode: "development",
       realtime: true,
       rules: [],
+      include: [],
+      exclude: [],
+      config: null,
+      baseline: null,
       target: null,
       debounceMs: 300,
+      throttleMs: 1000,
       maxElements: 500,
+      maxQueueSize: 5000,
+      chunkBudgetMs: 10,
       enableUI: true,
+      includeFrames: false,
+      baseUrl: DEFAULT_BASE_URL,
+      loader: null,
       ...options,
     };
 
@@ -56,8 +162,22 @@ class A11yEngine {
     this._analysisQueue = [];
     this._debounceTimer = null;
     this._isAnalyzing = false;
-    this._cache = new Map();
+    this._lastAnalysisTime = 0;
+    // Passes in progress, so cancelAnalysis() can stop them
+    this._activeScans = new Set();
+    // Per-element results, invalidated from mutation records
+    this._cache = new WeakMap();
     this._isStarted = false;
+    this._observerConfig = null;
+    this._observedShadowRoots = new WeakSet();
+    this._observedFrames = new WeakSet();
+    this._frameLoadHandlers = new Map();
+    this._listeners = new Map();
+    this._plugins = new Map();
+    // Registrations waiting for the rule engine and reporter to load
+    this._pendingExtensions = [];
+    // Component classes returned by this engine's loader
+    this._components = {};
 
     // Components are initialized after scripts are loaded
     this._ruleEngine = null;
@@ -70,23 +190,67 @@ class A11yEngine {
       totalAnalysisTime: 0,
       violationsFound: 0,
       elementsProcessed: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      cacheInvalidations: 0,
     };
+    // Rule execution cost, used to estimate the time saved by the cache
+    this._ruleCost = { time: 0, elements: 0 };
 
     // Bind methods to preserve context
     this._handleMutations = this._handleMutations.bind(this);
     this._processBatch = this._processBatch.bind(this);
   }
 
+  /**
+   * Register component classes so they don't have to be loaded at runtime
+   * @param {Object} components - Map of component name to class
+   */
+  static registerComponents(components = {}) {
+    Object.assign(componentRegistry, components);
+  }
+
   /**
    * Initialize engine dependencies and UI components
    */
   async _initializeDependenciesAndUI() {
-    await loadDependencies();
+    if (
+      !this._resolveComponent("RuleEngine") ||
+      !this._resolveComponent("Reporter") ||
+      !this._resolveComponent("A11yConfig") ||
+      (this.options.enableUI && !this._resolveComponent("UIManager"))
+    ) {
+      await this._loadDependencies();
+    }
+
+    const RuleEngineClass = this._resolveComponent("RuleEngine");
+    const ReporterClass = this._resolveComponent("Reporter");
+    const UIManagerClass = this._resolveComponent("UIManager");
+
+    this._ruleEngine = new RuleEngineClass();
+    this._ruleEngine.onRuleError = (error, rule, element) =>
+      this._emitEvent("rule-failed", { error, ruleId: rule.id, element });
+    this._reporter = new ReporterClass();
 
-    // Now that scripts are loaded, these classes exist globally
-    this._ruleEngine = new RuleEngine();
-    this._reporter = new Reporter();
-    this._uiManager = this.options.enableUI ? new UIManager(this) : null;
+    // Apply rules and plugins registered before the components existed
+    this.options.rules.forEach((rule) => this._ruleEngine.registerRule(rule));
+    this._pendingExtensions.splice(0).forEach((extension) => extension());
+
+    // Project config last, so it can refer to custom and plugin rules
+    if (this.options.config) {
+      await this._applyConfig(this.options.config);
+    }
+    this._applyScope();
+    if (this.options.baseline) {
+      this._reporter.setBaseline(
+        typeof this.options.baseline === "string"
+          ? await this._fetchJson(this.options.baseline, "baseline")
+          : this.options.baseline
+      );
+    }
+
+    this._uiManager =
+      this.options.enableUI && UIManagerClass ? new UIManagerClass(this) : null;
 
     if (this._uiManager) {
       await this._uiManager.initialize();
@@ -119,9 +283,11 @@ class A11yEngine {
       // Load dependencies dynamically
       if (!this._ruleEngine || !this._reporter) {
         await this._initializeDependenciesAndUI();
+      } else {
+        // Override options may change the scope
+        this._applyScope();
       }
 
-      this.options.target = this.options.target || document.body;
       this._setupMutationObserver();
 
       await this._analyzeCurrentPage();
@@ -136,6 +302,7 @@ class A11yEngine {
       console.log("🎯 A11y Live started successfully");
     } catch (error) {
       console.error("Failed to start A11y Live:", error);
+      this._emitEvent("error", { error, phase: "start" });
       throw error;
     }
   }
@@ -162,9 +329,18 @@ class A11yEngine {
         this._debounceTimer = null;
       }
       this._analysisQueue = [];
+      this.cancelAnalysis();
 
       // Clear caches
-      this._cache.clear();
+      this._cache = new WeakMap();
+      this._observedShadowRoots = new WeakSet();
+
+      // Stop following frame navigations
+      this._frameLoadHandlers.forEach((handler, frame) =>
+        frame.removeEventListener("load", handler)
+      );
+      this._frameLoadHandlers.clear();
+      this._observedFrames = new WeakSet();
 
       this._isStarted = false;
 
@@ -178,17 +354,32 @@ class A11yEngine {
   }
 
   /**
-   * Analyze specific elements for accessibility violations
+   * Analyze specific elements for accessibility violations.
+   *
+   * Document-scoped rules run once per document when the analyzed elements
+   * include its <body> or <html> (a full pass); otherwise only the rules
+   * listed in options.documentRules run.
+   *
+   * Elements are tested in chunks of options.chunkBudgetMs, yielding to the
+   * main thread in between. Large passes test visible and interactive
+   * elements first. A cancelled pass (cancelAnalysis() or options.signal)
+   * keeps the cached work but leaves the result set unchanged.
+   *
    * @param {Element|NodeList|Array<Element>} elements - Elements to analyze
-   * @returns {Promise<Array<AnalysisResult>>}
+   * @param {Object} options - Analysis options
+   * @param {Array<string>} options.documentRules - Document rules to re-run
+   * @param {AbortSignal} [options.signal] - Cancels the pass when aborted
+   * @returns {Promise<Array<AnalysisResult>>} Empty if cancelled
    */
-  async analyze(elements) {
+  async analyze(elements, options = {}) {
     // Load dependencies dynamically
     if (!this._ruleEngine || !this._reporter) {
       await this._initializeDependenciesAndUI();
     }
 
     const startTime = performance.now();
+    const scan = { cancelled: false, signal: options.signal || null };
+    this._activeScans.add(scan);
 
     try {
       // Handle different input types
@@ -199,36 +390,18 @@ class A11yEngine {
         return [];
       }
 
-      // Handle single Element
-      if (elements instanceof Element) {
-        elementsArray = [elements];
-        // Also analyze all children
-        const children = elements.querySelectorAll("*");
-        elementsArray.push(...Array.from(children));
+      // Handle single Element (nodeType check also accepts frame elements)
+      if (this._isElement(elements)) {
+        // Also analyze all children, including open shadow roots
+        elementsArray = this._collectElements(elements);
       }
-      // Handle NodeList or HTMLCollection
-      else if (
-        elements instanceof NodeList ||
-        elements instanceof HTMLCollection
-      ) {
-        elementsArray = Array.from(elements);
+      // Handle NodeList, HTMLCollection or Array
+      else if (Array.isArray(elements) || typeof elements.length === "number") {
         // For each element, also include its children
         const allElements = [];
-        elementsArray.forEach((el) => {
-          allElements.push(el);
-          const children = el.querySelectorAll("*");
-          allElements.push(...Array.from(children));
-        });
-        elementsArray = allElements;
-      }
-      // Handle Array
-      else if (Array.isArray(elements)) {
-        const allElements = [];
-        elements.forEach((el) => {
-          if (el instanceof Element) {
-            allElements.push(el);
-            const children = el.querySelectorAll("*");
-            allElements.push(...Array.from(children));
+        Array.from(elements).forEach((el) => {
+          if (this._isElement(el)) {
+            allElements.push(...this._collectElements(el));
           }
         });
         elementsArray = allElements;
@@ -254,111 +427,776 @@ class A11yEngine {
         return [];
       }
 
-      // Check cache for previously analyzed elements
+      // Exposure (hidden, aria-hidden, inert ancestors) is shared by the
+      // elements of a subtree, so compute it once per pass
+      this._ruleEngine.startExposureCache();
+
+      // Elements outside the target and include/exclude scope aren't
+      // tested, but still count for the document rule plan and for
+      // replacing earlier results
+      const scopedElements = validElements.filter((element) =>
+        this._ruleEngine.isInScope(element)
+      );
+
+      this._emitEvent("analysis-start", {
+        elementCount: scopedElements.length,
+      });
+
+      // Reuse results for elements unchanged since their last analysis. The
+      // cache is only trusted while the observer reports every change.
+      const useCache = this._isCacheActive();
+      if (useCache) {
+        this._flushPendingMutations();
+      }
+
+      const ruleVersion = this._ruleEngine.version;
       const uncachedElements = [];
       const cachedResults = [];
 
-      for (const element of validElements) {
-        const cacheKey = this._getCacheKey(element);
-        if (this._cache.has(cacheKey)) {
-          cachedResults.push(this._cache.get(cacheKey));
+      for (const element of scopedElements) {
+        const entry = useCache ? this._cache.get(element) : undefined;
+        if (entry && entry.ruleVersion === ruleVersion) {
+          cachedResults.push(...entry.results);
         } else {
           uncachedElements.push(element);
         }
       }
 
+      if (useCache) {
+        this._stats.cacheHits +=
+          scopedElements.length - uncachedElements.length;
+        this._stats.cacheMisses += uncachedElements.length;
+      }
+
       // Analyze uncached elements
-      let newResults = [];
-      if (uncachedElements.length > 0) {
-        newResults = await this._ruleEngine.executeRules(uncachedElements);
-
-        // Update cache with new results
-        newResults.forEach((result) => {
-          const cacheKey = this._getCacheKey(result.element);
-          this._cache.set(cacheKey, result);
-        });
+      const newResults = await this._executeInChunks(uncachedElements, scan, {
+        useCache,
+        ruleVersion,
+        startTime,
+      });
+      if (!newResults) {
+        return [];
       }
 
-      // Combine cached and new results
-      const allResults = [...cachedResults, ...newResults];
+      // Document rules depend on the whole document, so they aren't cached
+      const documentRulePlan = this._planDocumentRules(
+        validElements,
+        options.documentRules
+      );
+      const documentResults = await this._runDocumentRules(documentRulePlan);
+
+      // Combine cached and new results, dropping elements removed while the
+      // pass yielded
+      const allResults = [
+        ...cachedResults,
+        ...newResults,
+        ...documentResults,
+      ].filter((result) => this._isLive(result.element));
+
+      // Merge into the full result set, replacing what this pass re-checked
+      const analyzedElements = new Set(validElements);
+      const fullResults = this._reporter.mergeResults(allResults, (result) =>
+        this._isResultSuperseded(result, analyzedElements, documentRulePlan)
+      );
+      const changes = this._reporter.getLastChanges();
 
       // Update stats
       const analysisTime = performance.now() - startTime;
-      this._updateStats(validElements.length, analysisTime, allResults.length);
-
-      // Process results through reporter
-      const processedResults = this._reporter.processResults(allResults);
+      this._updateStats(
+        scopedElements.length,
+        analysisTime,
+        fullResults.length
+      );
+      this._reporter.setRuleProfile(this._ruleEngine.getRuleProfile());
+
+      this._emitIssueEvents(changes);
+      this._emitEvent("results", { results: fullResults });
+      this._emitEvent("analysis-complete", {
+        results: fullResults,
+        changes,
+        elementCount: scopedElements.length,
+        duration: analysisTime,
+      });
 
-      // Update UI only if there are results
-      if (this._uiManager && processedResults.length > 0) {
-        this._uiManager.updateResults(processedResults);
-        console.log(
-          `Found ${processedResults.length} issues in analyzed element(s)`
-        );
+      // Update UI only if there are results or something was fixed
+      if (
+        this._uiManager &&
+        (fullResults.length > 0 || changes.resolved.length > 0)
+      ) {
+        this._uiManager.updateResults(fullResults);
+        console.log(`Found ${fullResults.length} issues`);
       }
 
-      return processedResults;
+      // Return the issues of the analyzed elements only
+      const passRules = new Map();
+      allResults.forEach((result) => {
+        if (!passRules.has(result.element)) {
+          passRules.set(result.element, new Set());
+        }
+        passRules.get(result.element).add(result.ruleId);
+      });
+      return fullResults.filter((result) =>
+        passRules.get(result.element)?.has(result.ruleId)
+      );
     } catch (error) {
       console.error("Analysis failed:", error);
+      this._emitEvent("error", { error, phase: "analysis" });
       return [];
+    } finally {
+      this._activeScans.delete(scan);
+      if (this._activeScans.size === 0) {
+        this._ruleEngine?.clearExposureCache();
+      }
     }
   }
 
   /**
-   * Analyze current page content (replaces _performInitialAnalysis)
-   * This method specifically inspects document.body.querySelectorAll("*")
+   * Cancel every analysis pass in progress. Elements tested so far stay
+   * cached, so the next pass picks up where these stopped.
+   * @returns {number} Number of passes cancelled
    */
-  async _analyzeCurrentPage() {
-    try {
-      // Get all elements from document.body
-      const allElements = document.body.querySelectorAll("*");
-      const elementsArray = Array.from(allElements).slice(
-        0,
-        this.options.maxElements
-      );
+  cancelAnalysis() {
+    const count = this._activeScans.size;
+    this._activeScans.forEach((scan) => {
+      scan.cancelled = true;
+    });
+    return count;
+  }
+
+  /**
+   * Run element rules in time-budgeted chunks, yielding to the main thread
+   * between chunks and emitting analysis-progress after each
+   * @param {Array<Element>} elements - Uncached elements to test
+   * @param {Object} scan - Pass state from analyze()
+   * @param {Object} pass - { useCache, ruleVersion, startTime }
+   * @returns {Promise<Array<AnalysisResult>|null>} Results, or null if the
+   *   pass was cancelled
+   */
+  async _executeInChunks(elements, scan, { useCache, ruleVersion, startTime }) {
+    const results = [];
+    if (elements.length === 0) {
+      return results;
+    }
+
+    const ordered = await this._prioritizeElements(elements);
+    const budget = this.options.chunkBudgetMs;
+    let processed = 0;
 
-      console.log(
-        `🔍 Analyzing ${elementsArray.length} elements from current page`
+    while (processed < ordered.length) {
+      if (this._isScanCancelled(scan)) {
+        this._emitEvent("analysis-cancelled", {
+          processed,
+          total: ordered.length,
+          duration: performance.now() - startTime,
+        });
+        return null;
+      }
+
+      // Test one element at a time until the chunk's budget is spent
+      const chunkStart = performance.now();
+      const chunk = [];
+      const chunkResults = [];
+      do {
+        const element = ordered[processed++];
+        if (this._isLive(element)) {
+          chunk.push(element);
+          chunkResults.push(
+            ...(await this._ruleEngine.executeRules([element]))
+          );
+        }
+      } while (
+        processed < ordered.length &&
+        performance.now() - chunkStart < budget
       );
 
-      if (elementsArray.length > 0) {
-        // Pass document.body to analyze method to include body itself
-        const results = await this.analyze(document.body);
+      this._ruleCost.time += performance.now() - chunkStart;
+      this._ruleCost.elements += chunk.length;
+      results.push(...chunkResults);
+
+      // Cache every tested element, including those without issues, before
+      // yielding lets mutations invalidate them
+      if (useCache) {
+        const resultsByElement = new Map(chunk.map((element) => [element, []]));
+        chunkResults.forEach((result) =>
+          resultsByElement.get(result.element).push(result)
+        );
+        resultsByElement.forEach((elementResults, element) =>
+          this._cache.set(element, { results: elementResults, ruleVersion })
+        );
+      }
+
+      if (processed < ordered.length) {
+        this._emitEvent("analysis-progress", {
+          processed,
+          total: ordered.length,
+          duration: performance.now() - startTime,
+        });
+        await this._yieldToMain();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a pass was cancelled through cancelAnalysis() or its
+   * AbortSignal
+   */
+  _isScanCancelled(scan) {
+    return scan.cancelled || !!(scan.signal && scan.signal.aborted);
+  }
+
+  /**
+   * Order a large pass so visible interactive elements are tested first,
+   * then other visible elements, then off-screen interactive ones, then
+   * the rest. Small passes keep document order.
+   * @param {Array<Element>} elements - Elements to test
+   * @returns {Promise<Array<Element>>} Reordered elements
+   */
+  async _prioritizeElements(elements) {
+    if (elements.length < PRIORITIZE_MIN_ELEMENTS) {
+      return elements;
+    }
+
+    const visible = await this._getVisibleElements(elements);
+    const rank = (element) => {
+      let interactive = false;
+      try {
+        interactive = element.matches(INTERACTIVE_SELECTOR);
+      } catch (error) {
+        // Unknown element types (e.g. in XML frames)
+      }
+      return (visible.has(element) ? 0 : 2) + (interactive ? 0 : 1);
+    };
+
+    const ranked = elements.map((element, index) => ({
+      element,
+      index,
+      rank: rank(element),
+    }));
+    ranked.sort((a, b) => a.rank - b.rank || a.index - b.index);
+    return ranked.map(({ element }) => element);
+  }
 
-        // Ensure UI gets the results
-        if (this._uiManager && results.length > 0) {
-          this._uiManager.updateResults(results);
-          console.log(`📊 Found ${results.length} accessibility issues`);
-        } else if (results.length === 0) {
-          console.log("✅ No accessibility issues found on current page");
+  /**
+   * Find which elements intersect the viewport, using one
+   * IntersectionObserver pass. Resolves with what is known after
+   * VISIBILITY_TIMEOUT_MS, e.g. in background tabs that don't render.
+   * @param {Array<Element>} elements - Elements to check
+   * @returns {Promise<Set<Element>>} Elements in the viewport
+   */
+  _getVisibleElements(elements) {
+    const visible = new Set();
+    if (!this._checkBrowserSupport()) {
+      return Promise.resolve(visible);
+    }
+
+    return new Promise((resolve) => {
+      let pending = elements.length;
+      let timer = null;
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            visible.add(entry.target);
+          }
+        });
+        pending -= entries.length;
+        if (pending <= 0) {
+          finish();
         }
+      });
+      const finish = () => {
+        clearTimeout(timer);
+        observer.disconnect();
+        resolve(visible);
+      };
+
+      timer = setTimeout(finish, VISIBILITY_TIMEOUT_MS);
+      elements.forEach((element) => observer.observe(element));
+    });
+  }
 
-        return results;
+  /**
+   * Let the browser render and handle input between chunks, using
+   * scheduler.yield() or requestIdleCallback() where available
+   * @returns {Promise<void>}
+   */
+  _yieldToMain() {
+    if (typeof scheduler !== "undefined" && scheduler.yield) {
+      return scheduler.yield();
+    }
+    return new Promise((resolve) => {
+      if (typeof requestIdleCallback === "function") {
+        requestIdleCallback(() => resolve(), { timeout: 50 });
+      } else {
+        setTimeout(resolve, 0);
+      }
+    });
+  }
+
+  /**
+   * Analyze current page content (replaces _performInitialAnalysis)
+   * This method inspects the whole target, plus the bodies of same-origin
+   * frames inside it when includeFrames is enabled. Only elements in scope
+   * (see _applyScope) are tested.
+   */
+  async _analyzeCurrentPage() {
+    try {
+      const target = this.options.target || document.body;
+      const roots = [target];
+      if (this.options.includeFrames) {
+        roots.push(
+          ...this._getFrameDocuments(target.ownerDocument)
+            .filter((doc) =>
+              this._ruleEngine.isInScope(doc.defaultView.frameElement)
+            )
+            .map((doc) => doc.body)
+        );
       }
+
+      console.log("🔍 Analyzing current page");
+      const results = await this.analyze(roots);
+
+      // Ensure UI gets the results
+      if (this._uiManager && results.length > 0) {
+        this._uiManager.updateResults(results);
+        console.log(`📊 Found ${results.length} accessibility issues`);
+      } else if (results.length === 0) {
+        console.log("✅ No accessibility issues found on current page");
+      }
+
+      return results;
     } catch (error) {
       console.error("Current page analysis failed:", error);
       return [];
     }
   }
 
+  /**
+   * Decide which document-scoped rules to run for the documents the elements
+   * belong to. Passes that include the target, the <body> or <html> run
+   * them all.
+   * @param {Array<Element>} elements - Elements being analyzed
+   * @param {Array<string>} ruleIds - Rules to re-run for partial passes
+   * @returns {Map<Document, Array<string>|null>} Rules to run per document;
+   *   null runs every document rule (full pass)
+   */
+  _planDocumentRules(elements, ruleIds = []) {
+    const plan = new Map();
+
+    for (const element of elements) {
+      const doc = element.ownerDocument;
+      if (
+        element === doc.body ||
+        element === doc.documentElement ||
+        element === this.options.target
+      ) {
+        plan.set(doc, null);
+      } else if (ruleIds.length > 0 && !plan.has(doc)) {
+        plan.set(doc, ruleIds);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Run document-scoped rules
+   * @param {Map<Document, Array<string>|null>} plan - From _planDocumentRules()
+   * @returns {Promise<Array<AnalysisResult>>}
+   */
+  async _runDocumentRules(plan) {
+    const results = [];
+
+    for (const [doc, ruleIds] of plan) {
+      results.push(
+        ...(await this._ruleEngine.executeDocumentRules([doc], ruleIds))
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a previous result is replaced by the current pass: its
+   * element or document rule was re-checked, its element is gone, or its
+   * rule is no longer enabled
+   * @param {AnalysisResult} result - Result from an earlier pass
+   * @param {Set<Element>} analyzedElements - Elements analyzed in this pass
+   * @param {Map<Document, Array<string>|null>} documentRulePlan - Document
+   *   rules run in this pass
+   * @returns {boolean} True if the result should be dropped
+   */
+  _isResultSuperseded(result, analyzedElements, documentRulePlan) {
+    if (
+      !this._isLive(result.element) ||
+      !this._ruleEngine.enabledRules.has(result.ruleId)
+    ) {
+      return true;
+    }
+
+    if (this._ruleEngine.getRule(result.ruleId).scope === "document") {
+      const doc = result.element.ownerDocument;
+      if (!documentRulePlan.has(doc)) {
+        return false;
+      }
+      const ruleIds = documentRulePlan.get(doc);
+      return ruleIds === null || ruleIds.includes(result.ruleId);
+    }
+
+    return analyzedElements.has(result.element);
+  }
+
+  /**
+   * Check that an element is still in a loaded document
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if connected to a document with a window
+   */
+  _isLive(element) {
+    return element.isConnected && element.ownerDocument.defaultView !== null;
+  }
+
+  /**
+   * Register a custom rule. The rule is validated immediately when the rule
+   * engine is available, otherwise when it loads (start() then rejects).
+   * @param {Object} rule - Rule definition (see the readme for the schema)
+   * @returns {A11yEngine} The engine, for chaining
+   * @throws {RuleValidationError} If the rule is invalid
+   */
+  registerRule(rule) {
+    const RuleEngineClass = this._resolveComponent("RuleEngine");
+    if (RuleEngineClass) {
+      RuleEngineClass.validateRule(rule);
+    }
+
+    this._whenReady(() => this._ruleEngine.registerRule(rule));
+    return this;
+  }
+
+  /**
+   * Install a plugin
+   * @param {Object} plugin - Plugin definition
+   * @param {string} plugin.name - Unique plugin name
+   * @param {Array<Object>} [plugin.rules] - Rules to register
+   * @param {Object} [plugin.educationalContent] - Rule ID to learn-more content
+   * @param {Object} [plugin.fixGenerators] - Rule ID to (result) => suggestions
+   * @param {Object} [plugin.hooks] - Engine event name to handler
+   * @param {Function} [plugin.setup] - Called with the engine once loaded
+   * @returns {A11yEngine} The engine, for chaining
+   */
+  use(plugin) {
+    this._validatePlugin(plugin);
+    this._plugins.set(plugin.name, plugin);
+
+    Object.entries(plugin.hooks || {}).forEach(([event, handler]) =>
+      this.on(event, handler)
+    );
+    (plugin.rules || []).forEach((rule) => this.registerRule(rule));
+
+    this._whenReady(() => {
+      Object.entries(plugin.educationalContent || {}).forEach(
+        ([ruleId, content]) =>
+          this._reporter.registerEducationalContent(ruleId, content)
+      );
+      Object.entries(plugin.fixGenerators || {}).forEach(
+        ([ruleId, generator]) =>
+          this._reporter.registerFixGenerator(ruleId, generator)
+      );
+      if (plugin.setup) {
+        plugin.setup(this);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the names of installed plugins
+   * @returns {Array<string>} Plugin names
+   */
+  getPlugins() {
+    return Array.from(this._plugins.keys());
+  }
+
+  /**
+   * Subscribe to an engine event
+   * @param {string} event - Event name (see ENGINE_EVENTS)
+   * @param {Function} handler - Called with the event detail
+   * @returns {A11yEngine} The engine, for chaining
+   */
+  on(event, handler) {
+    this._validateListener(event, handler);
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(handler);
+    return this;
+  }
+
+  /**
+   * Subscribe to the next occurrence of an engine event only
+   * @param {string} event - Event name (see ENGINE_EVENTS)
+   * @param {Function} handler - Called with the event detail
+   * @returns {A11yEngine} The engine, for chaining
+   */
+  once(event, handler) {
+    this._validateListener(event, handler);
+
+    const wrapper = (detail) => {
+      this.off(event, wrapper);
+      handler(detail);
+    };
+    // Lets off(event, handler) remove the handler before it fires
+    wrapper._original = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Unsubscribe from engine events. Without a handler, removes every
+   * listener for the event; without arguments, removes all listeners.
+   * @param {string} [event] - Event name
+   * @param {Function} [handler] - Handler passed to on() or once()
+   * @returns {A11yEngine} The engine, for chaining
+   */
+  off(event, handler) {
+    if (event === undefined) {
+      this._listeners.clear();
+      return this;
+    }
+
+    const handlers = this._listeners.get(event);
+    if (!handlers) {
+      return this;
+    }
+
+    if (handler === undefined) {
+      handlers.clear();
+    } else {
+      handlers.forEach((registered) => {
+        if (registered === handler || registered._original === handler) {
+          handlers.delete(registered);
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Build the accessibility tree of an element: roles, names and states
+   * from the same computation the rules use, without hidden content or
+   * the tool's own UI. Render it with AccessibilityTree.toString() for
+   * snapshots and AccessibilityTree.diff() for review.
+   * @param {Element|string} [root] - Element or selector - Default: target
+   * @returns {Promise<Object>} Root node (see AccessibilityTree.build())
+   * @throws {Error} If a selector matches no element
+   */
+  async getAccessibilityTree(root) {
+    if (!this._ruleEngine || !this._reporter) {
+      await this._initializeDependenciesAndUI();
+    }
+
+    const element =
+      typeof root === "string"
+        ? document.querySelector(root)
+        : root || this.options.target || document.body;
+    if (!element) {
+      throw new Error(`No element matches "${root}"`);
+    }
+
+    return this._resolveComponent("AccessibilityTree").build(element, {
+      exclude: OWN_UI_SELECTOR,
+    });
+  }
+
+  /**
+   * Create a baseline from the current issues. Save it as JSON and pass it
+   * as the baseline option so later runs only report new issues.
+   * @returns {Object} Baseline (see Reporter.createBaseline())
+   */
+  createBaseline() {
+    if (!this._reporter) {
+      throw new Error("A11y Live has not analyzed the page yet");
+    }
+    return this._reporter.createBaseline();
+  }
+
+  /**
+   * List the page's landmarks in flat-tree order, with their nesting
+   * depth, as the panel's landmark map shows them
+   * @param {Document} [doc] - Document - Default: the current one
+   * @returns {Array<Object>} Landmarks (see RuleEngine#getLandmarks())
+   * @throws {Error} If the engine isn't initialized yet
+   */
+  getLandmarks(doc = document) {
+    if (!this._ruleEngine) {
+      throw new Error("A11y Live has not analyzed the page yet");
+    }
+    return this._ruleEngine.getLandmarks(doc);
+  }
+
   /**
    * Get current statistics
    * @returns {Object} Performance and usage statistics
    */
   getStats() {
+    const { cacheHits, cacheMisses } = this._stats;
+    const averageRuleTime =
+      this._ruleCost.elements > 0
+        ? this._ruleCost.time / this._ruleCost.elements
+        : 0;
+
     return {
       ...this._stats,
       averageAnalysisTime:
         this._stats.analysisCount > 0
           ? this._stats.totalAnalysisTime / this._stats.analysisCount
           : 0,
-      cacheSize: this._cache.size,
+      cacheHitRate:
+        cacheHits + cacheMisses > 0 ? cacheHits / (cacheHits + cacheMisses) : 0,
+      // Rule time the cache hits would have cost at the average per element
+      estimatedTimeSaved: cacheHits * averageRuleTime,
+      rules: this._ruleEngine ? this._ruleEngine.getRuleProfile() : [],
       isRunning: this._isStarted,
     };
   }
 
   // Private Methods
 
+  /**
+   * Load component scripts that are not yet available. UI scripts are
+   * skipped when the UI is disabled.
+   * @throws {DependencyLoadError} When a component fails to load
+   */
+  async _loadDependencies() {
+    const components = this.options.enableUI
+      ? [...CORE_COMPONENTS, ...UI_COMPONENTS]
+      : CORE_COMPONENTS;
+
+    // Components must load in order (UIManager expects the other UI classes)
+    for (const { name, path } of components) {
+      if (this._resolveComponent(name)) {
+        continue;
+      }
+
+      const component = { name, path, url: this._resolveAssetUrl(path) };
+
+      try {
+        const loaded = this.options.loader
+          ? await this.options.loader(component)
+          : await loadScript(component.url);
+
+        // Custom loaders may return the class instead of defining a global
+        if (typeof loaded === "function") {
+          this._components[name] = loaded;
+        }
+      } catch (error) {
+        throw new DependencyLoadError(component, error);
+      }
+
+      if (!this._resolveComponent(name)) {
+        throw new DependencyLoadError(
+          component,
+          new Error(`${name} was not defined after loading`)
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate and apply a project config to the rule engine and reporter
+   * @param {Object|string} config - Config object, or URL of a JSON config
+   *   (e.g. "/.a11yliverc")
+   * @throws {ConfigValidationError} When the config is invalid
+   */
+  async _applyConfig(config) {
+    let source;
+    if (typeof config === "string") {
+      source = config;
+      config = await this._fetchJson(config, "config");
+    }
+
+    this._resolveComponent("A11yConfig").apply(
+      config,
+      { ruleEngine: this._ruleEngine, reporter: this._reporter },
+      source
+    );
+  }
+
+  /**
+   * Resolve the target and pass it, the include/exclude options and the
+   * tool's own UI to the rule engine as the analysis scope
+   * @throws {Error} When a target selector matches nothing
+   * @throws {ConfigValidationError} When a selector is invalid
+   */
+  _applyScope() {
+    const { include, exclude } = this.options;
+    this._resolveComponent("A11yConfig").validate(
+      { include, exclude },
+      { source: "engine options" }
+    );
+
+    if (typeof this.options.target === "string") {
+      const selector = this.options.target;
+      this.options.target = document.querySelector(selector);
+      if (!this.options.target) {
+        throw new Error(`A11y Live target "${selector}" matches no element`);
+      }
+    }
+    this.options.target = this.options.target || document.body;
+
+    this._ruleEngine.setScope({
+      root: this.options.target,
+      include,
+      exclude: [...exclude, OWN_UI_SELECTOR],
+    });
+  }
+
+  /**
+   * Fetch a JSON file, such as a config or baseline
+   * @param {string} url - File URL
+   * @param {string} description - What the file is, for error messages
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async _fetchJson(url, description) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load A11y Live ${description} from ${url}: ${response.status}`
+      );
+    }
+    return response.json();
+  }
+
+  /**
+   * Resolve a component path against the configured base URL
+   * @param {string} path - Path relative to the package root
+   * @returns {string} Script URL
+   */
+  _resolveAssetUrl(path) {
+    const base = this.options.baseUrl || "./";
+    return base.endsWith("/") ? `${base}${path}` : `${base}/${path}`;
+  }
+
+  /**
+   * Look up a component class: one this engine's loader returned, then
+   * registered modules, then globals
+   * @param {string} name - Component class name (e.g. "RuleEngine")
+   * @returns {Function|null} Component class
+   */
+  _resolveComponent(name) {
+    if (this._components[name]) {
+      return this._components[name];
+    }
+    if (componentRegistry[name]) {
+      return componentRegistry[name];
+    }
+    if (typeof window !== "undefined" && typeof window[name] === "function") {
+      return window[name];
+    }
+    return null;
+  }
+
   /**
    * Check if browser supports required APIs
    * @returns {boolean}
@@ -383,9 +1221,10 @@ class A11yEngine {
     this._observer = new MutationObserver(this._handleMutations);
 
     // Optimized observer configuration
-    const config = {
+    this._observerConfig = {
       subtree: true,
       childList: true,
+      characterData: true,
       attributes: true,
       attributeFilter: [
         // Only watch accessibility-relevant attributes
@@ -397,17 +1236,203 @@ class A11yEngine {
         "aria-expanded",
         "aria-selected",
         "aria-checked",
+        "aria-busy",
+        "aria-controls",
+        "aria-disabled",
+        "aria-errormessage",
+        "aria-haspopup",
+        "aria-invalid",
+        "aria-level",
+        "aria-owns",
+        "aria-activedescendant",
+        "aria-details",
+        "aria-flowto",
+        "aria-pressed",
+        "aria-valuenow",
         "role",
         "tabindex",
         "title",
         "for",
+        "headers",
+        "list",
+        "form",
         "id",
         "class",
         "style",
+        "href",
+        "lang",
+        "xml:lang",
+        "data-a11y-ignore",
       ],
     };
 
-    this._observer.observe(this.options.target, config);
+    this._observer.observe(this.options.target, this._observerConfig);
+    this._observeDocumentMetadata(document);
+
+    // Mutations inside shadow roots and frames don't reach this observer
+    const elements = this._collectElements(this.options.target);
+    this._observeShadowRoots(elements);
+    this._observeFrames(elements);
+  }
+
+  /**
+   * Observe same-origin frames among the given elements, and re-analyze
+   * them whenever they navigate. No-op unless includeFrames is enabled.
+   * @param {Iterable<Element>} elements - Elements that may be frames
+   */
+  _observeFrames(elements) {
+    if (!this._observer || !this.options.includeFrames) {
+      return;
+    }
+
+    for (const element of elements) {
+      if (!this._isFrameElement(element)) {
+        continue;
+      }
+
+      if (!this._frameLoadHandlers.has(element)) {
+        const handler = () => {
+          if (!this._isStarted) return;
+          const frameDocument = this._getFrameDocument(element);
+          if (frameDocument) {
+            this._observeFrames([element]);
+            this._queueElements([frameDocument.body]);
+          }
+        };
+        element.addEventListener("load", handler);
+        this._frameLoadHandlers.set(element, handler);
+      }
+
+      const frameDocument = this._getFrameDocument(element);
+      if (frameDocument && !this._observedFrames.has(frameDocument)) {
+        this._observedFrames.add(frameDocument);
+        this._observer.observe(frameDocument.body, this._observerConfig);
+        this._observeDocumentMetadata(frameDocument);
+
+        const frameElements = this._collectElements(frameDocument.body);
+        this._observeShadowRoots(frameElements);
+        this._observeFrames(frameElements);
+      }
+    }
+  }
+
+  /**
+   * Recursively collect the documents of accessible same-origin frames
+   * @param {Document} doc - Document to search
+   * @returns {Array<Document>} Frame documents, outermost first
+   */
+  _getFrameDocuments(doc) {
+    const documents = [];
+
+    for (const element of this._collectElements(doc.body)) {
+      if (!this._isFrameElement(element)) {
+        continue;
+      }
+      const frameDocument = this._getFrameDocument(element);
+      if (frameDocument) {
+        documents.push(
+          frameDocument,
+          ...this._getFrameDocuments(frameDocument)
+        );
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * Get a frame's document if it is same-origin and loaded
+   * @param {Element} frame - iframe or frame element
+   * @returns {Document|null} Frame document
+   */
+  _getFrameDocument(frame) {
+    try {
+      const frameDocument = frame.contentDocument;
+      return frameDocument && frameDocument.body ? frameDocument : null;
+    } catch (error) {
+      return null; // Cross-origin frames throw on access
+    }
+  }
+
+  /**
+   * Check if a node is an element (works across frame realms)
+   */
+  _isElement(node) {
+    return !!node && node.nodeType === Node.ELEMENT_NODE;
+  }
+
+  /**
+   * Check if an element is an iframe or frame
+   */
+  _isFrameElement(element) {
+    return element.tagName === "IFRAME" || element.tagName === "FRAME";
+  }
+
+  /**
+   * Observe what page-level rules read outside the target: the <html>
+   * lang attributes, and the title and viewport in <head>
+   * @param {Document} doc - Document whose root element and head to observe
+   */
+  _observeDocumentMetadata(doc) {
+    if (doc.documentElement === this.options.target) {
+      return;
+    }
+    this._observer.observe(doc.documentElement, {
+      attributes: true,
+      attributeFilter: ["lang", "xml:lang"],
+    });
+    if (doc.head) {
+      this._observer.observe(doc.head, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: ["name", "content"],
+      });
+    }
+  }
+
+  /**
+   * Observe open shadow roots hosted by the given elements
+   * @param {Iterable<Element>} elements - Elements that may host shadow roots
+   */
+  _observeShadowRoots(elements) {
+    if (!this._observer) {
+      return;
+    }
+
+    for (const element of elements) {
+      const shadowRoot = element.shadowRoot;
+      if (shadowRoot && !this._observedShadowRoots.has(shadowRoot)) {
+        this._observedShadowRoots.add(shadowRoot);
+        this._observer.observe(shadowRoot, this._observerConfig);
+      }
+    }
+  }
+
+  /**
+   * Collect an element and its descendants, descending into open shadow
+   * roots. Shadow content follows its host, as in the flat tree.
+   * @param {Element} root - Element to start from
+   * @returns {Array<Element>} Collected elements, root first
+   */
+  _collectElements(root) {
+    const elements = [root];
+
+    const walk = (scope) => {
+      for (const element of scope.querySelectorAll("*")) {
+        elements.push(element);
+        if (element.shadowRoot) {
+          walk(element.shadowRoot);
+        }
+      }
+    };
+
+    if (root.shadowRoot) {
+      walk(root.shadowRoot);
+    }
+    walk(root);
+
+    return elements;
   }
 
   /**
@@ -415,65 +1440,168 @@ class A11yEngine {
    * @param {Array<MutationRecord>} mutations - Array of mutations
    */
   _handleMutations(mutations) {
-    if (!this._isStarted || this._isAnalyzing) {
+    // Changes during the initial pass count too: it fills the cache
+    if (!this._observer) {
       return;
     }
 
+    // Ignore changes made by the tool's own UI
+    mutations = mutations.filter((mutation) => !this._isOwnUI(mutation.target));
+    if (mutations.length === 0) {
+      return;
+    }
+
+    this._invalidateCache(mutations);
+
     // Extract affected elements
     const affectedElements = new Set();
+    // Nodes whose presence or attributes may change document-level results
+    const touchedNodes = new Set();
 
     mutations.forEach((mutation) => {
-      // Add target element
+      // Add target element (or the host, for changes at a shadow root's top)
       if (mutation.target && mutation.target.nodeType === Node.ELEMENT_NODE) {
         affectedElements.add(mutation.target);
+        touchedNodes.add(mutation.target);
+      } else if (mutation.target && mutation.target.host) {
+        affectedElements.add(mutation.target.host);
+      } else if (mutation.target && mutation.target.parentElement) {
+        // Text changes re-test the element holding the text
+        affectedElements.add(mutation.target.parentElement);
+      }
+
+      // Suppressions apply to whole subtrees, which must be re-checked
+      if (
+        mutation.attributeName === "data-a11y-ignore" ||
+        this._changesSuppressionComments(mutation)
+      ) {
+        this._collectElements(mutation.target.host || mutation.target).forEach(
+          (element) => affectedElements.add(element)
+        );
       }
 
       // Add added nodes
       mutation.addedNodes.forEach((node) => {
         if (node.nodeType === Node.ELEMENT_NODE) {
-          affectedElements.add(node);
-          // Also add child elements
-          const childElements = node.querySelectorAll("*");
-          childElements.forEach((child) => affectedElements.add(child));
+          touchedNodes.add(node);
+          // Also add child elements, including shadow content
+          this._collectElements(node).forEach((child) =>
+            affectedElements.add(child)
+          );
         }
       });
+
+      // Removed nodes can't be analyzed, but may affect document rules
+      mutation.removedNodes.forEach((node) => touchedNodes.add(node));
+    });
+
+    // Re-test ancestors whose subtree rules depend on the changed elements
+    Array.from(affectedElements).forEach((element) => {
+      this._ruleEngine
+        .getSubtreeRuleAncestors(element)
+        .forEach((ancestor) => affectedElements.add(ancestor));
     });
 
+    const documentRules =
+      this._ruleEngine.getDocumentRulesAffectedBy(touchedNodes);
+
+    // Start observing any shadow roots and frames that arrived
+    this._observeShadowRoots(affectedElements);
+    this._observeFrames(affectedElements);
+
+    this._queueElements(Array.from(affectedElements), documentRules);
+  }
+
+  /**
+   * Check whether a mutation adds or removes a11y-live-disable/enable
+   * comments, which change the suppressions of the target's children
+   * @param {MutationRecord} mutation - Observed change
+   * @returns {boolean} True if suppression comments changed
+   */
+  _changesSuppressionComments(mutation) {
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(
+      (node) =>
+        node.nodeType === Node.COMMENT_NODE &&
+        SUPPRESSION_COMMENT.test(node.data)
+    );
+  }
+
+  /**
+   * Check whether a node belongs to the tool's UI (panel, overlay, etc.)
+   * @param {Node} node - DOM node
+   * @returns {boolean} True if inside an element marked data-a11y-live-ui
+   */
+  _isOwnUI(node) {
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!(element && element.closest(OWN_UI_SELECTOR));
+  }
+
+  /**
+   * Queue elements for the next debounced analysis batch
+   * @param {Array<Element>} elements - Elements to analyze
+   * @param {Array<string>} documentRules - Document rules to re-run
+   */
+  _queueElements(elements, documentRules = []) {
+    if (elements.length === 0) {
+      return;
+    }
+
     // Add to analysis queue with timestamp
-    if (affectedElements.size > 0) {
-      this._analysisQueue.push({
-        elements: Array.from(affectedElements),
-        timestamp: Date.now(),
-      });
+    this._analysisQueue.push({
+      elements,
+      documentRules,
+      timestamp: Date.now(),
+    });
 
-      // Debounce batch processing
-      if (this._debounceTimer) {
-        clearTimeout(this._debounceTimer);
-      }
+    // Past the bound, one full rescan is cheaper than tracking every change
+    const queuedCount = this._analysisQueue.reduce(
+      (count, entry) => count + entry.elements.length,
+      0
+    );
+    if (queuedCount > this.options.maxQueueSize) {
+      this._analysisQueue = [
+        {
+          elements: [this.options.target],
+          documentRules: [],
+          timestamp: Date.now(),
+        },
+      ];
+    }
 
-      this._debounceTimer = setTimeout(
-        this._processBatch,
-        this.options.debounceMs
-      );
+    this._scheduleBatch();
+  }
+
+  /**
+   * Debounce batch processing
+   */
+  _scheduleBatch() {
+    if (this._debounceTimer) {
+      clearTimeout(this._debounceTimer);
     }
+
+    this._debounceTimer = setTimeout(
+      this._processBatch,
+      this.options.debounceMs
+    );
   }
 
   /**
    * Process batched mutations
    */
   async _processBatch() {
+    this._debounceTimer = null;
+
     if (this._isAnalyzing || this._analysisQueue.length === 0) {
       return;
     }
 
     // Throttle analysis to prevent excessive processing
     const now = Date.now();
-    if (now - this._lastAnalysisTime < this._analysisThrottleMs) {
+    const wait = this._lastAnalysisTime + this.options.throttleMs - now;
+    if (wait > 0) {
       // Schedule for later
-      this._debounceTimer = setTimeout(
-        this._processBatch,
-        this._analysisThrottleMs
-      );
+      this._debounceTimer = setTimeout(this._processBatch, wait);
       return;
     }
 
@@ -484,52 +1612,153 @@ class A11yEngine {
       // Dequeue all pending mutations
       const batch = this._analysisQueue.splice(0);
 
-      // Flatten and deduplicate elements
+      // Flatten and deduplicate elements, skipping those removed since
       const allElements = new Set();
+      batch.forEach((entry) =>
+        entry.elements.forEach((element) => {
+          if (this._isLive(element)) {
+            allElements.add(element);
+          }
+        })
+      );
+      const documentRules = new Set(
+        batch.flatMap((entry) => entry.documentRules || [])
+      );
 
-      // Limit batch size for performance
-      const elementsToAnalyze = Array.from(allElements).slice(
+      // Limit batch size for performance; the rest waits for the next batch
+      const pendingElements = Array.from(allElements);
+      const elementsToAnalyze = pendingElements.slice(
         0,
         this.options.maxElements
       );
+      if (pendingElements.length > elementsToAnalyze.length) {
+        this._analysisQueue.unshift({
+          elements: pendingElements.slice(this.options.maxElements),
+          documentRules: [],
+          timestamp: now,
+        });
+      }
 
       if (elementsToAnalyze.length > 0) {
         // Use requestAnimationFrame for better performance
         await new Promise((resolve) => {
           requestAnimationFrame(async () => {
-            await this.analyze(elementsToAnalyze);
+            await this.analyze(elementsToAnalyze, {
+              documentRules: Array.from(documentRules),
+            });
             resolve();
           });
         });
       }
     } catch (error) {
       console.error("Batch processing failed:", error);
+      this._emitEvent("error", { error, phase: "batch" });
     } finally {
       this._isAnalyzing = false;
+
+      // Pick up changes queued while this batch was running
+      if (this._analysisQueue.length > 0 && !this._debounceTimer) {
+        this._scheduleBatch();
+      }
     }
   }
 
   /**
-   * Generate cache key for element
-   * @param {Element} element - DOM element
-   * @returns {string} Cache key
+   * Check whether cached results can be trusted: only while the observer is
+   * running, since it is what invalidates them
+   * @returns {boolean} True if the cache is in use
    */
-  _getCacheKey(element) {
-    // Create a key based on element characteristics
-    const tagName = element.tagName;
-    const id = element.id || "";
-    const className = element.className || "";
-    const outerHTML = element.outerHTML;
+  _isCacheActive() {
+    return this._observer !== null;
+  }
 
-    // Simple hash of the element's HTML for cache key
-    let hash = 0;
-    for (let i = 0; i < outerHTML.length; i++) {
-      const char = outerHTML.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32bit integer
+  /**
+   * Handle mutation records the observer has not delivered yet, so changes
+   * made just before analyze() invalidate the cache first
+   */
+  _flushPendingMutations() {
+    const records = this._observer.takeRecords();
+    if (records.length > 0) {
+      this._handleMutations(records);
     }
+  }
+
+  /**
+   * Drop cached results affected by DOM changes
+   * @param {Array<MutationRecord>} mutations - Observed changes
+   */
+  _invalidateCache(mutations) {
+    const invalidate = (element) => {
+      if (this._cache.delete(element)) {
+        this._stats.cacheInvalidations++;
+      }
+    };
+
+    for (const mutation of mutations) {
+      if (this._affectsWholeCache(mutation)) {
+        this._cache = new WeakMap();
+        this._stats.cacheInvalidations++;
+        return;
+      }
 
-    return `${tagName}-${id}-${className}-${hash}`;
+      const target =
+        mutation.target.nodeType === Node.ELEMENT_NODE
+          ? mutation.target
+          : mutation.target.host || mutation.target.parentElement;
+      if (!target) {
+        continue;
+      }
+
+      if (
+        (mutation.type === "attributes" &&
+          INHERITED_ATTRIBUTES.includes(mutation.attributeName)) ||
+        this._changesSuppressionComments(mutation)
+      ) {
+        this._collectElements(target).forEach(invalidate);
+      } else {
+        invalidate(target);
+      }
+
+      // Moved nodes get new ancestors, so their previous results don't apply
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          this._collectElements(node).forEach(invalidate);
+        }
+      });
+
+      // Subtree rules on ancestors depend on this element's content
+      this._ruleEngine.getSubtreeRuleAncestors(target).forEach(invalidate);
+    }
+  }
+
+  /**
+   * Check whether a change can affect results outside the changed subtree
+   * @param {MutationRecord} mutation - Observed change
+   * @returns {boolean} True if the whole cache should be dropped
+   */
+  _affectsWholeCache(mutation) {
+    if (mutation.type === "attributes") {
+      // IDs link labels and ARIA references to other elements
+      return (
+        mutation.attributeName === "id" || mutation.attributeName === "for"
+      );
+    }
+
+    // Changes to a <style> element or to its text
+    const element =
+      mutation.target.nodeType === Node.ELEMENT_NODE
+        ? mutation.target
+        : mutation.target.parentElement;
+    if (element && element.tagName === "STYLE") {
+      return true;
+    }
+
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(
+      (node) =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        (node.matches(CACHE_RESET_SELECTOR) ||
+          node.querySelector(CACHE_RESET_SELECTOR) !== null)
+    );
   }
 
   /**
@@ -537,15 +1766,109 @@ class A11yEngine {
    */
   _updateStats(elementsProcessed, analysisTime, violationsFound) {
     this._stats.analysisCount++;
-    this._stats.totalAnalysisTime = analysisTime;
+    this._stats.totalAnalysisTime += analysisTime;
     this._stats.elementsProcessed = elementsProcessed;
     this._stats.violationsFound = violationsFound;
   }
 
   /**
-   * Emit custom events
+   * Emit lifecycle events for issues that changed since the previous pass
+   * @param {Object} changes - Changes from Reporter.getLastChanges()
+   */
+  _emitIssueEvents(changes) {
+    changes.added.forEach((issue) => this._emitEvent("issue-added", { issue }));
+    changes.changed.forEach(({ issue, previous }) =>
+      this._emitEvent("issue-changed", { issue, previous })
+    );
+    changes.resolved.forEach((issue) =>
+      this._emitEvent("issue-resolved", { issue })
+    );
+  }
+
+  /**
+   * Run a task now if the rule engine and reporter exist, else once loaded
+   * @param {Function} task - Registration to apply
+   */
+  _whenReady(task) {
+    if (this._ruleEngine && this._reporter) {
+      task();
+    } else {
+      this._pendingExtensions.push(task);
+    }
+  }
+
+  /**
+   * Check a plugin definition
+   * @throws {TypeError} Describing the first problem found
+   */
+  _validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== "object") {
+      throw new TypeError("A11y Live plugin must be an object");
+    }
+    if (typeof plugin.name !== "string" || plugin.name.trim() === "") {
+      throw new TypeError('A11y Live plugin requires a "name" string');
+    }
+    if (this._plugins.has(plugin.name)) {
+      throw new TypeError(`Plugin "${plugin.name}" is already installed`);
+    }
+
+    const unknownKeys = Object.keys(plugin).filter(
+      (key) => !PLUGIN_KEYS.includes(key)
+    );
+    if (unknownKeys.length > 0) {
+      throw new TypeError(
+        `Plugin "${plugin.name}" has unknown properties: ${unknownKeys.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (plugin.rules !== undefined && !Array.isArray(plugin.rules)) {
+      throw new TypeError(`Plugin "${plugin.name}": "rules" must be an array`);
+    }
+    if (plugin.setup !== undefined && typeof plugin.setup !== "function") {
+      throw new TypeError(
+        `Plugin "${plugin.name}": "setup" must be a function`
+      );
+    }
+    Object.entries(plugin.hooks || {}).forEach(([event, handler]) =>
+      this._validateListener(event, handler)
+    );
+  }
+
+  /**
+   * Check an event subscription
+   * @throws {TypeError} For unknown events or non-function handlers
+   */
+  _validateListener(event, handler) {
+    if (!ENGINE_EVENTS.includes(event)) {
+      throw new TypeError(
+        `Unknown A11y Live event "${event}". Expected one of: ${ENGINE_EVENTS.join(
+          ", "
+        )}`
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new TypeError(`Handler for "${event}" must be a function`);
+    }
+  }
+
+  /**
+   * Emit an event to instance listeners, then as a window CustomEvent
    */
   _emitEvent(eventName, detail) {
+    const handlers = this._listeners.get(eventName);
+    if (handlers) {
+      // Copy so handlers can unsubscribe while the event is dispatched
+      Array.from(handlers).forEach((handler) => {
+        try {
+          handler(detail);
+        } catch (error) {
+          console.error(`A11y Live "${eventName}" listener failed:`, error);
+        }
+      });
+    }
+
     if (typeof window !== "undefined" && window.dispatchEvent) {
       const event = new CustomEvent(`a11y-live-${eventName}`, { detail });
       window.dispatchEvent(event);
@@ -553,6 +1876,9 @@ class A11yEngine {
   }
 }
 
+A11yEngine.DependencyLoadError = DependencyLoadError;
+A11yEngine.EVENTS = ENGINE_EVENTS;
+
 // Export for module systems
 if (typeof module !== "undefined" && module.exports) {
   module.exports = A11yEngine;
@@ -5,19 +5,315 @@
  * and formats them for display and export.
  */
 
+// How long resolved issues stay in the "just fixed" list
+const RECENTLY_RESOLVED_MS = 10000;
+
+// Format version of baseline files (createBaseline()). Version 2
+// fingerprints issues from element locators instead of selectors.
+const BASELINE_VERSION = 2;
+
+// Concrete roles to suggest in place of abstract ones
+const ABSTRACT_ROLE_REPLACEMENTS = {
+  command: "button",
+  composite: "grid",
+  input: "textbox",
+  landmark: "region",
+  range: "slider",
+  roletype: "generic",
+  section: "region",
+  sectionhead: "heading",
+  select: "listbox",
+  structure: "group",
+  widget: "button",
+  window: "dialog",
+};
+
+// Example values for required ARIA states and properties
+const REQUIRED_ARIA_EXAMPLES = {
+  "aria-checked": "false",
+  "aria-controls": "controlled-element-id",
+  "aria-expanded": "false",
+  "aria-level": "2",
+  "aria-valuenow": "0",
+};
+
+// Native elements that provide a role and its required states
+const NATIVE_ROLE_EQUIVALENTS = {
+  checkbox: '<input type="checkbox">',
+  combobox: "<select>...</select>",
+  heading: "<h2>...</h2>",
+  meter: '<meter value="0">',
+  radio: '<input type="radio">',
+  slider: '<input type="range">',
+  switch: '<input type="checkbox" role="switch">',
+};
+
+// Language tags for language names mistakenly used as lang values
+const LANGUAGE_NAME_TAGS = {
+  arabic: "ar",
+  chinese: "zh",
+  english: "en",
+  french: "fr",
+  german: "de",
+  italian: "it",
+  japanese: "ja",
+  portuguese: "pt",
+  russian: "ru",
+  spanish: "es",
+};
+
 class Reporter {
   constructor() {
     this.results = [];
+    // Deduplicated raw results behind this.results, kept for merging
+    this.rawResults = [];
+    this.lastChanges = { added: [], resolved: [], changed: [] };
+    this.recentlyResolved = [];
+    // Plugin-provided content, keyed by rule ID
+    this._educationalContent = new Map();
+    this._fixGenerators = new Map();
+    // Reporting thresholds from project config ({ failOn, maxErrors, ... })
+    this.thresholds = null;
+    // Results suppressed inline by the page author, kept out of results
+    this.suppressed = [];
+    // Accepted existing issues (setBaseline()), and the current results
+    // that match them, also kept out of results
+    this.baseline = null;
+    this._baselineFingerprints = new Set();
+    this.baselineResults = [];
+    // Per-rule execution statistics (RuleEngine.getRuleProfile()), for the
+    // JSON export
+    this.ruleProfile = null;
     this.summary = {
       total: 0,
       errors: 0,
       warnings: 0,
       info: 0,
+      needsReview: 0,
+      suppressed: 0,
+      baseline: null,
       categories: {},
+      frames: {},
+      thresholds: null,
       lastUpdate: null,
     };
   }
 
+  /**
+   * Set reporting thresholds, checked on every summary update
+   * @param {Object|null} thresholds - { failOn, maxErrors, maxWarnings,
+   *   maxInfo }; failOn is "error", "warning", "info" or "none"
+   */
+  setThresholds(thresholds) {
+    this.thresholds = thresholds;
+    this._updateSummary();
+  }
+
+  /**
+   * Set the rule execution profile included in the JSON export
+   * @param {Array<Object>|null} profile - From RuleEngine.getRuleProfile()
+   */
+  setRuleProfile(profile) {
+    this.ruleProfile = profile;
+  }
+
+  /**
+   * Check the current results against thresholds. Results with status
+   * "needs-review" are not counted.
+   * @param {Object} [thresholds] - Defaults to the ones set with
+   *   setThresholds()
+   * @returns {Array<string>} Reasons the thresholds are exceeded (empty if
+   *   they pass)
+   */
+  checkThresholds(thresholds = this.thresholds || {}) {
+    const severities = ["error", "warning", "info"];
+    const counts = { error: 0, warning: 0, info: 0 };
+    this.results
+      .filter((result) => result.status !== "needs-review")
+      .forEach((result) => counts[result.severity]++);
+
+    const failures = [];
+    const failOn = thresholds.failOn || "none";
+    if (failOn !== "none") {
+      const failing = severities
+        .slice(0, severities.indexOf(failOn) + 1)
+        .filter((severity) => counts[severity] > 0);
+      if (failing.length > 0) {
+        failures.push(
+          `found ${failing
+            .map((severity) => `${counts[severity]} ${severity}`)
+            .join(", ")} issue(s) (failOn: ${failOn})`
+        );
+      }
+    }
+
+    [
+      ["error", "maxErrors"],
+      ["warning", "maxWarnings"],
+      ["info", "maxInfo"],
+    ].forEach(([severity, key]) => {
+      if (thresholds[key] !== undefined && counts[severity] > thresholds[key]) {
+        failures.push(
+          `${counts[severity]} ${severity} issue(s) exceed ${key}: ${thresholds[key]}`
+        );
+      }
+    });
+
+    return failures;
+  }
+
+  /**
+   * Set the baseline: issues already known when it was created. Matching
+   * issues are kept out of results, including the current ones.
+   * @param {Object|null} baseline - From createBaseline()
+   * @throws {TypeError} If the baseline is malformed
+   */
+  setBaseline(baseline) {
+    if (baseline !== null) {
+      const valid =
+        baseline &&
+        baseline.version === BASELINE_VERSION &&
+        Array.isArray(baseline.issues) &&
+        baseline.issues.every(
+          (issue) => typeof issue?.fingerprint === "string"
+        );
+      if (!valid) {
+        throw new TypeError(
+          `Invalid baseline: expected { version: ${BASELINE_VERSION}, issues: [{ fingerprint, ... }] }`
+        );
+      }
+    }
+
+    this.baseline = baseline;
+    this._baselineFingerprints = new Set(
+      (baseline?.issues || []).map((issue) => issue.fingerprint)
+    );
+
+    const current = [...this.results, ...this.baselineResults];
+    current.forEach((result) => {
+      result.inBaseline = this._baselineFingerprints.has(result.id);
+    });
+    this.results = this._prioritizeResults(
+      current.filter((result) => !result.inBaseline)
+    );
+    this.baselineResults = this._prioritizeResults(
+      current.filter((result) => result.inBaseline)
+    );
+    this._updateSummary();
+  }
+
+  /**
+   * Create a baseline from the current issues, including ones matched by
+   * the current baseline. Suppressed issues are left out.
+   * @returns {Object} { version, createdAt, issues: [{ fingerprint, ruleId,
+   *   selector, frame }] }, sorted for stable diffs
+   */
+  createBaseline() {
+    const issues = [...this.results, ...this.baselineResults]
+      .map((result) => ({
+        fingerprint: result.id,
+        ruleId: result.ruleId,
+        selector: result.selector,
+        frame: this._getFrameLabel(result.frame),
+      }))
+      .sort((a, b) => a.fingerprint.localeCompare(b.fingerprint));
+
+    return {
+      version: BASELINE_VERSION,
+      createdAt: new Date().toISOString(),
+      issues,
+    };
+  }
+
+  /**
+   * Get a fingerprint that identifies an issue across page loads and
+   * unrelated markup changes: the rule ID and a hash of the frame and the
+   * element locator (landmark, data-testid, role, accessible name and tag
+   * path). Elements the locator can't tell apart share a fingerprint;
+   * processResults() numbers them to build issue IDs.
+   * @param {AnalysisResult} result - Analysis result
+   * @returns {string} Fingerprint, e.g. "missing-alt-text:1k3x9qz"
+   */
+  getFingerprint(result) {
+    const { landmark, testId, role, name, path } = result.locator || {
+      path: result.selector,
+    };
+    return `${result.ruleId}:${this._hash(
+      [this._getFrameLabel(result.frame), landmark, testId, role, name, path]
+        .map((part) => part || "")
+        .join("|")
+    )}`;
+  }
+
+  /**
+   * Set result.id on every result: the fingerprint, with "~2", "~3"...
+   * appended for further elements sharing it, in document order
+   * @param {Array<AnalysisResult>} results - Deduplicated results
+   */
+  _assignIds(results) {
+    const groups = new Map();
+    results.forEach((result) => {
+      const fingerprint = this.getFingerprint(result);
+      if (!groups.has(fingerprint)) {
+        groups.set(fingerprint, []);
+      }
+      groups.get(fingerprint).push(result);
+    });
+
+    groups.forEach((group, fingerprint) => {
+      group.sort((a, b) => this._compareDocumentOrder(a.element, b.element));
+      group.forEach((result, index) => {
+        result.id = index === 0 ? fingerprint : `${fingerprint}~${index + 1}`;
+      });
+    });
+  }
+
+  /**
+   * Sort comparator for elements in document order
+   */
+  _compareDocumentOrder(a, b) {
+    if (!a || !b || a === b) {
+      return 0;
+    }
+    // DOCUMENT_POSITION_FOLLOWING
+    return a.compareDocumentPosition(b) & 4 ? -1 : 1;
+  }
+
+  /**
+   * FNV-1a string hash
+   * @param {string} str - Input
+   * @returns {string} Base-36 hash
+   */
+  _hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Register educational content for a rule, shown in "Learn More"
+   * @param {string} ruleId - Rule ID
+   * @param {Object} content - { explanation, analogy, additionalResources }
+   */
+  registerEducationalContent(ruleId, content) {
+    this._educationalContent.set(ruleId, content);
+  }
+
+  /**
+   * Register a fix suggestion generator for a rule
+   * @param {string} ruleId - Rule ID
+   * @param {Function} generator - (result) => Array<{type, action, code, priority}>
+   */
+  registerFixGenerator(ruleId, generator) {
+    if (typeof generator !== "function") {
+      throw new TypeError(`Fix generator for "${ruleId}" must be a function`);
+    }
+    this._fixGenerators.set(ruleId, generator);
+  }
+
   /**
    * Process and prioritize analysis results
    * @param {Array<AnalysisResult>} rawResults - Raw analysis results
@@ -26,52 +322,187 @@ class Reporter {
   processResults(rawResults) {
     // Filter and deduplicate results
     const filteredResults = this._deduplicateResults(rawResults);
+    this._assignIds(filteredResults);
+
+    // Suppressed results are reported separately, not as issues
+    const suppressed = filteredResults.filter(
+      (result) => result.status === "suppressed"
+    );
+    const unsuppressed = filteredResults.filter(
+      (result) => result.status !== "suppressed"
+    );
+
+    // Issues in the baseline are known; only new ones are reported
+    const baselineResults = [];
+    const activeResults = [];
+    unsuppressed.forEach((result) => {
+      result.inBaseline = this._baselineFingerprints.has(result.id);
+      (result.inBaseline ? baselineResults : activeResults).push(result);
+    });
 
     // Sort by priority (impact score and severity)
-    const prioritizedResults = this._prioritizeResults(filteredResults);
+    const prioritizedResults = this._prioritizeResults(activeResults);
 
     // Enhance results with additional context
     const enhancedResults = prioritizedResults.map((result) =>
       this._enhanceResult(result)
     );
 
+    // Diff against the previous pass before replacing it. Issues that were
+    // suppressed or baselined have not been fixed.
+    const suppressedIds = new Set(
+      [...suppressed, ...baselineResults].map((result) => result.id)
+    );
+    this.lastChanges = this._diffResults(this.results, enhancedResults);
+    this.lastChanges.resolved = this.lastChanges.resolved.filter(
+      (result) => !suppressedIds.has(result.id)
+    );
+    this._trackResolved(this.lastChanges, enhancedResults);
+
     // Update internal state
+    this.rawResults = filteredResults;
     this.results = enhancedResults;
+    this.suppressed = this._prioritizeResults(suppressed).map((result) =>
+      this._enhanceResult(result)
+    );
+    this.baselineResults = this._prioritizeResults(baselineResults).map(
+      (result) => this._enhanceResult(result)
+    );
     this._updateSummary();
 
     return enhancedResults;
   }
 
+  /**
+   * Merge the results of a partial pass into the current result set
+   * @param {Array<AnalysisResult>} rawResults - Raw results of the pass
+   * @param {Function} isSuperseded - (previousResult) => true if the pass
+   *   re-checked it, so it should be replaced
+   * @returns {Array<ProcessedResult>} The full, processed result set
+   */
+  mergeResults(rawResults, isSuperseded) {
+    const kept = this.rawResults.filter((result) => !isSuperseded(result));
+    return this.processResults([...kept, ...rawResults]);
+  }
+
+  /**
+   * Compare two passes and classify issues as added, resolved or changed
+   * @param {Array<ProcessedResult>} previous - Results of the previous pass
+   * @param {Array<ProcessedResult>} current - Results of the current pass
+   * @returns {{added: Array, resolved: Array, changed: Array}} Changes;
+   *   changed entries are { issue, previous }
+   */
+  _diffResults(previous, current) {
+    const previousById = new Map(previous.map((result) => [result.id, result]));
+    const currentIds = new Set();
+    const changes = { added: [], resolved: [], changed: [] };
+
+    current.forEach((result) => {
+      currentIds.add(result.id);
+
+      const before = previousById.get(result.id);
+      if (!before) {
+        changes.added.push(result);
+      } else if (this._hasIssueChanged(before, result)) {
+        changes.changed.push({ issue: result, previous: before });
+      }
+    });
+
+    previousById.forEach((result, id) => {
+      if (!currentIds.has(id)) {
+        changes.resolved.push(result);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Check whether the reportable details of an issue differ between passes
+   * @param {ProcessedResult} before - Previous result
+   * @param {ProcessedResult} after - Current result
+   * @returns {boolean} True if changed
+   */
+  _hasIssueChanged(before, after) {
+    return ["severity", "message", "impact", "wcag", "status"].some(
+      (field) => before[field] !== after[field]
+    );
+  }
+
+  /**
+   * Keep recently resolved issues around so the UI can show them as fixed
+   * @param {Object} changes - Changes from _diffResults
+   * @param {Array<ProcessedResult>} current - Results of the current pass
+   */
+  _trackResolved(changes, current) {
+    const now = Date.now();
+    const currentIds = new Set(current.map((r) => r.id));
+
+    this.recentlyResolved = [
+      ...changes.resolved.map((issue) => ({
+        ...issue,
+        resolvedAt: now,
+        expiresAt: now + RECENTLY_RESOLVED_MS,
+      })),
+      ...this.recentlyResolved,
+    ].filter((issue) => issue.expiresAt > now && !currentIds.has(issue.id));
+  }
+
+  /**
+   * Get the issues added, resolved and changed by the last pass
+   * @returns {{added: Array, resolved: Array, changed: Array}} Changes
+   */
+  getLastChanges() {
+    return {
+      added: [...this.lastChanges.added],
+      resolved: [...this.lastChanges.resolved],
+      changed: [...this.lastChanges.changed],
+    };
+  }
+
+  /**
+   * Get issues resolved within the last few seconds
+   * @returns {Array<ProcessedResult>} Resolved issues with resolvedAt and
+   *   expiresAt times
+   */
+  getRecentlyResolved() {
+    const now = Date.now();
+    return this.recentlyResolved.filter((issue) => issue.expiresAt > now);
+  }
+
   /**
    * Remove duplicate violations for the same element and rule
    * @param {Array<AnalysisResult>} results - Raw results
    * @returns {Array<AnalysisResult>} Deduplicated results
    */
   _deduplicateResults(results) {
-    const seen = new Set();
+    // Keyed by element identity: distinct elements with the same markup
+    // are separate issues
+    const seen = new Map();
     return results.filter((result) => {
-      const key = `${result.ruleId}-${this._getElementKey(result.element)}`;
-      if (seen.has(key)) {
+      if (!seen.has(result.element)) {
+        seen.set(result.element, new Set());
+      }
+      const ruleIds = seen.get(result.element);
+      if (ruleIds.has(result.ruleId)) {
         return false;
       }
-      seen.add(key);
+      ruleIds.add(result.ruleId);
       return true;
     });
   }
 
   /**
-   * Generate unique key for element
-   * @param {Element} element - DOM element
-   * @returns {string} Unique element key
+   * Describe the frame a result came from
+   * @param {Object} frame - Frame info ({ path, url }) from the rule engine
+   * @returns {string} Frame label, "main document" for the top document
    */
-  _getElementKey(element) {
-    // Use multiple attributes to create unique key
-    const id = element.id || "";
-    const className = element.className || "";
-    const tagName = element.tagName || "";
-    const textContent = (element.textContent || "").substring(0, 50);
-
-    return `${tagName}-${id}-${className}-${textContent}`.replace(/\s+/g, "-");
+  _getFrameLabel(frame) {
+    if (!frame || !frame.path || frame.path.length === 0) {
+      // Headless audits label each top-level document, e.g. by file path
+      return frame?.source || "main document";
+    }
+    return frame.path.join(" → ");
   }
 
   /**
@@ -171,7 +602,7 @@ class Reporter {
 
     // Check for semantic landmarks
     let current = element;
-    while (current && current !== document.body) {
+    while (current && current !== element.ownerDocument.body) {
       const role = current.getAttribute("role") || "";
       const tagName = current.tagName.toLowerCase();
 
@@ -248,7 +679,7 @@ class Reporter {
    */
   _getSurroundingElements(element) {
     const siblings = Array.from(element.parentNode?.children || []).filter(
-      (el) => el !== element && el.nodeType === Node.ELEMENT_NODE
+      (el) => el !== element && el.nodeType === el.ELEMENT_NODE
     );
 
     const prevSibling = element.previousElementSibling;
@@ -270,8 +701,9 @@ class Reporter {
    */
   _getViewportInfo(element) {
     const rect = element.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-    const viewportWidth = window.innerWidth;
+    const view = element.ownerDocument.defaultView || window;
+    const viewportHeight = view.innerHeight;
+    const viewportWidth = view.innerWidth;
 
     return {
       isVisible:
@@ -294,8 +726,13 @@ class Reporter {
    * @returns {Array<Object>} Fix suggestions
    */
   _generateFixSuggestions(result) {
+    if (this._fixGenerators.has(result.ruleId)) {
+      return this._fixGenerators.get(result.ruleId)(result) || [];
+    }
+
     const suggestions = [];
     const element = result.element;
+    const tag = element ? element.tagName.toLowerCase() : "div";
 
     switch (result.ruleId) {
       case "missing-alt-text":
@@ -368,6 +805,342 @@ class Reporter {
         });
         break;
 
+      case "invalid-aria-role": {
+        const { role, abstract } = result.details || {};
+        const replacement = ABSTRACT_ROLE_REPLACEMENTS[(abstract || [])[0]];
+        if (replacement) {
+          suggestions.push({
+            type: "attribute",
+            action: `Replace abstract role "${abstract[0]}" with a concrete role`,
+            code: `<${tag} role="${replacement}">`,
+            priority: "high",
+          });
+        } else {
+          suggestions.push({
+            type: "attribute",
+            action: `Replace "${role}" with a WAI-ARIA role`,
+            code: `<${tag} role="button">`,
+            priority: "high",
+          });
+        }
+        suggestions.push({
+          type: "html",
+          action: "Remove the role and use a native element",
+          code: `<${tag}>`,
+          priority: "medium",
+        });
+        break;
+      }
+
+      case "aria-required-attributes": {
+        const { role, missing = [] } = result.details || {};
+        const attributes = missing
+          .map((attr) => `${attr}="${REQUIRED_ARIA_EXAMPLES[attr] || "..."}"`)
+          .join(" ");
+        suggestions.push({
+          type: "attribute",
+          action: `Add ${missing.join(", ")}`,
+          code: `<${tag} role="${role}" ${attributes}>`,
+          priority: "high",
+        });
+        if (NATIVE_ROLE_EQUIVALENTS[role]) {
+          suggestions.push({
+            type: "html",
+            action: "Use the native element, which manages the state itself",
+            code: NATIVE_ROLE_EQUIVALENTS[role],
+            priority: "medium",
+          });
+        }
+        break;
+      }
+
+      case "aria-required-children": {
+        const { role, allowed = [], unexpected = [] } = result.details || {};
+        suggestions.push({
+          type: "html",
+          action: `Give owned elements one of these roles: ${allowed.join(
+            ", "
+          )}`,
+          code: `<${tag} role="${role}">\n  <div role="${allowed[0]}">...</div>\n</${tag}>`,
+          priority: "high",
+        });
+        if (unexpected.length > 0) {
+          suggestions.push({
+            type: "attribute",
+            action: `Remove the semantics of wrappers with role ${unexpected.join(
+              ", "
+            )}`,
+            code: `<div role="presentation">`,
+            priority: "medium",
+          });
+        } else {
+          suggestions.push({
+            type: "attribute",
+            action: "Mark the element as busy while its content loads",
+            code: `<${tag} role="${role}" aria-busy="true">`,
+            priority: "low",
+          });
+        }
+        break;
+      }
+
+      case "aria-required-parent": {
+        const { role, context = [] } = result.details || {};
+        suggestions.push({
+          type: "html",
+          action: `Place the element inside one of: ${context.join(", ")}`,
+          code: `<div role="${context[0]}">\n  <${tag} role="${role}">...</${tag}>\n</div>`,
+          priority: "high",
+        });
+        suggestions.push({
+          type: "attribute",
+          action: "Or claim it from the parent with aria-owns",
+          code: `<div role="${context[0]}" aria-owns="${
+            element.id || "owned-id"
+          }"></div>`,
+          priority: "low",
+        });
+        break;
+      }
+
+      case "aria-prohibited-attributes":
+      case "deprecated-aria-attributes": {
+        const { role, attributes = [] } = result.details || {};
+        suggestions.push({
+          type: "attribute",
+          action: `Remove ${attributes.join(", ")}`,
+          code: element.hasAttribute("role")
+            ? `<${tag} role="${element.getAttribute("role")}">`
+            : `<${tag}>`,
+          priority:
+            result.ruleId === "deprecated-aria-attributes" ? "medium" : "high",
+        });
+        if (
+          attributes.includes("aria-label") ||
+          attributes.includes("aria-labelledby")
+        ) {
+          suggestions.push({
+            type: "content",
+            action: `Role "${role}" cannot be named; put the text in the content or use a role that supports naming`,
+            code: "",
+            priority: "medium",
+          });
+        } else if (
+          attributes.includes("aria-grabbed") ||
+          attributes.includes("aria-dropeffect")
+        ) {
+          suggestions.push({
+            type: "content",
+            action:
+              "Describe drag and drop with visible instructions referenced by aria-describedby",
+            code: `<${tag} aria-describedby="drag-instructions">`,
+            priority: "low",
+          });
+        } else {
+          suggestions.push({
+            type: "attribute",
+            action:
+              "Move the attributes to an element whose role supports them",
+            code: "",
+            priority: "low",
+          });
+        }
+        break;
+      }
+
+      case "focusable-in-aria-hidden":
+        suggestions.push({
+          type: "attribute",
+          action: "Take the element out of the tab order",
+          code: `<${tag} tabindex="-1">`,
+          priority: "high",
+        });
+        suggestions.push({
+          type: "attribute",
+          action: "Replace aria-hidden on the container with inert",
+          code: "<div inert>...</div>",
+          priority: "medium",
+        });
+        suggestions.push({
+          type: "attribute",
+          action: "Or remove aria-hidden if the content should be reachable",
+          code: "",
+          priority: "medium",
+        });
+        break;
+
+      case "duplicate-id":
+      case "duplicate-id-referenced": {
+        const { id, count } = result.details || {};
+        suggestions.push({
+          type: "attribute",
+          action: `Give each of the ${count} elements a unique id`,
+          code: `<${tag} id="${id}-2">`,
+          priority: result.ruleId === "duplicate-id" ? "medium" : "high",
+        });
+        if (result.ruleId === "duplicate-id-referenced") {
+          suggestions.push({
+            type: "attribute",
+            action: "Point each reference at the element it means",
+            code: `<label for="${id}-2">...</label>`,
+            priority: "high",
+          });
+        }
+        break;
+      }
+
+      case "broken-id-reference": {
+        const [{ attribute, id } = {}] = (result.details || {}).missing || [];
+        suggestions.push({
+          type: "html",
+          action: `Add the element with id "${id}"`,
+          code: `<div id="${id}">...</div>`,
+          priority: "high",
+        });
+        suggestions.push({
+          type: "attribute",
+          action: `Point ${attribute} at an existing id, or remove it`,
+          code: `<${tag} ${attribute}="existing-id">`,
+          priority: "medium",
+        });
+        break;
+      }
+
+      case "invalid-lang-attribute":
+      case "invalid-lang-of-parts": {
+        const lang = element?.getAttribute("lang") || "";
+        ((result.details || {}).problems || []).forEach(
+          ({ attribute, value, problem }) => {
+            if (problem === "mismatch") {
+              suggestions.push({
+                type: "attribute",
+                action:
+                  "Give xml:lang the same value as lang, or remove it (it only matters in XHTML)",
+                code: `<${tag} lang="${this._suggestLanguageTag(
+                  lang
+                )}" xml:lang="${this._suggestLanguageTag(lang)}">`,
+                priority: "medium",
+              });
+            } else {
+              suggestions.push({
+                type: "attribute",
+                action: `Replace "${value}" with a BCP 47 language tag`,
+                code: `<${tag} ${attribute}="${this._suggestLanguageTag(
+                  value
+                )}">`,
+                priority: "high",
+              });
+            }
+          }
+        );
+        break;
+      }
+
+      case "missing-page-title":
+        suggestions.push({
+          type: "html",
+          action: "Add a title naming the page, then the site",
+          code: "<head>\n  <title>Page name - Site name</title>\n</head>",
+          priority: "high",
+        });
+        break;
+
+      case "generic-page-title": {
+        const heading = element?.ownerDocument
+          .querySelector("h1")
+          ?.textContent.replace(/\s+/g, " ")
+          .trim();
+        suggestions.push({
+          type: "html",
+          action: heading
+            ? "Name the page after its main heading"
+            : "Name the page, then the site",
+          code: `<title>${heading || "Page name"} - Site name</title>`,
+          priority: "medium",
+        });
+        break;
+      }
+
+      case "viewport-zoom-disabled": {
+        const { content = "", problems = [] } = result.details || {};
+        const kept = content
+          .split(/[,;]/)
+          .map((setting) => setting.trim())
+          .filter(
+            (setting) =>
+              setting &&
+              !problems.includes(setting.toLowerCase().replace(/\s+/g, ""))
+          );
+        suggestions.push({
+          type: "attribute",
+          action: `Remove ${problems.join(" and ")} so users can zoom`,
+          code: `<meta name="viewport" content="${
+            kept.join(", ") || "width=device-width, initial-scale=1"
+          }">`,
+          priority: "high",
+        });
+        break;
+      }
+
+      case "missing-main-landmark":
+        suggestions.push({
+          type: "html",
+          action: "Wrap the primary content in a main element",
+          code: "<main>\n  <h1>Page title</h1>\n  ...\n</main>",
+          priority: "medium",
+        });
+        break;
+
+      case "multiple-main-landmarks":
+        suggestions.push({
+          type: "html",
+          action: "Keep one main and make this one a named section",
+          code: '<section aria-label="Related content">...</section>',
+          priority: "medium",
+        });
+        break;
+
+      case "duplicate-landmark-names": {
+        const { role = "navigation" } = result.details || {};
+        suggestions.push({
+          type: "attribute",
+          action: `Name each ${role} landmark after its purpose`,
+          code: `<${tag} aria-label="Unique ${role} name">`,
+          priority: "medium",
+        });
+        break;
+      }
+
+      case "nested-banner-contentinfo": {
+        const { role = "banner" } = result.details || {};
+        suggestions.push({
+          type: "attribute",
+          action: `Remove role="${role}" if the element only heads or ends its section`,
+          code: `<${tag}>`,
+          priority: "medium",
+        });
+        suggestions.push({
+          type: "html",
+          action:
+            "Move the page-wide header or footer out of the other landmark",
+          code:
+            role === "banner"
+              ? "<header>...</header>\n<main>...</main>"
+              : "<main>...</main>\n<footer>...</footer>",
+          priority: "low",
+        });
+        break;
+      }
+
+      case "content-outside-landmarks":
+        suggestions.push({
+          type: "html",
+          action: "Move the content into the landmark it belongs to",
+          code: `<main>\n  <${tag}>...</${tag}>\n</main>`,
+          priority: "medium",
+        });
+        break;
+
       default:
         suggestions.push({
           type: "general",
@@ -380,6 +1153,25 @@ class Reporter {
     return suggestions;
   }
 
+  /**
+   * Best guess at the tag meant by a malformed lang value: the code for a
+   * language name, or the value with underscores turned into hyphens
+   */
+  _suggestLanguageTag(value) {
+    const trimmed = value.trim().toLowerCase();
+    if (LANGUAGE_NAME_TAGS[trimmed]) {
+      return LANGUAGE_NAME_TAGS[trimmed];
+    }
+    const [language, ...subtags] = trimmed.split(/[-_\s]+/).filter(Boolean);
+    const tag = [
+      language,
+      ...subtags.map((subtag) =>
+        subtag.length === 2 ? subtag.toUpperCase() : subtag
+      ),
+    ].join("-");
+    return /^[a-z]{2,3}(-|$)/.test(tag) ? tag : "en";
+  }
+
   /**
    * Check if image is likely decorative
    * @param {Element} img - Image element
@@ -447,8 +1239,70 @@ class Reporter {
           "https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html",
         ],
       },
+      "missing-page-title": {
+        ...baseContent,
+        explanation:
+          "The title is the first thing screen readers announce on a new page, and it names the page's tab, bookmark and history entry.",
+        analogy:
+          "Like a book with a blank spine - you have to open it to find out what it is.",
+        additionalResources: [
+          "https://www.w3.org/WAI/WCAG21/Understanding/page-titled.html",
+          "https://www.w3.org/WAI/WCAG21/Techniques/html/H25",
+        ],
+      },
+      "generic-page-title": {
+        ...baseContent,
+        explanation:
+          'A title like "Untitled" or "index.html" is announced for every page, so users can\'t tell pages or tabs apart. Put the page\'s own name first and the site name after it.',
+        analogy:
+          'Like a filing cabinet where every folder is labeled "Folder".',
+        additionalResources: [
+          "https://www.w3.org/WAI/WCAG21/Understanding/page-titled.html",
+          "https://www.w3.org/WAI/WCAG21/Techniques/general/G88",
+        ],
+      },
+      "viewport-zoom-disabled": {
+        ...baseContent,
+        explanation:
+          "user-scalable=no and a low maximum-scale stop pinch-zoom on mobile browsers, so people with low vision can't enlarge text to 200%. Some browsers ignore these settings, but many still honor them.",
+        analogy:
+          "Like printing a document in small type and taking away the reader's glasses.",
+        additionalResources: [
+          "https://www.w3.org/WAI/WCAG21/Understanding/resize-text.html",
+          "https://developer.mozilla.org/en-US/docs/Web/HTML/Viewport_meta_tag",
+        ],
+      },
+      "invalid-lang-attribute": {
+        ...baseContent,
+        explanation:
+          'Screen readers pick their voice and pronunciation rules from the page language. A malformed tag such as "en_US" or "english" isn\'t recognized, so text may be read with the wrong accent or spelled out.',
+        analogy:
+          "Like handing a reader a book labeled in a language code nobody uses - they have to guess how to pronounce it.",
+        additionalResources: [
+          "https://www.w3.org/WAI/WCAG21/Understanding/language-of-page.html",
+          "https://www.w3.org/International/questions/qa-choosing-language-tags",
+        ],
+      },
+      "invalid-lang-of-parts": {
+        ...baseContent,
+        explanation:
+          "A lang attribute on a passage switches the screen reader to that language. If the tag is malformed, the passage is read with the page's language rules instead.",
+        analogy:
+          "Like reading a French quote aloud with English pronunciation.",
+        additionalResources: [
+          "https://www.w3.org/WAI/WCAG21/Understanding/language-of-parts.html",
+          "https://www.w3.org/International/questions/qa-choosing-language-tags",
+        ],
+      },
     };
 
+    if (this._educationalContent.has(result.ruleId)) {
+      return {
+        ...baseContent,
+        ...this._educationalContent.get(result.ruleId),
+      };
+    }
+
     return educationalContent[result.ruleId] || baseContent;
   }
 
@@ -471,6 +1325,46 @@ class Reporter {
         'Screen reader users will only hear "link" without knowing where it goes.',
       "invalid-aria-attributes":
         "Screen readers may announce incorrect information or ignore the element entirely.",
+      "invalid-aria-role":
+        "Assistive technology ignores the role, so users hear a generic element instead of a widget.",
+      "aria-required-attributes":
+        "Screen readers can't announce the element's state, e.g. whether a checkbox is checked.",
+      "aria-required-children":
+        "Screen readers can't report the structure, e.g. how many items a list has.",
+      "aria-required-parent":
+        "Screen readers can't tell which widget the element belongs to or its position in it.",
+      "aria-prohibited-attributes":
+        "Assistive technology ignores or misreports attributes the role doesn't support.",
+      "deprecated-aria-attributes":
+        "Assistive technology may ignore deprecated attributes, so their information is lost.",
+      "duplicate-id":
+        "Scripts and assistive technology find only the first element with the ID, so the others may not work as intended.",
+      "duplicate-id-referenced":
+        "Labels, descriptions or table headers may be announced for the wrong element, or not at all.",
+      "broken-id-reference":
+        "The label, description or relationship the reference promises is missing for screen reader users.",
+      "invalid-lang-attribute":
+        "Screen readers may read the whole page with the wrong pronunciation rules.",
+      "invalid-lang-of-parts":
+        "Screen readers may read this passage with the pronunciation of the surrounding language.",
+      "missing-page-title":
+        "Screen reader users hear no page name when it loads, and can't tell its tab or bookmark apart from others.",
+      "generic-page-title":
+        "Users switching between tabs, bookmarks or history entries can't tell which page this is.",
+      "viewport-zoom-disabled":
+        "People with low vision can't zoom in on mobile devices to read the content.",
+      "missing-main-landmark":
+        "Screen reader users can't jump straight to the page's primary content.",
+      "multiple-main-landmarks":
+        "Screen reader users can't tell which main landmark holds the primary content.",
+      "duplicate-landmark-names":
+        "Landmark lists show identical entries, so screen reader users can't tell the regions apart.",
+      "nested-banner-contentinfo":
+        "The page's header or footer is announced inside another region, which misrepresents the page structure.",
+      "content-outside-landmarks":
+        "Screen reader users who navigate by landmark skip this content entirely.",
+      "focusable-in-aria-hidden":
+        "Keyboard and screen reader users can focus the element but hear nothing, or hear it without context.",
       "missing-heading-structure":
         "Screen reader users rely on headings to navigate and understand page structure.",
     };
@@ -517,19 +1411,61 @@ class Reporter {
   }
 
   /**
-   * Update summary statistics
+   * Update summary statistics. Severity counts leave out results with
+   * status "needs-review", which are counted on their own.
    */
   _updateSummary() {
+    const confirmed = this.results.filter((r) => r.status !== "needs-review");
     this.summary = {
       total: this.results.length,
-      errors: this.results.filter((r) => r.severity === "error").length,
-      warnings: this.results.filter((r) => r.severity === "warning").length,
-      info: this.results.filter((r) => r.severity === "info").length,
+      errors: confirmed.filter((r) => r.severity === "error").length,
+      warnings: confirmed.filter((r) => r.severity === "warning").length,
+      info: confirmed.filter((r) => r.severity === "info").length,
+      needsReview: this.results.filter((r) => r.status === "needs-review")
+        .length,
+      suppressed: this.suppressed.length,
+      baseline: this._getBaselineStatus(),
       categories: this._getCategoryCounts(),
+      frames: this._getFrameCounts(),
+      thresholds: this._getThresholdStatus(),
       lastUpdate: new Date().toISOString(),
     };
   }
 
+  /**
+   * Check the configured thresholds
+   * @returns {{passed: boolean, failures: Array<string>}|null} Status, or
+   *   null without thresholds
+   */
+  _getThresholdStatus() {
+    if (!this.thresholds) {
+      return null;
+    }
+    const failures = this.checkThresholds();
+    return { passed: failures.length === 0, failures };
+  }
+
+  /**
+   * Compare the current issues with the baseline
+   * @returns {{total: number, remaining: number, fixed: number}|null}
+   *   Baseline issues in total, still present and no longer found; null
+   *   without a baseline
+   */
+  _getBaselineStatus() {
+    if (!this.baseline) {
+      return null;
+    }
+    // Suppressed issues still exist, so they don't count as fixed
+    const present = new Set(
+      [...this.baselineResults, ...this.suppressed].map((result) => result.id)
+    );
+    const total = this._baselineFingerprints.size;
+    const remaining = Array.from(this._baselineFingerprints).filter(
+      (fingerprint) => present.has(fingerprint)
+    ).length;
+    return { total, remaining, fixed: total - remaining };
+  }
+
   /**
    * Get counts by category
    * @returns {Object} Category counts
@@ -542,6 +1478,36 @@ class Reporter {
     return counts;
   }
 
+  /**
+   * Get counts by frame
+   * @returns {Object} Frame label to issue count
+   */
+  _getFrameCounts() {
+    const counts = {};
+    this.results.forEach((result) => {
+      const label = this._getFrameLabel(result.frame);
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Group results by the frame they came from
+   * @returns {Array<{frame: string, results: Array<ProcessedResult>}>}
+   *   Groups in order of first appearance
+   */
+  _groupResultsByFrame() {
+    const groups = new Map();
+    this.results.forEach((result) => {
+      const label = this._getFrameLabel(result.frame);
+      if (!groups.has(label)) {
+        groups.set(label, []);
+      }
+      groups.get(label).push(result);
+    });
+    return Array.from(groups, ([frame, results]) => ({ frame, results }));
+  }
+
   /**
    * Get current summary
    * @returns {Object} Summary statistics
@@ -550,6 +1516,16 @@ class Reporter {
     return { ...this.summary };
   }
 
+  /**
+   * Get the results suppressed with data-a11y-ignore or a11y-live-disable
+   * comments
+   * @returns {Array<ProcessedResult>} Suppressed results; each has
+   *   suppression.justification
+   */
+  getSuppressedResults() {
+    return [...this.suppressed];
+  }
+
   /**
    * Get results filtered by criteria
    * @param {Object} filters - Filter criteria
@@ -576,6 +1552,12 @@ class Reporter {
       );
     }
 
+    if (filters.frame) {
+      filtered = filtered.filter(
+        (result) => this._getFrameLabel(result.frame) === filters.frame
+      );
+    }
+
     if (filters.search) {
       const search = filters.search.toLowerCase();
       filtered = filtered.filter(
@@ -615,44 +1597,74 @@ class Reporter {
     return JSON.stringify(
       {
         summary: this.summary,
-        results: this.results.map((result) => ({
-          ...result,
-          element: undefined, // Remove DOM element reference
-          elementSelector: result.selector,
+        frames: this._groupResultsByFrame().map((group) => ({
+          frame: group.frame,
+          count: group.results.length,
         })),
+        results: this.results.map((result) => this._serializeResult(result)),
+        suppressed: this.suppressed.map((result) =>
+          this._serializeResult(result)
+        ),
+        ruleProfile: this.ruleProfile || undefined,
       },
       null,
       2
     );
   }
 
+  /**
+   * Prepare a result for JSON export
+   * @param {ProcessedResult} result - Result
+   * @returns {Object} Result without the DOM element reference
+   */
+  _serializeResult(result) {
+    return {
+      ...result,
+      element: undefined, // Remove DOM element reference
+      elementSelector: result.selector,
+      related: (result.related || []).map(({ relation, selector }) => ({
+        relation,
+        selector,
+      })),
+      frameLabel: this._getFrameLabel(result.frame),
+    };
+  }
+
   /**
    * Export as CSV
    * @returns {string} CSV string
    */
   _exportCSV() {
     const headers = [
+      "ID",
       "Rule ID",
       "Name",
       "Severity",
+      "Status",
       "Category",
       "WCAG",
       "Element",
+      "Frame",
       "Location",
       "Message",
       "Impact Score",
+      "Justification",
     ];
 
-    const rows = this.results.map((result) => [
+    const rows = [...this.results, ...this.suppressed].map((result) => [
+      result.id,
       result.ruleId,
       result.name,
       result.severity,
+      result.status || "violation",
       result.category,
       result.wcag || "",
       result.selector,
+      this._getFrameLabel(result.frame),
       result.context?.location || "",
       result.message,
       result.impact || 0,
+      result.suppression?.justification || "",
     ]);
 
     const csvContent = [headers, ...rows]
@@ -691,21 +1703,24 @@ class Reporter {
         .violation.error { border-left: 4px solid #dc3545; }
         .violation.warning { border-left: 4px solid #fd7e14; }
         .violation.info { border-left: 4px solid #0dcaf0; }
+        .violation.suppressed { border-left: 4px solid #6c757d; }
         .violation-header { display: flex; justify-content: between; align-items: start; margin-bottom: 10px; }
         .violation-title { font-weight: bold; font-size: 1.1em; margin: 0; }
         .severity-badge { padding: 4px 8px; border-radius: 4px; color: white; font-size: 0.8em; margin-left: 10px; }
         .severity-error { background: #dc3545; }
         .severity-warning { background: #fd7e14; }
         .severity-info { background: #0dcaf0; }
+        .severity-review { background: #6c757d; }
         .element-info { background: #f8f9fa; padding: 10px; border-radius: 4px; margin: 10px 0; font-family: monospace; }
         .suggestion { background: #d1ecf1; border: 1px solid #bee5eb; padding: 10px; border-radius: 4px; margin-top: 10px; }
         code { background: #f8f9fa; padding: 2px 4px; border-radius: 3px; }
+        .frame-heading { color: #495057; border-bottom: 1px solid #dee2e6; padding-bottom: 6px; }
     </style>
 </head>
 <body>
     <div class="header">
         <h1>🎯 A11y Live Accessibility Report</h1>
-        <p>Generated on ${timestamp}</p>
+        <p>Generated on ${this._escapeHtml(timestamp)}</p>
     </div>
 
     <div class="summary">
@@ -725,6 +1740,10 @@ class Reporter {
             <div class="stat-number">${this.summary.total}</div>
             <div>Total Issues</div>
         </div>
+        <div class="stat-card">
+            <div class="stat-number">${this.summary.suppressed}</div>
+            <div>Suppressed</div>
+        </div>
     </div>
 
     <h2>Violations by Category</h2>
@@ -732,53 +1751,136 @@ class Reporter {
         ${Object.entries(this.summary.categories)
           .map(
             ([category, count]) =>
-              `<p><strong>${category}:</strong> ${count} issues</p>`
+              `<p><strong>${this._escapeHtml(
+                category
+              )}:</strong> ${count} issues</p>`
+          )
+          .join("")}
+    </div>
+
+    <h2>Violations by Frame</h2>
+    <div class="frame-summary">
+        ${Object.entries(this.summary.frames)
+          .map(
+            ([frame, count]) =>
+              `<p><strong>${this._escapeHtml(frame)}:</strong> ${count} issues</p>`
           )
           .join("")}
     </div>
 
     <h2>Detailed Results</h2>
-    ${this.results
+    ${this._groupResultsByFrame()
+      .map(
+        (group) => `
+    <h3 class="frame-heading">Frame: ${this._escapeHtml(group.frame)} (${
+      group.results.length
+    } issues)</h3>
+    ${group.results
       .map(
         (result) => `
-        <div class="violation ${result.severity}">
+        <div class="violation ${this._escapeHtml(result.severity)}">
             <div class="violation-header">
-                <h3 class="violation-title">${result.name}</h3>
-                <span class="severity-badge severity-${
+                <h3 class="violation-title">${this._escapeHtml(
+                  result.name
+                )}</h3>
+                <span class="severity-badge severity-${this._escapeHtml(
                   result.severity
-                }">${result.severity.toUpperCase()}</span>
+                )}">${this._escapeHtml(result.severity.toUpperCase())}</span>${
+                  result.status === "needs-review"
+                    ? `<span class="severity-badge severity-review">NEEDS REVIEW</span>`
+                    : ""
+                }
             </div>
-            <p>${result.description}</p>
+            <p>${this._escapeHtml(result.description)}</p>
             <div class="element-info">
-                <strong>Element:</strong> <code>${result.selector}</code><br>
-                <strong>Location:</strong> ${
+                <strong>Element:</strong> <code>${this._escapeHtml(
+                  result.selector
+                )}</code><br>
+                <strong>Location:</strong> ${this._escapeHtml(
                   result.context?.location || "Unknown"
-                }<br>
-                <strong>WCAG:</strong> ${result.wcag || "N/A"}
+                )}<br>
+                <strong>WCAG:</strong> ${this._escapeHtml(result.wcag || "N/A")}<br>
+                <strong>ID:</strong> <code>${this._escapeHtml(result.id)}</code>
             </div>
-            <p><strong>Issue:</strong> ${result.message}</p>
+            <p><strong>Issue:</strong> ${this._escapeHtml(result.message)}</p>
             <div class="suggestion">
-                <strong>💡 How to fix:</strong> ${result.suggestion}
+                <strong>💡 How to fix:</strong> ${this._escapeHtml(
+                  result.suggestion
+                )}
             </div>
             ${
               result.userImpact
-                ? `<p><strong>👥 User Impact:</strong> ${result.userImpact}</p>`
+                ? `<p><strong>👥 User Impact:</strong> ${this._escapeHtml(
+                    result.userImpact
+                  )}</p>`
                 : ""
             }
         </div>
     `
+      )
+      .join("")}`
       )
       .join("")}
-
+${
+  this.suppressed.length > 0
+    ? `
+    <h2>Suppressed Issues</h2>
+    ${this.suppressed
+      .map(
+        (result) => `
+        <div class="violation suppressed">
+            <div class="violation-header">
+                <h3 class="violation-title">${this._escapeHtml(
+                  result.name
+                )}</h3>
+                <span class="severity-badge severity-review">SUPPRESSED</span>
+            </div>
+            <div class="element-info">
+                <strong>Element:</strong> <code>${this._escapeHtml(
+                  result.selector
+                )}</code><br>
+                <strong>Frame:</strong> ${this._escapeHtml(
+                  this._getFrameLabel(result.frame)
+                )}<br>
+                <strong>ID:</strong> <code>${this._escapeHtml(result.id)}</code>
+            </div>
+            <p><strong>Justification:</strong> ${this._escapeHtml(
+              result.suppression.justification
+            )}</p>
+        </div>
+    `
+      )
+      .join("")}`
+    : ""
+}
 </body>
 </html>`;
   }
 
+  /**
+   * Escape text for the HTML report
+   * @param {string} str - Text
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
   /**
    * Clear all results
    */
   clearResults() {
     this.results = [];
+    this.rawResults = [];
+    this.suppressed = [];
+    this.baselineResults = [];
+    this.lastChanges = { added: [], resolved: [], changed: [] };
+    this.recentlyResolved = [];
     this._updateSummary();
   }
 }
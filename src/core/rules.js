@@ -5,10 +5,646 @@
  * Contains WCAG-based rules and utility functions for accessibility testing.
  */
 
+// Joins selector segments across shadow boundaries: the part before the
+// separator locates the shadow host, the part after is scoped to its root.
+const SHADOW_SELECTOR_SEPARATOR = " >>> ";
+
+// Rule definition schema: every allowed key and whether it is required
+const RULE_SCHEMA = {
+  id: { type: "string", required: true },
+  name: { type: "string", required: true },
+  description: { type: "string", required: true },
+  wcag: { type: "string" },
+  severity: { type: "string", required: true },
+  category: { type: "string", required: true },
+  tags: { type: "array" },
+  scope: { type: "string" },
+  exposure: { type: "string" },
+  selector: { type: "string", required: true },
+  test: { type: "function" },
+  evaluate: { type: "function" },
+  options: { type: "object" },
+  message: { type: "string", required: true },
+  suggestion: { type: "string" },
+  details: { type: "function" },
+  related: { type: "function" },
+  examples: { type: "object" },
+  resources: { type: "array" },
+};
+
+const RULE_SEVERITIES = ["error", "warning", "info"];
+
+// Returned by a rule test that cannot decide without a layout engine; the
+// result is reported with status "needs-review" instead of passing
+const NEEDS_REVIEW = "needs-review";
+// Status of results the page author suppressed inline
+const SUPPRESSED = "suppressed";
+const RULE_SCOPES = ["element", "subtree", "document"];
+// Content a rule applies to: "exposed" (in the accessibility tree, the
+// default), "rendered" (displayed, even if hidden from assistive
+// technology) or "all"
+const RULE_EXPOSURES = ["exposed", "rendered", "all"];
+
+// Elements whose content is never rendered
+const NON_RENDERED_TAGS = ["script", "style", "template", "noscript"];
+
+// Elements in the sequential focus order unless disabled
+const TABBABLE_SELECTOR =
+  "a[href], area[href], button, input:not([type=hidden]), select, " +
+  "textarea, summary, iframe, audio[controls], video[controls], " +
+  '[contenteditable]:not([contenteditable="false"]), [tabindex]';
+
+// Run durations kept per rule for the p95 in getRuleProfile()
+const PROFILE_SAMPLE_SIZE = 1000;
+
+/**
+ * Error raised when a rule definition does not match RULE_SCHEMA
+ */
+class RuleValidationError extends Error {
+  /**
+   * @param {string} ruleId - ID of the invalid rule (or "<unknown>")
+   * @param {Array<string>} problems - Human-readable validation failures
+   */
+  constructor(ruleId, problems) {
+    super(`Invalid rule "${ruleId}": ${problems.join("; ")}`);
+    this.name = "RuleValidationError";
+    this.ruleId = ruleId;
+    this.problems = problems;
+  }
+}
+
+// Inline suppressions: "<rule ids or all>: <justification>", in a
+// data-a11y-ignore attribute (element and subtree) or an HTML comment pair
+// (following siblings and their subtrees, up to the matching enable comment)
+const SUPPRESSION_ATTRIBUTE = "data-a11y-ignore";
+const SUPPRESSION_COMMENT_PATTERN =
+  /^\s*a11y-live-(disable|enable)\b([\s\S]*)$/;
+
+// Accessible name computation and role lookup, shared with the UI. Loaded
+// before this file in global-script mode.
+const AccName =
+  typeof module !== "undefined" && module.exports
+    ? require("./accname.js")
+    : window.AccessibleName;
+
+// Roles that identify landmark regions
+const LANDMARK_ROLES = [
+  "banner",
+  "complementary",
+  "contentinfo",
+  "form",
+  "main",
+  "navigation",
+  "region",
+  "search",
+];
+
+// Elements and role attributes that may make a landmark
+const LANDMARK_SELECTOR = [
+  "aside",
+  "footer",
+  "form",
+  "header",
+  "main",
+  "nav",
+  "search",
+  "section",
+  ...LANDMARK_ROLES.map((role) => `[role~=${role}]`),
+].join(", ");
+
+// Content that counts outside landmarks even without text
+const LANDMARK_CONTENT_SELECTOR =
+  "img, svg, canvas, video, audio, iframe, object, embed, button, " +
+  "input:not([type=hidden]), select, textarea";
+
+// Same-page links, which are usually skip links and may sit outside
+// landmarks
+const SKIP_LINK_SELECTOR = 'a[href^="#"]';
+
+// Page titles that don't say what the page is about (compared lowercased)
+const GENERIC_PAGE_TITLES = [
+  "default",
+  "document",
+  "home",
+  "index",
+  "new page",
+  "page",
+  "react app",
+  "title",
+  "untitled",
+  "untitled document",
+  "vite app",
+  "welcome",
+];
+
+// Well-formed BCP 47 (RFC 5646) language tags: language, extlang, script,
+// region, variants, extensions and private use, or private use alone.
+// Four- and five-to-eight-letter languages are well-formed but unassigned
+// (lang="english" is a common mistake), so they are left out.
+const LANGUAGE_TAG_PATTERN = new RegExp(
+  "^(?:[a-z]{2,3}(?:-[a-z]{3}){0,3}" + // language and extlangs
+    "(?:-[a-z]{4})?" + // script
+    "(?:-(?:[a-z]{2}|\\d{3}))?" + // region
+    "(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*" + // variants
+    "(?:-[a-wyz\\d](?:-[a-z\\d]{2,8})+)*" + // extensions
+    "(?:-x(?:-[a-z\\d]{1,8})+)?" + // private use
+    "|x(?:-[a-z\\d]{1,8})+)$",
+  "i"
+);
+
+// Grandfathered tags that don't follow the tag syntax
+const IRREGULAR_LANGUAGE_TAGS = [
+  "en-gb-oed",
+  "i-ami",
+  "i-bnn",
+  "i-default",
+  "i-enochian",
+  "i-hak",
+  "i-klingon",
+  "i-lux",
+  "i-mingo",
+  "i-navajo",
+  "i-pwn",
+  "i-tao",
+  "i-tay",
+  "i-tsu",
+  "sgn-be-fr",
+  "sgn-be-nl",
+  "sgn-ch-de",
+];
+
+// Lowest maximum-scale that still lets users zoom text to 200%
+const VIEWPORT_MIN_MAXIMUM_SCALE = 2;
+
+// WAI-ARIA 1.2 role data model (https://www.w3.org/TR/wai-aria-1.2/)
+
+// States and properties supported by every role
+const ARIA_GLOBAL_ATTRIBUTES = [
+  "aria-atomic",
+  "aria-busy",
+  "aria-controls",
+  "aria-current",
+  "aria-describedby",
+  "aria-details",
+  "aria-flowto",
+  "aria-hidden",
+  "aria-keyshortcuts",
+  "aria-label",
+  "aria-labelledby",
+  "aria-live",
+  "aria-owns",
+  "aria-relevant",
+  "aria-roledescription",
+];
+
+// Global in ARIA 1.1, deprecated in 1.2 on roles that don't list them
+const ARIA_FORMERLY_GLOBAL_ATTRIBUTES = [
+  "aria-disabled",
+  "aria-errormessage",
+  "aria-haspopup",
+  "aria-invalid",
+];
+
+// Deprecated on every role
+const ARIA_DEPRECATED_ATTRIBUTES = ["aria-dropeffect", "aria-grabbed"];
+
+// Roles that only structure the taxonomy and must not be used in content
+const ARIA_ABSTRACT_ROLES = [
+  "command",
+  "composite",
+  "input",
+  "landmark",
+  "range",
+  "roletype",
+  "section",
+  "sectionhead",
+  "select",
+  "structure",
+  "widget",
+  "window",
+];
+
+// Attribute groups shared by several roles below
+const ARIA_CELL_ATTRIBUTES = [
+  "aria-colindex",
+  "aria-colspan",
+  "aria-rowindex",
+  "aria-rowspan",
+];
+const ARIA_HEADER_ATTRIBUTES = [
+  ...ARIA_CELL_ATTRIBUTES,
+  "aria-disabled",
+  "aria-errormessage",
+  "aria-expanded",
+  "aria-haspopup",
+  "aria-invalid",
+  "aria-readonly",
+  "aria-required",
+  "aria-selected",
+  "aria-sort",
+];
+const ARIA_CHECKABLE_ATTRIBUTES = [
+  "aria-checked",
+  "aria-disabled",
+  "aria-errormessage",
+  "aria-expanded",
+  "aria-invalid",
+  "aria-readonly",
+  "aria-required",
+];
+const ARIA_MENUITEM_ATTRIBUTES = [
+  "aria-disabled",
+  "aria-expanded",
+  "aria-haspopup",
+  "aria-posinset",
+  "aria-setsize",
+];
+const ARIA_MENU_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-disabled",
+  "aria-orientation",
+];
+const ARIA_RANGE_ATTRIBUTES = [
+  "aria-valuemax",
+  "aria-valuemin",
+  "aria-valuenow",
+  "aria-valuetext",
+];
+const ARIA_TEXTBOX_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-autocomplete",
+  "aria-disabled",
+  "aria-errormessage",
+  "aria-haspopup",
+  "aria-invalid",
+  "aria-multiline",
+  "aria-placeholder",
+  "aria-readonly",
+  "aria-required",
+];
+const ARIA_GRID_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-colcount",
+  "aria-disabled",
+  "aria-multiselectable",
+  "aria-readonly",
+  "aria-rowcount",
+];
+const ARIA_MENU_ITEMS = [
+  "group",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+];
+const ARIA_CELLS = ["cell", "columnheader", "gridcell", "rowheader"];
+const ARIA_ROW_CONTAINERS = ["grid", "rowgroup", "table", "treegrid"];
+
+// Concrete roles. attributes: role-specific states and properties
+// (inherited ones included; global ones apply to all roles); required: the
+// ones authors must set; owned: required owned elements; context: required
+// context roles; nameProhibited: aria-label and aria-labelledby are not
+// allowed.
+const ARIA_ROLES = {
+  alert: {},
+  alertdialog: { attributes: ["aria-modal"] },
+  application: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-invalid",
+    ],
+  },
+  article: { attributes: ["aria-posinset", "aria-setsize"] },
+  banner: {},
+  blockquote: {},
+  button: {
+    attributes: [
+      "aria-disabled",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-pressed",
+    ],
+  },
+  caption: { nameProhibited: true },
+  cell: { attributes: ARIA_CELL_ATTRIBUTES, context: ["row"] },
+  checkbox: {
+    attributes: ARIA_CHECKABLE_ATTRIBUTES,
+    required: ["aria-checked"],
+  },
+  code: { nameProhibited: true },
+  columnheader: { attributes: ARIA_HEADER_ATTRIBUTES, context: ["row"] },
+  combobox: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-autocomplete",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+    required: ["aria-expanded"],
+  },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { nameProhibited: true },
+  dialog: { attributes: ["aria-modal"] },
+  // Deprecated in ARIA 1.2, still a valid context for listitem
+  directory: {},
+  document: {},
+  emphasis: { nameProhibited: true },
+  feed: { owned: ["article"] },
+  figure: {},
+  form: {},
+  generic: { nameProhibited: true },
+  grid: { attributes: ARIA_GRID_ATTRIBUTES, owned: ["row", "rowgroup"] },
+  gridcell: {
+    attributes: ARIA_HEADER_ATTRIBUTES.filter((attr) => attr !== "aria-sort"),
+    context: ["row"],
+  },
+  group: { attributes: ["aria-activedescendant", "aria-disabled"] },
+  heading: { attributes: ["aria-level"], required: ["aria-level"] },
+  img: {},
+  insertion: { nameProhibited: true },
+  link: { attributes: ["aria-disabled", "aria-expanded", "aria-haspopup"] },
+  list: { owned: ["listitem"] },
+  listbox: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-invalid",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+    owned: ["group", "option"],
+  },
+  listitem: {
+    attributes: ["aria-level", "aria-posinset", "aria-setsize"],
+    context: ["directory", "list"],
+  },
+  log: {},
+  main: {},
+  marquee: {},
+  math: {},
+  menu: { attributes: ARIA_MENU_ATTRIBUTES, owned: ARIA_MENU_ITEMS },
+  menubar: { attributes: ARIA_MENU_ATTRIBUTES, owned: ARIA_MENU_ITEMS },
+  menuitem: {
+    attributes: ARIA_MENUITEM_ATTRIBUTES,
+    context: ["group", "menu", "menubar"],
+  },
+  menuitemcheckbox: {
+    attributes: [...ARIA_MENUITEM_ATTRIBUTES, "aria-checked"],
+    required: ["aria-checked"],
+    context: ["group", "menu", "menubar"],
+  },
+  menuitemradio: {
+    attributes: [...ARIA_MENUITEM_ATTRIBUTES, "aria-checked"],
+    required: ["aria-checked"],
+    context: ["group", "menu", "menubar"],
+  },
+  meter: { attributes: ARIA_RANGE_ATTRIBUTES, required: ["aria-valuenow"] },
+  navigation: {},
+  none: { nameProhibited: true },
+  note: {},
+  option: {
+    attributes: [
+      "aria-checked",
+      "aria-disabled",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    context: ["group", "listbox"],
+  },
+  paragraph: { nameProhibited: true },
+  presentation: { nameProhibited: true },
+  progressbar: { attributes: ARIA_RANGE_ATTRIBUTES },
+  radio: {
+    attributes: [
+      "aria-checked",
+      "aria-disabled",
+      "aria-posinset",
+      "aria-setsize",
+    ],
+    required: ["aria-checked"],
+  },
+  radiogroup: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+    owned: ["radio"],
+  },
+  region: {},
+  row: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-colindex",
+      "aria-disabled",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-rowindex",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    owned: ARIA_CELLS,
+    context: ARIA_ROW_CONTAINERS,
+  },
+  rowgroup: { owned: ["row"], context: ["grid", "table", "treegrid"] },
+  rowheader: { attributes: ARIA_HEADER_ATTRIBUTES, context: ["row"] },
+  scrollbar: {
+    attributes: [...ARIA_RANGE_ATTRIBUTES, "aria-disabled", "aria-orientation"],
+    required: ["aria-controls", "aria-valuenow"],
+  },
+  search: {},
+  searchbox: { attributes: ARIA_TEXTBOX_ATTRIBUTES },
+  separator: {
+    attributes: [...ARIA_RANGE_ATTRIBUTES, "aria-disabled", "aria-orientation"],
+  },
+  slider: {
+    attributes: [
+      ...ARIA_RANGE_ATTRIBUTES,
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-readonly",
+    ],
+    required: ["aria-valuenow"],
+  },
+  spinbutton: {
+    attributes: [
+      ...ARIA_RANGE_ATTRIBUTES,
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  status: {},
+  strong: { nameProhibited: true },
+  subscript: { nameProhibited: true },
+  superscript: { nameProhibited: true },
+  switch: { attributes: ARIA_CHECKABLE_ATTRIBUTES, required: ["aria-checked"] },
+  tab: {
+    attributes: [
+      "aria-disabled",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    context: ["tablist"],
+  },
+  table: {
+    attributes: ["aria-colcount", "aria-rowcount"],
+    owned: ["row", "rowgroup"],
+  },
+  tablist: {
+    attributes: [...ARIA_MENU_ATTRIBUTES, "aria-multiselectable"],
+    owned: ["tab"],
+  },
+  tabpanel: {},
+  term: {},
+  textbox: { attributes: ARIA_TEXTBOX_ATTRIBUTES },
+  time: {},
+  timer: {},
+  toolbar: { attributes: ARIA_MENU_ATTRIBUTES },
+  tooltip: {},
+  tree: {
+    attributes: [
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-required",
+    ],
+    owned: ["group", "treeitem"],
+  },
+  treegrid: {
+    attributes: [
+      ...ARIA_GRID_ATTRIBUTES,
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-required",
+    ],
+    owned: ["row", "rowgroup"],
+  },
+  treeitem: {
+    attributes: [
+      "aria-checked",
+      "aria-disabled",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-level",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    context: ["group", "tree"],
+  },
+};
+
+// Every ARIA 1.2 state and property, deprecated ones included
+const ARIA_ATTRIBUTES = Array.from(
+  new Set([
+    ...ARIA_GLOBAL_ATTRIBUTES,
+    ...ARIA_FORMERLY_GLOBAL_ATTRIBUTES,
+    ...ARIA_DEPRECATED_ATTRIBUTES,
+    ...Object.values(ARIA_ROLES).flatMap((role) => [
+      ...(role.attributes || []),
+      ...(role.required || []),
+    ]),
+  ])
+);
+
+// Attributes that reference elements by ID, with the elements they
+// apply to
+const ID_REFERENCE_ATTRIBUTES = {
+  for: "label, output",
+  headers: "td, th",
+  list: "input",
+  form: "button, fieldset, input, object, output, select, textarea",
+  "aria-activedescendant": "*",
+  "aria-controls": "*",
+  "aria-describedby": "*",
+  "aria-details": "*",
+  "aria-errormessage": "*",
+  "aria-flowto": "*",
+  "aria-labelledby": "*",
+  "aria-owns": "*",
+};
+const ID_REFERENCE_SELECTOR = Object.entries(ID_REFERENCE_ATTRIBUTES)
+  .flatMap(([attr, tags]) =>
+    tags.split(", ").map((tag) => `${tag === "*" ? "" : tag}[${attr}]`)
+  )
+  .join(", ");
+
+// References that make a duplicate ID an error: labels, descriptions,
+// controlled elements and table headers then point at the wrong element
+const ESCALATED_ID_REFERENCES = [
+  "for",
+  "aria-labelledby",
+  "aria-describedby",
+  "aria-controls",
+  "headers",
+];
+
+// Roles looked through when collecting owned elements and context roles
+const ARIA_TRANSPARENT_ROLES = ["generic", "none", "presentation"];
+
 class RuleEngine {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.hasLayout] - Whether the DOM is rendered.
+   *   Defaults to false under jsdom, where layout-dependent rules then
+   *   report NEEDS_REVIEW instead of passing.
+   */
+  constructor(options = {}) {
+    this.hasLayout =
+      options.hasLayout ??
+      !(typeof navigator !== "undefined" && /jsdom/i.test(navigator.userAgent));
     this.rules = new Map();
     this.enabledRules = new Set();
+    // Project configuration applied with configure()
+    this._config = null;
+    // Analysis scope set with setScope(), on top of the config's
+    this.scope = { root: null, include: [], exclude: [] };
+    // Suppressions already warned about for a missing justification
+    this._warnedSuppressions = new WeakSet();
+    // Incremented whenever the rule set changes, so cached results expire
+    this.version = 0;
+    // Exposure states by element while caching (see startExposureCache())
+    this._exposureCache = null;
+    // Landmark lists by document, cached alongside exposure states
+    this._landmarkCache = null;
+    // Execution counts and times per rule ID (see getRuleProfile())
+    this._profile = new Map();
+    // Called as onRuleError(error, rule, element) when a rule throws
+    this.onRuleError = null;
     this._initializeRules();
   }
 
@@ -79,8 +715,16 @@ class RuleEngine {
         severity: "warning",
         category: "color_contrast",
         tags: ["contrast", "color", "readability"],
+        // Visible text needs contrast even when hidden from screen readers
+        exposure: "rendered",
         selector: "*",
-        test: (element) => this._checkColorContrast(element),
+        // Lenient defaults: WCAG asks for 4.5 (normal) and 3.0 (large text)
+        options: { normalTextRatio: 4.0, largeTextRatio: 2.5 },
+        test: (element) =>
+          this._checkColorContrast(
+            element,
+            this.getRuleOptions("insufficient-color-contrast")
+          ),
         message: "Text has insufficient color contrast ratio",
         suggestion: "Increase contrast between text and background colors",
       },
@@ -95,8 +739,9 @@ class RuleEngine {
         severity: "warning",
         category: "structural",
         tags: ["headings", "structure", "hierarchy"],
+        scope: "document",
         selector: "h1, h2, h3, h4, h5, h6",
-        test: (element) => this._validateHeadingLevel(element),
+        evaluate: (doc) => this._validateHeadingStructure(doc),
         message: "Heading level skips or breaks hierarchy",
         suggestion: "Use headings in sequential order (h1 → h2 → h3)",
       },
@@ -110,6 +755,7 @@ class RuleEngine {
         severity: "error",
         category: "keyboard",
         tags: ["focus", "keyboard", "navigation"],
+        exposure: "rendered",
         selector: 'a, button, [role="button"], [tabindex]:not([tabindex="-1"])',
         test: (element) => this._hasFocusIndicator(element),
         message: "Interactive element lacks visible focus indicator",
@@ -132,6 +778,151 @@ class RuleEngine {
         suggestion:
           "Review ARIA attribute usage and ensure proper implementation",
       },
+      {
+        id: "invalid-aria-role",
+        name: "Invalid ARIA Role",
+        description:
+          "Role attributes must name at least one concrete WAI-ARIA role",
+        wcag: "4.1.2",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "roles", "semantics"],
+        selector: "[role]",
+        test: (element) => this._hasValidRole(element),
+        details: (element) => ({
+          role: element.getAttribute("role").trim(),
+          abstract: AccName.getRoleTokens(element).filter((token) =>
+            ARIA_ABSTRACT_ROLES.includes(token)
+          ),
+        }),
+        message: "Element has an unknown or abstract ARIA role",
+        suggestion:
+          "Use a concrete WAI-ARIA role, or a native element with that role",
+      },
+      {
+        id: "aria-required-attributes",
+        name: "Missing Required ARIA Attributes",
+        description:
+          "Elements with a role must have the states and properties it requires",
+        wcag: "4.1.2",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "roles", "states"],
+        selector: this._getRoleSelector((role) => role.required),
+        test: (element) => this._getMissingAriaAttributes(element).length === 0,
+        details: (element) => ({
+          role: this._getExplicitAriaRole(element),
+          missing: this._getMissingAriaAttributes(element),
+        }),
+        message: "Element is missing ARIA attributes required by its role",
+        suggestion:
+          "Add the required states and properties (e.g. aria-checked on a checkbox)",
+      },
+      {
+        id: "aria-required-children",
+        name: "Missing Required Owned Elements",
+        description:
+          "Elements with a role must own the elements it requires, and only those",
+        wcag: "1.3.1",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "roles", "structure"],
+        scope: "subtree",
+        selector: this._getRoleSelector((role) => role.owned),
+        test: (element) => this._hasRequiredOwnedElements(element),
+        details: (element) => ({
+          role: this._getExplicitAriaRole(element),
+          allowed: this.getAriaRoleDefinition(
+            this._getExplicitAriaRole(element)
+          ).owned,
+          unexpected: this._getUnexpectedOwnedRoles(element),
+        }),
+        message: "Element does not own the elements its role requires",
+        suggestion:
+          'Give owned elements the required roles (e.g. role="listitem" in a list)',
+      },
+      {
+        id: "aria-required-parent",
+        name: "Missing Required Context Role",
+        description:
+          "Elements with a role must be inside the context role it requires",
+        wcag: "1.3.1",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "roles", "structure"],
+        selector: this._getRoleSelector((role) => role.context),
+        test: (element) => this._hasRequiredContext(element),
+        details: (element) => ({
+          role: this._getExplicitAriaRole(element),
+          context: this.getAriaRoleDefinition(
+            this._getExplicitAriaRole(element)
+          ).context,
+          parent: this._getContextRole(element),
+        }),
+        message: "Element is not inside the context role its role requires",
+        suggestion:
+          'Place the element inside its required parent role (e.g. role="tab" in a tablist)',
+      },
+      {
+        id: "aria-prohibited-attributes",
+        name: "ARIA Attributes Not Allowed on Role",
+        description:
+          "ARIA states and properties must be supported by the element's role",
+        wcag: "4.1.2",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "roles", "attributes"],
+        selector: "*",
+        test: (element) =>
+          this._getProhibitedAriaAttributes(element).length === 0,
+        details: (element) => ({
+          role: this._getAriaRole(element),
+          attributes: this._getProhibitedAriaAttributes(element),
+        }),
+        message: "Element has ARIA attributes its role does not support",
+        suggestion: "Remove the attributes, or use a role that supports them",
+      },
+      {
+        id: "deprecated-aria-attributes",
+        name: "Deprecated ARIA Attributes",
+        description: "Deprecated ARIA states and properties should not be used",
+        wcag: "4.1.2",
+        severity: "warning",
+        category: "aria",
+        tags: ["aria", "attributes", "deprecated"],
+        selector: [
+          ...ARIA_DEPRECATED_ATTRIBUTES,
+          ...ARIA_FORMERLY_GLOBAL_ATTRIBUTES,
+        ]
+          .map((attr) => `[${attr}]`)
+          .join(", "),
+        test: (element) =>
+          this._getDeprecatedAriaAttributes(element).length === 0,
+        details: (element) => ({
+          role: this._getAriaRole(element),
+          attributes: this._getDeprecatedAriaAttributes(element),
+        }),
+        message: "Element uses deprecated ARIA attributes",
+        suggestion:
+          "Remove aria-grabbed and aria-dropeffect, and only use aria-disabled, aria-errormessage, aria-haspopup and aria-invalid on roles that support them",
+      },
+      {
+        id: "focusable-in-aria-hidden",
+        name: "Focusable Content in aria-hidden",
+        description:
+          'Content hidden with aria-hidden="true" must not be reachable with the keyboard',
+        wcag: "4.1.2",
+        severity: "error",
+        category: "aria",
+        tags: ["aria", "focus", "keyboard", "hidden"],
+        exposure: "rendered",
+        selector: TABBABLE_SELECTOR,
+        test: (element) =>
+          !(this._isInAriaHidden(element) && this._isTabbable(element)),
+        message: "Focusable element is inside an aria-hidden subtree",
+        suggestion:
+          'Remove aria-hidden, make the content inert, or take it out of the tab order with tabindex="-1"',
+      },
 
       // Link Rules
       {
@@ -142,8 +933,9 @@ class RuleEngine {
         severity: "error",
         category: "semantic",
         tags: ["links", "text-content"],
+        scope: "subtree",
         selector: "a[href]",
-        test: (element) => this._hasAccessibleText(element),
+        test: (element) => AccName.computeName(element) !== "",
         message: "Link has no accessible text",
         suggestion:
           "Add text content or aria-label to describe the link purpose",
@@ -158,9 +950,10 @@ class RuleEngine {
         severity: "error",
         category: "semantic",
         tags: ["buttons", "text-content"],
+        scope: "subtree",
         selector:
           'button, input[type="button"], input[type="submit"], input[type="reset"]',
-        test: (element) => this._hasAccessibleText(element),
+        test: (element) => AccName.computeName(element) !== "",
         message: "Button has no accessible text",
         suggestion:
           "Add text content, aria-label, or aria-labelledby attribute",
@@ -175,6 +968,7 @@ class RuleEngine {
         severity: "warning",
         category: "structural",
         tags: ["tables", "headers", "data"],
+        scope: "subtree",
         selector: "table",
         test: (element) => this._hasTableHeaders(element),
         message: "Data table is missing proper header cells",
@@ -182,6 +976,190 @@ class RuleEngine {
           "Add <th> elements or headers attribute to identify table structure",
       },
 
+      // ID Rules
+      {
+        id: "duplicate-id",
+        name: "Duplicate IDs",
+        description: "ID values must be unique within a document",
+        wcag: "4.1.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["id", "parsing"],
+        scope: "document",
+        // Duplicates collide whether or not they are shown
+        exposure: "all",
+        selector: "[id]",
+        evaluate: (doc) => this._getDuplicateIds(doc, false),
+        details: (element) => ({
+          id: element.id,
+          count: this._getElementsWithId(element).length,
+        }),
+        related: (element) => this._getIdRelations(element),
+        message: "ID value is used by more than one element",
+        suggestion: "Give each element a unique id",
+      },
+      {
+        id: "duplicate-id-referenced",
+        name: "Duplicate Referenced IDs",
+        description:
+          "IDs referenced by labels, descriptions, controls or table headers must be unique",
+        wcag: "4.1.2",
+        severity: "error",
+        category: "structural",
+        tags: ["id", "aria", "labels"],
+        scope: "document",
+        exposure: "all",
+        selector: `[id], ${ID_REFERENCE_SELECTOR}`,
+        evaluate: (doc) => this._getDuplicateIds(doc, true),
+        details: (element) => ({
+          id: element.id,
+          count: this._getElementsWithId(element).length,
+        }),
+        related: (element) => this._getIdRelations(element),
+        message:
+          "Referenced ID is used by more than one element, so references may resolve to the wrong one",
+        suggestion:
+          "Give each element a unique id and update the references to point at the intended one",
+      },
+      {
+        id: "broken-id-reference",
+        name: "Broken ID References",
+        description:
+          "ID references (for, headers, aria-labelledby, ...) must point at existing elements",
+        wcag: "1.3.1",
+        severity: "error",
+        category: "structural",
+        tags: ["id", "aria", "labels"],
+        scope: "document",
+        selector: `[id], ${ID_REFERENCE_SELECTOR}`,
+        evaluate: (doc) =>
+          this._queryAllDeep(doc, ID_REFERENCE_SELECTOR).filter(
+            (element) => this._getMissingIdReferences(element).length > 0
+          ),
+        details: (element) => ({
+          missing: this._getMissingIdReferences(element),
+        }),
+        related: (element) => this._getMissingIdRelations(element),
+        message: "Element references an ID that doesn't exist",
+        suggestion:
+          "Add the referenced element, or point the reference at an existing id",
+      },
+
+      // Landmark Rules
+      {
+        id: "missing-main-landmark",
+        name: "Missing Main Landmark",
+        description:
+          "Pages should have a main landmark so users can jump to the primary content",
+        wcag: "2.4.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["landmarks", "navigation"],
+        scope: "document",
+        selector: "main, [role~=main]",
+        evaluate: (doc) =>
+          this._isTopLevelDocument(doc) &&
+          doc.body &&
+          this._getMainLandmarks(doc).length === 0
+            ? [doc.body]
+            : [],
+        message: "Page has no main landmark",
+        suggestion: "Wrap the primary content of the page in a <main> element",
+      },
+      {
+        id: "multiple-main-landmarks",
+        name: "Multiple Main Landmarks",
+        description: "Pages should have no more than one main landmark",
+        wcag: "1.3.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["landmarks"],
+        scope: "document",
+        selector: "main, [role~=main]",
+        evaluate: (doc) => this._getMainLandmarks(doc).slice(1),
+        related: (element) =>
+          this._getMainLandmarks(element.ownerDocument)
+            .filter((main) => main !== element)
+            .map((main) => ({ element: main, relation: "also main" })),
+        message: "Page has more than one main landmark",
+        suggestion:
+          "Keep a single <main> and turn the others into sections or regions",
+      },
+      {
+        id: "duplicate-landmark-names",
+        name: "Duplicate Landmark Names",
+        description:
+          "Landmarks sharing a role need unique names to be told apart",
+        wcag: "1.3.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["landmarks", "labels"],
+        scope: "document",
+        selector: LANDMARK_SELECTOR,
+        evaluate: (doc) => this._getDuplicateLandmarks(doc),
+        details: (element) => {
+          const landmark = this._findLandmark(element);
+          return landmark ? { role: landmark.role, name: landmark.name } : null;
+        },
+        related: (element) => this._getLandmarkRelations(element),
+        message:
+          "Landmark has the same role and name as another landmark on the page",
+        suggestion:
+          "Give each landmark of this role a unique aria-label or aria-labelledby",
+      },
+      {
+        id: "nested-banner-contentinfo",
+        name: "Nested Banner or Contentinfo",
+        description:
+          "The banner and contentinfo landmarks belong to the page, not to other landmarks",
+        wcag: "1.3.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["landmarks"],
+        scope: "document",
+        selector: LANDMARK_SELECTOR,
+        evaluate: (doc) =>
+          this.getLandmarks(doc)
+            .filter(
+              ({ role, parent }) =>
+                (role === "banner" || role === "contentinfo") && parent
+            )
+            .map(({ element }) => element),
+        details: (element) => {
+          const landmark = this._findLandmark(element);
+          const parent = landmark && this._findLandmark(landmark.parent);
+          return parent
+            ? { role: landmark.role, parentRole: parent.role }
+            : null;
+        },
+        related: (element) => {
+          const landmark = this._findLandmark(element);
+          const parent = landmark && this._findLandmark(landmark.parent);
+          return parent
+            ? [{ element: parent.element, relation: `inside ${parent.role}` }]
+            : [];
+        },
+        message: "Banner or contentinfo landmark is nested in another landmark",
+        suggestion:
+          'Move it to the top level of the page, or remove role="banner"/"contentinfo" if it only heads or ends a section',
+      },
+      {
+        id: "content-outside-landmarks",
+        name: "Content Outside Landmarks",
+        description:
+          "Page content should be inside landmarks so users navigating by landmark don't miss it",
+        wcag: "1.3.1",
+        severity: "warning",
+        category: "structural",
+        tags: ["landmarks", "navigation"],
+        scope: "document",
+        selector: "body *",
+        evaluate: (doc) => this._getContentOutsideLandmarks(doc),
+        message: "Content is not inside any landmark",
+        suggestion:
+          "Move the content into a landmark such as <header>, <nav>, <main> or <footer>",
+      },
+
       // Language Rules
       {
         id: "missing-lang-attribute",
@@ -191,12 +1169,128 @@ class RuleEngine {
         severity: "error",
         category: "semantic",
         tags: ["language", "html"],
+        scope: "document",
+        exposure: "all",
         selector: "html",
-        test: (element) =>
-          element.hasAttribute("lang") && element.lang.trim() !== "",
+        evaluate: (doc) => {
+          const html = doc.documentElement;
+          return html.hasAttribute("lang") && html.lang.trim() !== ""
+            ? []
+            : [html];
+        },
         message: "HTML element is missing lang attribute",
         suggestion: 'Add lang attribute to html element: <html lang="en">',
       },
+      {
+        id: "invalid-lang-attribute",
+        name: "Invalid Page Language",
+        description:
+          "The page language must be a well-formed BCP 47 language tag",
+        wcag: "3.1.1",
+        severity: "error",
+        category: "semantic",
+        tags: ["language", "html"],
+        scope: "document",
+        exposure: "all",
+        selector: "html",
+        evaluate: (doc) =>
+          this._getLanguageProblems(doc.documentElement).length > 0
+            ? [doc.documentElement]
+            : [],
+        details: (element) => ({
+          problems: this._getLanguageProblems(element),
+        }),
+        message: "HTML element has an invalid lang or xml:lang value",
+        suggestion:
+          'Use a language tag such as "en", "en-GB" or "zh-Hant", and give xml:lang the same value',
+      },
+      {
+        id: "invalid-lang-of-parts",
+        name: "Invalid Language of Parts",
+        description:
+          "lang attributes marking passages in another language must be well-formed BCP 47 language tags",
+        wcag: "3.1.2",
+        severity: "error",
+        category: "semantic",
+        tags: ["language"],
+        selector: ":not(html)[lang], :not(html)[xml\\:lang]",
+        test: (element) => this._getLanguageProblems(element).length === 0,
+        details: (element) => ({
+          problems: this._getLanguageProblems(element),
+        }),
+        message: "Element has an invalid lang or xml:lang value",
+        suggestion:
+          'Use a language tag such as "fr" or "pt-BR", or lang="" for text of unknown language',
+      },
+
+      // Page Rules
+      {
+        id: "missing-page-title",
+        name: "Missing Page Title",
+        description: "Pages must have a title that describes them",
+        wcag: "2.4.2",
+        severity: "error",
+        category: "semantic",
+        tags: ["title", "html"],
+        scope: "document",
+        exposure: "all",
+        selector: "title",
+        evaluate: (doc) =>
+          this._isTopLevelDocument(doc) && doc.title.trim() === ""
+            ? [doc.querySelector("title") || doc.head || doc.documentElement]
+            : [],
+        message: "Page has no title, or an empty one",
+        suggestion: "Add a <title> to <head> naming the page, then the site",
+      },
+      {
+        id: "generic-page-title",
+        name: "Generic Page Title",
+        description:
+          "Page titles should say what the page is about, not repeat a placeholder or file name",
+        wcag: "2.4.2",
+        severity: "warning",
+        category: "semantic",
+        tags: ["title", "html"],
+        scope: "document",
+        exposure: "all",
+        selector: "title",
+        evaluate: (doc) =>
+          this._isTopLevelDocument(doc) && this._isGenericTitle(doc.title)
+            ? [doc.querySelector("title")]
+            : [],
+        details: (element) => ({
+          title: element.ownerDocument.title.replace(/\s+/g, " ").trim(),
+        }),
+        message: "Page title doesn't describe the page",
+        suggestion:
+          'Name the page and then the site, e.g. "Order history - Example Shop"',
+      },
+      {
+        id: "viewport-zoom-disabled",
+        name: "Zoom Disabled by Viewport",
+        description:
+          "The viewport meta tag must not prevent users from zooming the page to 200%",
+        wcag: "1.4.4",
+        severity: "error",
+        category: "visual",
+        tags: ["zoom", "mobile", "html"],
+        scope: "document",
+        exposure: "all",
+        selector: 'meta[name="viewport" i]',
+        evaluate: (doc) =>
+          this._isTopLevelDocument(doc)
+            ? Array.from(
+                doc.querySelectorAll('meta[name="viewport" i]')
+              ).filter((meta) => this._getViewportZoomProblems(meta).length > 0)
+            : [],
+        details: (element) => ({
+          content: element.getAttribute("content") || "",
+          problems: this._getViewportZoomProblems(element),
+        }),
+        message: "Viewport meta tag disables or limits zooming",
+        suggestion:
+          'Remove user-scalable=no and maximum-scale below 2: <meta name="viewport" content="width=device-width, initial-scale=1">',
+      },
 
       {
         id: "missing-skip-links",
@@ -207,12 +1301,13 @@ class RuleEngine {
         severity: "info",
         category: "keyboard",
         tags: ["skip-links", "navigation", "keyboard"],
-        selector: "body",
-        test: (element) => {
-          const skipLinks = document.querySelectorAll(
+        scope: "document",
+        selector: 'a[href^="#"]',
+        evaluate: (doc) => {
+          const skipLinks = doc.querySelectorAll(
             'a[href^="#"]:first-child, a[href^="#skip"]'
           );
-          return skipLinks.length > 0;
+          return skipLinks.length > 0 || !doc.body ? [] : [doc.body];
         },
         message: "Consider adding skip navigation links",
         suggestion:
@@ -287,44 +1382,653 @@ class RuleEngine {
     ];
 
     // Store rules and enable all by default
-    rules.forEach((rule) => {
-      this.rules.set(rule.id, rule);
-      this.enabledRules.add(rule.id);
-    });
+    rules.forEach((rule) => this.registerRule(rule));
   }
 
   /**
-   * Execute all enabled rules against provided elements
-   * @param {Array<Element>} elements - Elements to test
-   * @returns {Promise<Array<AnalysisResult>>} Analysis results
+   * Check a rule definition against RULE_SCHEMA
+   * @param {Object} rule - Rule definition
+   * @throws {RuleValidationError} Listing every problem found
    */
-  async executeRules(elements) {
-    const results = [];
+  static validateRule(rule) {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw new RuleValidationError("<unknown>", ["rule must be an object"]);
+    }
 
-    for (const element of elements) {
-      if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-        continue;
+    const problems = [];
+    const typeOf = (value) => (Array.isArray(value) ? "array" : typeof value);
+
+    Object.keys(rule).forEach((key) => {
+      if (!RULE_SCHEMA[key]) {
+        problems.push(`unknown property "${key}"`);
       }
+    });
 
-      // Find applicable rules for this element
-      const applicableRules = this._getApplicableRules(element);
+    Object.entries(RULE_SCHEMA).forEach(([key, { type, required }]) => {
+      if (rule[key] === undefined) {
+        if (required) problems.push(`"${key}" is required`);
+      } else if (typeOf(rule[key]) !== type) {
+        problems.push(`"${key}" must be of type ${type}`);
+      }
+    });
 
-      // Execute each applicable rule
-      for (const rule of applicableRules) {
-        try {
-          const result = await this._executeRule(rule, element);
-          if (result) {
-            results.push(result);
+    if (
+      typeof rule.id === "string" &&
+      !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(rule.id)
+    ) {
+      problems.push('"id" must be kebab-case (e.g. "custom-button-rule")');
+    }
+
+    if (rule.severity && !RULE_SEVERITIES.includes(rule.severity)) {
+      problems.push(`"severity" must be one of ${RULE_SEVERITIES.join(", ")}`);
+    }
+
+    if (rule.exposure && !RULE_EXPOSURES.includes(rule.exposure)) {
+      problems.push(`"exposure" must be one of ${RULE_EXPOSURES.join(", ")}`);
+    }
+
+    const scope = rule.scope || "element";
+    if (!RULE_SCOPES.includes(scope)) {
+      problems.push(`"scope" must be one of ${RULE_SCOPES.join(", ")}`);
+    } else if (scope === "document" && typeof rule.evaluate !== "function") {
+      problems.push('document-scoped rules require an "evaluate" function');
+    } else if (scope !== "document" && typeof rule.test !== "function") {
+      problems.push(`${scope}-scoped rules require a "test" function`);
+    }
+
+    if (typeof rule.selector === "string" && typeof document !== "undefined") {
+      try {
+        document.createDocumentFragment().querySelector(rule.selector);
+      } catch (error) {
+        problems.push(`"selector" is not a valid CSS selector`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new RuleValidationError(
+        typeof rule.id === "string" ? rule.id : "<unknown>",
+        problems
+      );
+    }
+  }
+
+  /**
+   * Validate and add a rule. New rules are enabled immediately.
+   * @param {Object} rule - Rule definition (see RULE_SCHEMA)
+   * @throws {RuleValidationError} If the rule is invalid or its ID is taken
+   */
+  registerRule(rule) {
+    RuleEngine.validateRule(rule);
+
+    if (this.rules.has(rule.id)) {
+      throw new RuleValidationError(rule.id, [
+        `a rule with id "${rule.id}" is already registered`,
+      ]);
+    }
+
+    this.rules.set(rule.id, {
+      ...rule,
+      scope: rule.scope || "element",
+      exposure: rule.exposure || "exposed",
+    });
+    this.enabledRules.add(rule.id);
+    this._applyConfigToRule(this.rules.get(rule.id));
+    this.version++;
+  }
+
+  /**
+   * Apply project configuration. Rules registered later get the same
+   * overrides.
+   * @param {Object} config - Normalized config from A11yConfig.normalize():
+   *   { rules: {id: {enabled, severity, options}}, tags: {tag: boolean},
+   *   include: Array<string>, exclude: Array<string> }
+   */
+  configure(config) {
+    this._config = config;
+    this.rules.forEach((rule) => this._applyConfigToRule(rule));
+    this.version++;
+  }
+
+  /**
+   * Apply the configured toggles and severity to one rule. A rule setting
+   * wins over tags; any disabled tag disables the rule.
+   * @param {Object} rule - Registered rule
+   */
+  _applyConfigToRule(rule) {
+    if (!this._config) {
+      return;
+    }
+
+    const setting = this._config.rules[rule.id] || {};
+    const tagStates = (rule.tags || [])
+      .filter((tag) => tag in this._config.tags)
+      .map((tag) => this._config.tags[tag]);
+
+    const enabled =
+      setting.enabled ??
+      (tagStates.length > 0 ? !tagStates.includes(false) : null);
+    if (enabled === true) {
+      this.enabledRules.add(rule.id);
+    } else if (enabled === false) {
+      this.enabledRules.delete(rule.id);
+    }
+
+    if (setting.severity) {
+      rule.severity = setting.severity;
+    }
+  }
+
+  /**
+   * Get a rule's options: its defaults merged with configured overrides
+   * @param {string} ruleId - Rule ID
+   * @returns {Object} Options
+   */
+  getRuleOptions(ruleId) {
+    const rule = this.rules.get(ruleId);
+    const overrides = this._config?.rules[ruleId]?.options;
+    return { ...(rule?.options || {}), ...(overrides || {}) };
+  }
+
+  /**
+   * Limit analysis to part of the page. Combined with the include/exclude
+   * selectors of the project config.
+   * @param {Object} scope
+   * @param {Element} [scope.root] - Only analyze this element and its
+   *   descendants (including shadow and frame content)
+   * @param {Array<string>} [scope.include] - Only analyze elements inside a
+   *   match
+   * @param {Array<string>} [scope.exclude] - Skip elements inside a match
+   */
+  setScope({ root = null, include = [], exclude = [] } = {}) {
+    this.scope = { root, include, exclude };
+    this.version++;
+  }
+
+  /**
+   * Check an element against the scope root and the include/exclude
+   * selectors. Matching ancestors count, across shadow and frame
+   * boundaries.
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if the element should be analyzed
+   */
+  isInScope(element) {
+    const include = [...this.scope.include, ...(this._config?.include || [])];
+    const exclude = [...this.scope.exclude, ...(this._config?.exclude || [])];
+
+    if (this.scope.root && !this._containsDeep(this.scope.root, element)) {
+      return false;
+    }
+    if (exclude.length > 0 && this._closestDeep(element, exclude.join(","))) {
+      return false;
+    }
+    return (
+      include.length === 0 || !!this._closestDeep(element, include.join(","))
+    );
+  }
+
+  /**
+   * Element whose scope decides whether a page-level result is reported.
+   * The root element and <head> content (lang, title, viewport) belong to
+   * the page, so they count as part of its body.
+   */
+  _getScopeElement(element) {
+    const doc = element.ownerDocument;
+    const isPageLevel =
+      element === doc.documentElement || !!doc.head?.contains(element);
+    return isPageLevel && doc.body ? doc.body : element;
+  }
+
+  /**
+   * Tell whether an element is in the accessibility tree, only rendered,
+   * or not rendered at all. Rendering ends at display: none, visibility:
+   * hidden, closed <dialog>s and <details>, unslotted shadow host
+   * children and hidden frames; aria-hidden="true" and inert subtrees are
+   * rendered but not exposed.
+   * @param {Element} element - DOM element
+   * @returns {string} "exposed", "rendered" or "hidden"
+   */
+  getExposure(element) {
+    const state = this._getExposureState(element);
+    return state.visible ? state.subtree : "hidden";
+  }
+
+  /**
+   * Check whether a rule applies to an element, given the rule's exposure
+   * @param {Object} rule - Rule definition
+   * @param {Element} element - DOM element
+   * @returns {boolean}
+   */
+  ruleAppliesTo(rule, element) {
+    const exposure = rule.exposure || "exposed";
+    if (exposure === "all") {
+      return true;
+    }
+    const state = this.getExposure(element);
+    return exposure === "rendered" ? state !== "hidden" : state === "exposed";
+  }
+
+  /**
+   * Cache exposure states, and the landmark lists built from them, until
+   * clearExposureCache(), for work over a DOM that doesn't change in
+   * between. The engine caches for each pass.
+   */
+  startExposureCache() {
+    this._exposureCache = new WeakMap();
+    this._landmarkCache = new WeakMap();
+  }
+
+  clearExposureCache() {
+    this._exposureCache = null;
+    this._landmarkCache = null;
+  }
+
+  /**
+   * Exposure state of an element: what it passes on to its flat-tree
+   * descendants (subtree), and its own visibility, which descendants can
+   * override
+   * @returns {{subtree: string, visible: boolean}}
+   */
+  _getExposureState(element) {
+    if (this._exposureCache?.has(element)) {
+      return this._exposureCache.get(element);
+    }
+
+    const parent = this._getFlatParent(element);
+    let subtree = parent ? this._getExposureState(parent).subtree : "exposed";
+    let visible = true;
+
+    if (subtree !== "hidden") {
+      const style = this._getComputedStyle(element);
+      visible =
+        style.visibility !== "hidden" && style.visibility !== "collapse";
+
+      if (!this._isRendered(element, style)) {
+        subtree = "hidden";
+      } else if (
+        element.getAttribute("aria-hidden") === "true" ||
+        element.hasAttribute("inert")
+      ) {
+        subtree = "rendered";
+      }
+    }
+
+    const state = { subtree, visible };
+    this._exposureCache?.set(element, state);
+    return state;
+  }
+
+  /**
+   * Whether an element generates boxes, assuming its ancestors do
+   */
+  _isRendered(element, style) {
+    const parent = element.parentElement;
+    if (
+      NON_RENDERED_TAGS.includes(element.tagName.toLowerCase()) ||
+      style.display === "none" ||
+      style.contentVisibility === "hidden"
+    ) {
+      return false;
+    }
+    if (element.tagName === "DIALOG" && !element.open) {
+      return false;
+    }
+    // Only the summary of a closed <details> is shown
+    if (
+      parent?.tagName === "DETAILS" &&
+      !parent.open &&
+      element !== parent.querySelector(":scope > summary")
+    ) {
+      return false;
+    }
+    // Children of a shadow host only render when slotted
+    return !(parent?.shadowRoot && !element.assignedSlot);
+  }
+
+  /**
+   * Parent in the flat tree: the slot an element is assigned to, its
+   * parent element or shadow host, or for a frame's root element the
+   * (same-origin) frame element
+   */
+  _getFlatParent(element) {
+    if (element.assignedSlot) {
+      return element.assignedSlot;
+    }
+    if (element.parentElement) {
+      return element.parentElement;
+    }
+    const root = element.getRootNode();
+    if (root.host) {
+      return root.host;
+    }
+    try {
+      return element.ownerDocument.defaultView?.frameElement || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find an inline suppression of a rule for an element: a data-a11y-ignore
+   * attribute on it or an ancestor, or a preceding a11y-live-disable comment
+   * at any level. Suppressions without a justification are ignored.
+   * @param {Element} element - DOM element
+   * @param {string} ruleId - Rule ID
+   * @returns {{type: string, ruleIds: Array<string>, justification: string}|null}
+   *   The closest suppression, or null
+   */
+  getSuppression(element, ruleId) {
+    let current = element;
+    while (current) {
+      const suppression =
+        this._getAttributeSuppression(current, ruleId) ||
+        this._getCommentSuppression(current, ruleId);
+      if (suppression) {
+        return suppression;
+      }
+      current = current.parentElement || current.getRootNode().host || null;
+    }
+    return null;
+  }
+
+  /**
+   * Check an element's own data-a11y-ignore attribute
+   */
+  _getAttributeSuppression(element, ruleId) {
+    if (!element.hasAttribute(SUPPRESSION_ATTRIBUTE)) {
+      return null;
+    }
+    const directive = this._parseSuppression(
+      element.getAttribute(SUPPRESSION_ATTRIBUTE)
+    );
+    return this._matchSuppression(directive, ruleId, "attribute", element);
+  }
+
+  /**
+   * Check the comments before an element, nearest first. An enable comment
+   * for the rule ends the disabled range.
+   */
+  _getCommentSuppression(element, ruleId) {
+    for (
+      let node = element.previousSibling;
+      node;
+      node = node.previousSibling
+    ) {
+      if (node.nodeType !== node.COMMENT_NODE) {
+        continue;
+      }
+      const match = SUPPRESSION_COMMENT_PATTERN.exec(node.data);
+      if (!match) {
+        continue;
+      }
+
+      const directive = this._parseSuppression(match[2]);
+      if (match[1] === "enable") {
+        // A bare enable comment ends every disabled range
+        if (
+          directive.ruleIds.length === 0 ||
+          this._suppressionCovers(directive, ruleId)
+        ) {
+          return null;
+        }
+        continue;
+      }
+
+      const suppression = this._matchSuppression(
+        directive,
+        ruleId,
+        "comment",
+        node
+      );
+      if (suppression) {
+        return suppression;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse "rule-a rule-b: justification"
+   * @param {string} text - Suppression text
+   * @returns {{ruleIds: Array<string>, justification: string}} Directive
+   */
+  _parseSuppression(text) {
+    const separator = text.indexOf(":");
+    const ids = separator === -1 ? text : text.slice(0, separator);
+    return {
+      ruleIds: ids.split(/[\s,]+/).filter(Boolean),
+      justification: separator === -1 ? "" : text.slice(separator + 1).trim(),
+    };
+  }
+
+  _suppressionCovers(directive, ruleId) {
+    return (
+      directive.ruleIds.includes(ruleId) || directive.ruleIds.includes("all")
+    );
+  }
+
+  /**
+   * Turn a directive covering the rule into a suppression, warning once
+   * about directives without a justification
+   */
+  _matchSuppression(directive, ruleId, type, node) {
+    if (!this._suppressionCovers(directive, ruleId)) {
+      return null;
+    }
+    if (!directive.justification) {
+      if (!this._warnedSuppressions.has(node)) {
+        this._warnedSuppressions.add(node);
+        console.warn(
+          `A11y Live: ignoring ${type} suppression of ${directive.ruleIds.join(
+            ", "
+          )} without a justification ("<rule ids>: <reason>")`
+        );
+      }
+      return null;
+    }
+    return {
+      type,
+      ruleIds: directive.ruleIds,
+      justification: directive.justification,
+    };
+  }
+
+  /**
+   * Element.closest() that continues from shadow hosts and frame elements
+   * @param {Element} element - Starting element
+   * @param {string} selector - CSS selector
+   * @returns {Element|null} Closest match
+   */
+  _closestDeep(element, selector) {
+    let current = element;
+    while (current) {
+      const match = current.closest(selector);
+      if (match) {
+        return match;
+      }
+      current = this._getOuterHost(current);
+    }
+    return null;
+  }
+
+  /**
+   * Node.contains() across shadow and frame boundaries
+   * @param {Element} root - Containing element
+   * @param {Element} element - Element to look for
+   * @returns {boolean} True if element is root or inside it
+   */
+  _containsDeep(root, element) {
+    let current = element;
+    while (current) {
+      if (root.contains(current)) {
+        return true;
+      }
+      current = this._getOuterHost(current);
+    }
+    return false;
+  }
+
+  /**
+   * Get the shadow host or frame element containing an element's tree
+   * @param {Element} element - DOM element
+   * @returns {Element|null} Host, frame element, or null at the top
+   */
+  _getOuterHost(element) {
+    const root = element.getRootNode();
+    if (root.host) {
+      return root.host;
+    }
+    try {
+      return root.defaultView?.frameElement || null;
+    } catch (error) {
+      return null; // Cross-origin parent
+    }
+  }
+
+  /**
+   * Execute all enabled element- and subtree-scoped rules against provided
+   * elements. Document-scoped rules run through executeDocumentRules().
+   * @param {Array<Element>} elements - Elements to test
+   * @returns {Promise<Array<AnalysisResult>>} Analysis results
+   */
+  async executeRules(elements) {
+    const results = [];
+
+    for (const element of elements) {
+      if (
+        !element ||
+        element.nodeType !== element.ELEMENT_NODE ||
+        !this.isInScope(element)
+      ) {
+        continue;
+      }
+
+      // Find applicable rules for this element
+      const applicableRules = this._getApplicableRules(element).filter((rule) =>
+        this.ruleAppliesTo(rule, element)
+      );
+
+      // Execute each applicable rule
+      for (const rule of applicableRules) {
+        try {
+          const result = await this._executeRule(rule, element);
+          if (result) {
+            results.push(result);
           }
         } catch (error) {
-          console.error(`Error executing rule ${rule.id}:`, error);
+          this._reportRuleError(error, rule, element);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Execute enabled document-scoped rules once per document
+   * @param {Array<Document>} documents - Documents to test
+   * @param {Array<string>|null} ruleIds - Restrict to these rules (all if null)
+   * @returns {Promise<Array<AnalysisResult>>} Analysis results
+   */
+  async executeDocumentRules(documents, ruleIds = null) {
+    const results = [];
+    const rules = this.getEnabledRules().filter(
+      (rule) =>
+        rule.scope === "document" && (!ruleIds || ruleIds.includes(rule.id))
+    );
+
+    for (const doc of documents) {
+      for (const rule of rules) {
+        const startTime = performance.now();
+        let failures = 0;
+        let errors = 0;
+        try {
+          const failingElements = (await rule.evaluate(doc, this)) || [];
+          failingElements
+            .filter(
+              (element) =>
+                this.isInScope(this._getScopeElement(element)) &&
+                this.ruleAppliesTo(rule, element)
+            )
+            .forEach((element) => {
+              results.push(this._createResult(rule, element));
+              failures++;
+            });
+        } catch (error) {
+          errors = 1;
+          this._reportRuleError(error, rule, doc.documentElement);
         }
+        this._recordRuleRun(rule.id, performance.now() - startTime, {
+          elements: 1,
+          failures,
+          errors,
+        });
       }
     }
 
     return results;
   }
 
+  /**
+   * Find document-scoped rules whose outcome may change because of the
+   * given nodes (added, removed or modified)
+   * @param {Iterable<Node>} nodes - Nodes touched by mutations
+   * @returns {Array<string>} IDs of rules that need to re-run
+   */
+  getDocumentRulesAffectedBy(nodes) {
+    const documentRules = this.getEnabledRules().filter(
+      (rule) => rule.scope === "document"
+    );
+    const affected = new Set();
+
+    for (const node of nodes) {
+      if (!node || node.nodeType !== node.ELEMENT_NODE) continue;
+
+      for (const rule of documentRules) {
+        if (affected.has(rule.id)) continue;
+        try {
+          if (
+            node.matches(rule.selector) ||
+            node.querySelector(rule.selector)
+          ) {
+            affected.add(rule.id);
+          }
+        } catch (error) {
+          console.warn(`Invalid selector in rule ${rule.id}: ${rule.selector}`);
+        }
+      }
+    }
+
+    return Array.from(affected);
+  }
+
+  /**
+   * Find ancestors whose subtree-scoped rules depend on the given element,
+   * e.g. the link around a changed <span>
+   * @param {Element} element - Changed element
+   * @returns {Array<Element>} Ancestors (or the element itself) to re-test
+   */
+  getSubtreeRuleAncestors(element) {
+    const ancestors = new Set();
+    const subtreeRules = this.getEnabledRules().filter(
+      (rule) => rule.scope === "subtree"
+    );
+
+    for (const rule of subtreeRules) {
+      let node = element;
+      // Keep searching past shadow boundaries until a match is found
+      while (node) {
+        const match = node.closest(rule.selector);
+        if (match) {
+          ancestors.add(match);
+          break;
+        }
+        node = node.getRootNode().host;
+      }
+    }
+
+    return Array.from(ancestors);
+  }
+
   /**
    * Execute a single rule against an element
    * @param {Object} rule - Rule definition
@@ -332,36 +2036,162 @@ class RuleEngine {
    * @returns {AnalysisResult|null} Result or null if passed
    */
   async _executeRule(rule, element) {
+    // Creating the result counts towards the rule's time: it is part of
+    // what the rule costs on pages where it fails often
+    const startTime = performance.now();
+    let result = null;
+    let errors = 0;
+
     try {
-      const passed = await rule.test(element);
+      const passed = await rule.test(element, this);
 
-      if (passed) {
-        return null; // Rule passed, no violation
+      if (passed === NEEDS_REVIEW) {
+        result = this._createResult(rule, element, NEEDS_REVIEW);
+      } else if (!passed) {
+        result = this._createResult(rule, element);
       }
+    } catch (error) {
+      errors = 1;
+      this._reportRuleError(error, rule, element);
+    }
+
+    this._recordRuleRun(rule.id, performance.now() - startTime, {
+      elements: 1,
+      failures: result ? 1 : 0,
+      errors,
+    });
+    return result;
+  }
+
+  /**
+   * Add one rule run to the profile
+   * @param {string} ruleId - Rule ID
+   * @param {number} duration - Run time (ms)
+   * @param {Object} counts - { elements, failures, errors } for the run
+   */
+  _recordRuleRun(ruleId, duration, { elements, failures, errors }) {
+    let entry = this._profile.get(ruleId);
+    if (!entry) {
+      entry = {
+        executions: 0,
+        elements: 0,
+        failures: 0,
+        errors: 0,
+        totalTime: 0,
+        samples: [],
+        nextSample: 0,
+      };
+      this._profile.set(ruleId, entry);
+    }
+
+    entry.executions++;
+    entry.elements += elements;
+    entry.failures += failures;
+    entry.errors += errors;
+    entry.totalTime += duration;
+
+    // Keep the most recent durations
+    if (entry.samples.length < PROFILE_SAMPLE_SIZE) {
+      entry.samples.push(duration);
+    } else {
+      entry.samples[entry.nextSample] = duration;
+      entry.nextSample = (entry.nextSample + 1) % PROFILE_SAMPLE_SIZE;
+    }
+  }
+
+  /**
+   * Get execution statistics per rule, since the engine was created or
+   * resetRuleProfile() was called
+   * @returns {Array<Object>} { ruleId, selector, scope, executions,
+   *   elements, failures, errors, totalTime, averageTime, p95Time } for
+   *   every rule that ran, by total time, slowest first. Times are in ms;
+   *   p95Time covers the last PROFILE_SAMPLE_SIZE runs. For document rules
+   *   an execution is one document, and elements counts documents too.
+   */
+  getRuleProfile() {
+    return Array.from(this._profile, ([ruleId, entry]) => {
+      const rule = this.rules.get(ruleId);
+      const samples = [...entry.samples].sort((a, b) => a - b);
+      const p95Index = Math.max(Math.ceil(samples.length * 0.95) - 1, 0);
 
-      // Create analysis result for violation
       return {
-        ruleId: rule.id,
-        name: rule.name,
-        description: rule.description,
-        wcag: rule.wcag,
-        severity: rule.severity,
-        category: rule.category,
-        element: element,
-        selector: this._getElementSelector(element),
-        message: rule.message,
-        suggestion: rule.suggestion,
-        examples: rule.examples,
-        resources: rule.resources,
-        impact: this._calculateImpact(element, rule),
-        timestamp: Date.now(),
+        ruleId,
+        selector: rule ? rule.selector : null,
+        scope: rule ? rule.scope || "element" : null,
+        executions: entry.executions,
+        elements: entry.elements,
+        failures: entry.failures,
+        errors: entry.errors,
+        totalTime: entry.totalTime,
+        averageTime: entry.totalTime / entry.executions,
+        p95Time: samples.length > 0 ? samples[p95Index] : 0,
       };
-    } catch (error) {
-      console.error(`Rule execution failed for ${rule.id}:`, error);
-      return null;
+    }).sort((a, b) => b.totalTime - a.totalTime);
+  }
+
+  /**
+   * Clear the per-rule execution profile
+   */
+  resetRuleProfile() {
+    this._profile.clear();
+  }
+
+  /**
+   * Log a rule failure and forward it to the onRuleError hook
+   * @param {Error} error - Error thrown by the rule
+   * @param {Object} rule - Rule definition
+   * @param {Element} element - Element being tested
+   */
+  _reportRuleError(error, rule, element) {
+    console.error(`Rule execution failed for ${rule.id}:`, error);
+    if (typeof this.onRuleError === "function") {
+      this.onRuleError(error, rule, element);
     }
   }
 
+  /**
+   * Create the analysis result for a rule violation. Results the author
+   * suppressed get status "suppressed" and the suppression details.
+   * @param {Object} rule - Rule definition
+   * @param {Element} element - Offending element
+   * @param {string} [status] - "violation" or "needs-review"
+   * @returns {AnalysisResult} Result
+   */
+  _createResult(rule, element, status = "violation") {
+    const suppression = this.getSuppression(element, rule.id);
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      description: rule.description,
+      wcag: rule.wcag,
+      severity: rule.severity,
+      category: rule.category,
+      element: element,
+      selector: this._getElementSelector(element),
+      message: rule.message,
+      suggestion: rule.suggestion,
+      details: rule.details ? rule.details(element) : null,
+      related: rule.related
+        ? rule.related(element).map(({ element: other, relation }) => ({
+            element: other,
+            relation,
+            selector: this._getElementSelector(other),
+            // Custom rules may relate elements in other frames
+            frame: this._getFrameInfo(other),
+          }))
+        : [],
+      examples: rule.examples,
+      resources: rule.resources,
+      frame: this._getFrameInfo(element),
+      locator: this.getElementLocator(element),
+      accessibleName: AccName.computeName(element),
+      impact: this._calculateImpact(element, rule),
+      status: suppression ? SUPPRESSED : status,
+      suppression,
+      timestamp: Date.now(),
+    };
+  }
+
   /**
    * Get rules applicable to an element
    * @param {Element} element - DOM element
@@ -371,7 +2201,7 @@ class RuleEngine {
     const applicableRules = [];
 
     for (const [ruleId, rule] of this.rules) {
-      if (!this.enabledRules.has(ruleId)) {
+      if (!this.enabledRules.has(ruleId) || rule.scope === "document") {
         continue;
       }
 
@@ -391,43 +2221,32 @@ class RuleEngine {
   // Utility Methods for Rule Testing
 
   /**
-   * Check if element has accessible label
+   * Check if a form control has an accessible name. A placeholder alone
+   * doesn't count: it disappears as soon as the user types.
    */
   _hasAccessibleLabel(element) {
-    // Check for various labeling methods
-    return !!(
-      element.getAttribute("aria-label") ||
-      element.getAttribute("aria-labelledby") ||
-      element.title ||
-      this._getAssociatedLabel(element) ||
-      (element.tagName === "INPUT" && element.type === "image" && element.alt)
-    );
-  }
-
-  /**
-   * Get label associated with form element
-   */
-  _getAssociatedLabel(element) {
-    // Check for label with for attribute
-    if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
-      if (label) return label;
-    }
-
-    // Check for wrapping label
-    const parentLabel = element.closest("label");
-    return parentLabel;
+    const { name, source } = AccName.compute(element);
+    return name !== "" && source !== "placeholder";
   }
 
   /**
    * Check color contrast ratio
    */
-  _checkColorContrast(element) {
+  _checkColorContrast(element, options) {
     // Skip elements without text content
     if (!this._hasTextContent(element)) {
       return true;
     }
 
+    // Colors and text size can't be resolved without rendering; flag the
+    // elements that hold the text themselves, not every ancestor
+    if (!this.hasLayout) {
+      const hasOwnText = Array.from(element.childNodes).some(
+        (node) => node.nodeType === node.TEXT_NODE && node.textContent.trim()
+      );
+      return hasOwnText ? NEEDS_REVIEW : true;
+    }
+
     // Skip very small text elements (likely decorative)
     const rect = element.getBoundingClientRect();
     if (rect.width < 10 || rect.height < 10) {
@@ -435,7 +2254,7 @@ class RuleEngine {
     }
 
     try {
-      const styles = window.getComputedStyle(element);
+      const styles = this._getComputedStyle(element);
       const color = styles.color;
       const backgroundColor = styles.backgroundColor;
 
@@ -449,7 +2268,11 @@ class RuleEngine {
           ? this._getEffectiveBackgroundColor(element)
           : backgroundColor;
 
-      const contrast = this._calculateContrastRatio(color, finalBgColor);
+      const contrast = this._calculateContrastRatio(
+        color,
+        finalBgColor,
+        element.ownerDocument
+      );
       const fontSize = parseFloat(styles.fontSize);
       const fontWeight = styles.fontWeight;
 
@@ -458,8 +2281,9 @@ class RuleEngine {
         fontSize >= 18 ||
         (fontSize >= 14 && (fontWeight === "bold" || fontWeight >= 700));
 
-      // Reduced requirements: 4.0 instead of 4.5 for normal, 2.5 instead of 3.0 for large
-      const requiredRatio = isLargeText ? 2.5 : 4.0;
+      const requiredRatio = isLargeText
+        ? options.largeTextRatio
+        : options.normalTextRatio;
 
       return contrast >= requiredRatio;
     } catch (error) {
@@ -470,9 +2294,9 @@ class RuleEngine {
   /**
    * Calculate contrast ratio between two colors
    */
-  _calculateContrastRatio(color1, color2) {
-    const rgb1 = this._parseColor(color1);
-    const rgb2 = this._parseColor(color2);
+  _calculateContrastRatio(color1, color2, doc = document) {
+    const rgb1 = this._parseColor(color1, doc);
+    const rgb2 = this._parseColor(color2, doc);
 
     if (!rgb1 || !rgb2) return 21; // Assume good contrast if can't parse
 
@@ -488,12 +2312,12 @@ class RuleEngine {
   /**
    * Parse CSS color to RGB values
    */
-  _parseColor(color) {
-    const div = document.createElement("div");
+  _parseColor(color, doc = document) {
+    const div = doc.createElement("div");
     div.style.color = color;
-    document.body.appendChild(div);
-    const computedColor = window.getComputedStyle(div).color;
-    document.body.removeChild(div);
+    doc.body.appendChild(div);
+    const computedColor = this._getComputedStyle(div).color;
+    doc.body.removeChild(div);
 
     const match = computedColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
     return match
@@ -502,52 +2326,508 @@ class RuleEngine {
   }
 
   /**
-   * Calculate relative luminance
+   * Calculate relative luminance
+   */
+  _getRelativeLuminance([r, g, b]) {
+    const [rs, gs, bs] = [r, g, b].map((c) => {
+      c = c / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+  }
+
+  /**
+   * Get effective background color by traversing parents
+   */
+  _getEffectiveBackgroundColor(element) {
+    let current = element;
+    while (current && current !== element.ownerDocument.body) {
+      const bgColor = this._getComputedStyle(current).backgroundColor;
+      if (bgColor !== "rgba(0, 0, 0, 0)") {
+        return bgColor;
+      }
+      // Continue from the shadow host once the shadow root's top is reached
+      current = current.parentElement || current.getRootNode().host;
+    }
+    return "rgb(255, 255, 255)"; // Default to white
+  }
+
+  /**
+   * Validate heading hierarchy in a single pass over the document
+   * @param {Document} doc - Document to check
+   * @returns {Array<Element>} Headings that skip or break the hierarchy
+   */
+  _validateHeadingStructure(doc) {
+    const failures = [];
+    let lastLevel = 0;
+
+    const headings = this._queryAllDeep(doc, "h1, h2, h3, h4, h5, h6").filter(
+      (heading) => this.getExposure(heading) === "exposed"
+    );
+
+    for (const heading of headings) {
+      const level = parseInt(heading.tagName.substring(1));
+
+      // First heading should be h1; after that allow same level, one level
+      // deeper, or any level shallower
+      const valid = lastLevel === 0 ? level === 1 : level <= lastLevel + 1;
+      if (!valid) {
+        failures.push(heading);
+      }
+
+      lastLevel = level;
+    }
+
+    return failures;
+  }
+
+  /**
+   * First element of each group sharing an ID within an ID scope (the
+   * document or a shadow root)
+   * @param {Document} doc - Document to search
+   * @param {boolean} referenced - Only IDs with escalated references (true),
+   *   or only IDs without (false)
+   * @returns {Array<Element>} One element per duplicated ID
+   */
+  _getDuplicateIds(doc, referenced) {
+    const groups = new Map();
+    this._queryAllDeep(doc, "[id]").forEach((element) => {
+      if (!element.id) {
+        return;
+      }
+      const key = element.getRootNode();
+      if (!groups.has(key)) {
+        groups.set(key, new Map());
+      }
+      const ids = groups.get(key);
+      ids.set(element.id, [...(ids.get(element.id) || []), element]);
+    });
+
+    return Array.from(groups.values())
+      .flatMap((ids) => Array.from(ids.values()))
+      .filter((elements) => {
+        if (elements.length < 2) {
+          return false;
+        }
+        const references = this._getReferencingElements(
+          elements[0],
+          ESCALATED_ID_REFERENCES
+        );
+        return references.length > 0 === referenced;
+      })
+      .map((elements) => elements[0]);
+  }
+
+  /**
+   * Elements in an element's ID scope with the same ID, itself included
+   */
+  _getElementsWithId(element) {
+    return Array.from(
+      element
+        .getRootNode()
+        .querySelectorAll(`[id="${this._escapeCss(element.id)}"]`)
+    );
+  }
+
+  /**
+   * Elements in an element's ID scope whose reference attributes list its
+   * ID, with the attribute used
+   * @param {Element} element - Referenced element
+   * @param {Array<string>} [attributes] - Reference attributes to consider
+   * @returns {Array<{element: Element, attribute: string}>}
+   */
+  _getReferencingElements(
+    element,
+    attributes = Object.keys(ID_REFERENCE_ATTRIBUTES)
+  ) {
+    const references = [];
+    element
+      .getRootNode()
+      .querySelectorAll(ID_REFERENCE_SELECTOR)
+      .forEach((referrer) => {
+        this._getIdReferences(referrer)
+          .filter(
+            (reference) =>
+              reference.id === element.id &&
+              attributes.includes(reference.attribute)
+          )
+          .forEach(({ attribute }) =>
+            references.push({ element: referrer, attribute })
+          );
+      });
+    return references;
+  }
+
+  /**
+   * ID references an element makes through the attributes that apply to it
+   * @returns {Array<{attribute: string, id: string}>}
+   */
+  _getIdReferences(element) {
+    return Object.entries(ID_REFERENCE_ATTRIBUTES)
+      .filter(
+        ([attribute, tags]) =>
+          element.hasAttribute(attribute) &&
+          (tags === "*" || element.matches(tags))
+      )
+      .flatMap(([attribute]) =>
+        element
+          .getAttribute(attribute)
+          .trim()
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((id) => ({ attribute, id }))
+      );
+  }
+
+  /**
+   * ID references of an element that match no element in its ID scope
+   * @returns {Array<{attribute: string, id: string}>}
+   */
+  _getMissingIdReferences(element) {
+    const scope = this._getIdScope(element);
+    return this._getIdReferences(element).filter(
+      ({ id }) => !scope.getElementById(id)
+    );
+  }
+
+  /**
+   * Elements involved in a duplicate ID: the others with the same ID, and
+   * those referencing it
+   * @returns {Array<{element: Element, relation: string}>}
+   */
+  _getIdRelations(element) {
+    return [
+      ...this._getElementsWithId(element)
+        .filter((other) => other !== element)
+        .map((other) => ({
+          element: other,
+          relation: `also id="${element.id}"`,
+        })),
+      ...this._getReferencingElements(element).map(
+        ({ element: referrer, attribute }) => ({
+          element: referrer,
+          relation: `references it with ${attribute}`,
+        })
+      ),
+    ];
+  }
+
+  /**
+   * Other elements referencing the IDs an element is missing
+   * @returns {Array<{element: Element, relation: string}>}
+   */
+  _getMissingIdRelations(element) {
+    const missing = this._getMissingIdReferences(element);
+    return Array.from(
+      element.getRootNode().querySelectorAll(ID_REFERENCE_SELECTOR)
+    )
+      .filter((other) => other !== element)
+      .flatMap((other) =>
+        this._getIdReferences(other)
+          .filter(({ id }) => missing.some((reference) => reference.id === id))
+          .map(({ attribute, id }) => ({
+            element: other,
+            relation: `also references missing "${id}" with ${attribute}`,
+          }))
+      );
+  }
+
+  /**
+   * The landmark role an element exposes, if any. Regions and forms are
+   * only landmarks when named.
+   */
+  _getLandmarkRole(element) {
+    const role = this._getAriaRole(element);
+    if (!LANDMARK_ROLES.includes(role)) {
+      return null;
+    }
+    if (
+      (role === "region" || role === "form") &&
+      !this.getAccessibleName(element)
+    ) {
+      return null;
+    }
+    return role;
+  }
+
+  /**
+   * Entry of getLandmarks() for an element, or null if it isn't a landmark
+   */
+  _findLandmark(element) {
+    if (!element) {
+      return null;
+    }
+    return (
+      this.getLandmarks(element.ownerDocument).find(
+        (landmark) => landmark.element === element
+      ) || null
+    );
+  }
+
+  /**
+   * Exposed main landmarks of a document, in document order
+   */
+  _getMainLandmarks(doc) {
+    return this._queryAllDeep(doc, "main, [role~=main]").filter(
+      (element) =>
+        this._getLandmarkRole(element) === "main" &&
+        this.isInScope(element) &&
+        this.getExposure(element) === "exposed"
+    );
+  }
+
+  /**
+   * Landmarks with the same role and name as an earlier one. Mains are
+   * left to multiple-main-landmarks.
+   * @param {Document} doc - Document to search
+   * @returns {Array<Element>} All but the first landmark of each group
+   */
+  _getDuplicateLandmarks(doc) {
+    const seen = new Set();
+    return this.getLandmarks(doc)
+      .filter(({ role, name }) => {
+        if (role === "main") {
+          return false;
+        }
+        const key = `${role} ${name.toLowerCase()}`;
+        const duplicate = seen.has(key);
+        seen.add(key);
+        return duplicate;
+      })
+      .map(({ element }) => element);
+  }
+
+  /**
+   * Other landmarks sharing an element's landmark role and name
+   * @returns {Array<{element: Element, relation: string}>}
+   */
+  _getLandmarkRelations(element) {
+    const landmark = this._findLandmark(element);
+    if (!landmark) {
+      return [];
+    }
+    const name = landmark.name.toLowerCase();
+    return this.getLandmarks(element.ownerDocument)
+      .filter(
+        (other) =>
+          other.element !== element &&
+          other.role === landmark.role &&
+          other.name.toLowerCase() === name
+      )
+      .map((other) => ({
+        element: other.element,
+        relation: landmark.name
+          ? `also ${landmark.role} "${landmark.name}"`
+          : `also unnamed ${landmark.role}`,
+      }));
+  }
+
+  /**
+   * Top-most elements holding exposed content outside every landmark.
+   * Pages without landmarks are left to missing-main-landmark, and frame
+   * documents to the landmarks of their page.
+   * @param {Document} doc - Document to search
+   * @returns {Array<Element>} Elements to move into landmarks
+   */
+  _getContentOutsideLandmarks(doc) {
+    const landmarks = this.getLandmarks(doc);
+    if (!doc.body || !this._isTopLevelDocument(doc) || landmarks.length === 0) {
+      return [];
+    }
+
+    const landmarkElements = new Set(landmarks.map(({ element }) => element));
+    // Elements with a landmark somewhere in their flat-tree subtree
+    const containers = new Set();
+    landmarks.forEach(({ element }) => {
+      let node = this._getFlatParent(element);
+      while (node && !containers.has(node)) {
+        containers.add(node);
+        node = this._getFlatParent(node);
+      }
+    });
+
+    const failures = [];
+    const visit = (element) => {
+      let hasText = false;
+      AccName.getChildNodes(element).forEach((child) => {
+        if (child.nodeType === 3) {
+          hasText = hasText || child.data.trim() !== "";
+        } else if (
+          child.nodeType === 1 &&
+          !landmarkElements.has(child) &&
+          this._getExposureState(child).subtree === "exposed"
+        ) {
+          if (containers.has(child)) {
+            visit(child);
+          } else if (this._hasLandmarkContent(child)) {
+            failures.push(child);
+          }
+        }
+      });
+      // Text beside landmarks can only be pointed at through its parent
+      if (hasText && this.getExposure(element) === "exposed") {
+        failures.push(element);
+      }
+    };
+    visit(doc.body);
+
+    return failures;
+  }
+
+  /**
+   * Whether an element holds exposed text or content from
+   * LANDMARK_CONTENT_SELECTOR, skip links aside
+   */
+  _hasLandmarkContent(element) {
+    const state = this._getExposureState(element);
+    if (state.subtree !== "exposed" || element.matches(SKIP_LINK_SELECTOR)) {
+      return false;
+    }
+    if (state.visible && element.matches(LANDMARK_CONTENT_SELECTOR)) {
+      return true;
+    }
+    return AccName.getChildNodes(element).some((child) =>
+      child.nodeType === 3
+        ? state.visible && child.data.trim() !== ""
+        : child.nodeType === 1 && this._hasLandmarkContent(child)
+    );
+  }
+
+  /**
+   * Whether a document is a page of its own rather than a frame's
+   */
+  _isTopLevelDocument(doc) {
+    try {
+      return !doc.defaultView?.frameElement;
+    } catch (error) {
+      return true; // Cross-origin parent
+    }
+  }
+
+  /**
+   * Malformed lang and xml:lang values of an element, and an xml:lang that
+   * doesn't repeat lang (as HTML requires). Empty values mean "unknown
+   * language" and are allowed.
+   * @param {Element} element - DOM element
+   * @returns {Array<{attribute: string, value: string, problem: string}>}
+   *   Problems, each "malformed" or "mismatch"
+   */
+  _getLanguageProblems(element) {
+    const lang = element.getAttribute("lang");
+    const xmlLang = element.getAttribute("xml:lang");
+    const problems = [];
+
+    [
+      ["lang", lang],
+      ["xml:lang", xmlLang],
+    ].forEach(([attribute, value]) => {
+      if (
+        value !== null &&
+        value.trim() !== "" &&
+        !this._isWellFormedLanguageTag(value)
+      ) {
+        problems.push({ attribute, value, problem: "malformed" });
+      }
+    });
+
+    if (
+      lang !== null &&
+      xmlLang !== null &&
+      lang.toLowerCase() !== xmlLang.toLowerCase()
+    ) {
+      problems.push({
+        attribute: "xml:lang",
+        value: xmlLang,
+        problem: "mismatch",
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check a language tag against the BCP 47 syntax. Whether its subtags
+   * are registered isn't checked.
+   * @param {string} tag - Language tag, e.g. "en-GB"
+   * @returns {boolean}
    */
-  _getRelativeLuminance([r, g, b]) {
-    const [rs, gs, bs] = [r, g, b].map((c) => {
-      c = c / 255;
-      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-    });
-    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+  _isWellFormedLanguageTag(tag) {
+    return (
+      LANGUAGE_TAG_PATTERN.test(tag) ||
+      IRREGULAR_LANGUAGE_TAGS.includes(tag.toLowerCase())
+    );
   }
 
   /**
-   * Get effective background color by traversing parents
+   * Whether a page title is a placeholder, a file name or a URL
    */
-  _getEffectiveBackgroundColor(element) {
-    let current = element;
-    while (current && current !== document.body) {
-      const bgColor = window.getComputedStyle(current).backgroundColor;
-      if (bgColor !== "rgba(0, 0, 0, 0)") {
-        return bgColor;
-      }
-      current = current.parentElement;
-    }
-    return "rgb(255, 255, 255)"; // Default to white
+  _isGenericTitle(title) {
+    const text = title.replace(/\s+/g, " ").trim().toLowerCase();
+    return (
+      GENERIC_PAGE_TITLES.includes(text) ||
+      /^[\w-]+\.(?:html?|php|aspx?|jsp)$/.test(text) ||
+      /^https?:\/\/\S+$/.test(text)
+    );
   }
 
   /**
-   * Validate heading hierarchy
+   * Viewport settings that keep users from zooming: user-scalable=no (or
+   * a number between -1 and 1) and maximum-scale below
+   * VIEWPORT_MIN_MAXIMUM_SCALE
+   * @param {Element} meta - <meta name="viewport"> element
+   * @returns {Array<string>} Offending settings, e.g. "user-scalable=no"
    */
-  _validateHeadingLevel(element) {
-    const level = parseInt(element.tagName.substring(1));
-    const previousHeadings = Array.from(
-      document.querySelectorAll("h1, h2, h3, h4, h5, h6")
-    ).filter(
-      (h) =>
-        h.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_PRECEDING
-    );
+  _getViewportZoomProblems(meta) {
+    const settings = new Map();
+    (meta.getAttribute("content") || "").split(/[,;]/).forEach((setting) => {
+      const [key, value = ""] = setting
+        .split("=")
+        .map((part) => part.trim().toLowerCase());
+      if (key) {
+        settings.set(key, value);
+      }
+    });
 
-    if (previousHeadings.length === 0) {
-      return level === 1; // First heading should be h1
+    const problems = [];
+    if (settings.has("user-scalable")) {
+      const value = settings.get("user-scalable");
+      const scalable =
+        value === "yes" ? 1 : value === "no" ? 0 : parseFloat(value);
+      if (Math.abs(scalable) < 1) {
+        problems.push(`user-scalable=${value}`);
+      }
     }
+    if (settings.has("maximum-scale")) {
+      const value = settings.get("maximum-scale");
+      if (parseFloat(value) < VIEWPORT_MIN_MAXIMUM_SCALE) {
+        problems.push(`maximum-scale=${value}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Query all matching elements, descending into open shadow roots
+   * @param {Document|Element|ShadowRoot} root - Scope to search
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>} Matches in flat-tree order
+   */
+  _queryAllDeep(root, selector) {
+    const matches = [];
 
-    const lastHeading = previousHeadings[previousHeadings.length - 1];
-    const lastLevel = parseInt(lastHeading.tagName.substring(1));
+    const walk = (scope) => {
+      for (const element of scope.querySelectorAll("*")) {
+        if (element.matches(selector)) {
+          matches.push(element);
+        }
+        if (element.shadowRoot) {
+          walk(element.shadowRoot);
+        }
+      }
+    };
 
-    // Allow same level, one level deeper, or any level shallower
-    return level <= lastLevel + 1;
+    walk(root);
+    return matches;
   }
 
   /**
@@ -568,11 +2848,20 @@ class RuleEngine {
    * `outline: none;` with no replacement styling.
    */
   _hasFocusIndicator(element) {
-    if (!this._isElementVisible(element) || element.disabled) {
+    if (element.disabled) {
+      return true; // not applicable
+    }
+
+    // Focus styles can't be resolved without rendering
+    if (!this.hasLayout) {
+      return NEEDS_REVIEW;
+    }
+
+    if (!this._isElementVisible(element)) {
       return true; // not applicable
     }
 
-    const styles = window.getComputedStyle(element);
+    const styles = this._getComputedStyle(element);
 
     // Check if author explicitly removed outline
     const outlineRemoved =
@@ -605,46 +2894,8 @@ class RuleEngine {
       attr.name.startsWith("aria-")
     );
 
-    // Known valid ARIA attributes
-    const validAriaAttrs = [
-      "aria-label",
-      "aria-labelledby",
-      "aria-describedby",
-      "aria-hidden",
-      "aria-expanded",
-      "aria-selected",
-      "aria-checked",
-      "aria-disabled",
-      "aria-required",
-      "aria-invalid",
-      "aria-live",
-      "aria-atomic",
-      "aria-relevant",
-      "aria-busy",
-      "aria-controls",
-      "aria-flowto",
-      "aria-owns",
-      "aria-activedescendant",
-      "aria-level",
-      "aria-posinset",
-      "aria-setsize",
-      "aria-orientation",
-      "aria-sort",
-      "aria-readonly",
-      "aria-multiline",
-      "aria-autocomplete",
-      "aria-multiselectable",
-      "aria-pressed",
-      "aria-haspopup",
-      "aria-current",
-      "aria-modal",
-      "aria-details",
-      "aria-keyshortcuts",
-      "aria-roledescription",
-    ];
-
     for (const attr of ariaAttributes) {
-      if (!validAriaAttrs.includes(attr.name)) {
+      if (!ARIA_ATTRIBUTES.includes(attr.name)) {
         return false;
       }
 
@@ -720,10 +2971,9 @@ class RuleEngine {
       "aria-owns",
       "aria-activedescendant",
     ];
+    // Missing targets are reported by broken-id-reference
     if (idRefAttrs.includes(attrName)) {
-      if (!value || value.trim() === "") return false;
-      const ids = value.trim().split(/\s+/);
-      return ids.every((id) => document.getElementById(id) !== null);
+      return !!value && value.trim() !== "";
     }
 
     if (attrName === "aria-label") {
@@ -734,35 +2984,281 @@ class RuleEngine {
   }
 
   /**
-   * Check if element has accessible text content
+   * Build a selector for the elements whose role attribute lists a role
+   * matching the predicate
+   */
+  _getRoleSelector(predicate) {
+    return Object.entries(ARIA_ROLES)
+      .filter(([, definition]) => predicate(definition))
+      .map(([role]) => `[role~="${role}"]`)
+      .join(", ");
+  }
+
+  /**
+   * The role an element takes from its role attribute, if the model knows
+   * it (see AccessibleName.getExplicitRole)
+   */
+  _getExplicitAriaRole(element) {
+    const role = AccName.getExplicitRole(element);
+    return AccName.isModuleRole(role) ? null : role;
+  }
+
+  /**
+   * The role an element exposes, resolved by AccessibleName.getRole. Null
+   * for roles from ARIA modules, which aren't modelled.
+   */
+  _getAriaRole(element) {
+    const role = AccName.getRole(element);
+    return AccName.isModuleRole(role) ? null : role;
+  }
+
+  /**
+   * Check that a role attribute names a concrete role, from ARIA or one of
+   * its modules (an empty attribute means no role)
+   */
+  _hasValidRole(element) {
+    return (
+      AccName.getRoleTokens(element).length === 0 ||
+      AccName.getExplicitRole(element) !== null
+    );
+  }
+
+  /**
+   * Required states and properties of an element's explicit role that it
+   * neither sets nor gets from its native semantics
+   */
+  _getMissingAriaAttributes(element) {
+    const role = this._getExplicitAriaRole(element);
+    const required = (role && ARIA_ROLES[role].required) || [];
+    return required.filter(
+      (attr) =>
+        (element.getAttribute(attr) || "").trim() === "" &&
+        !this._hasNativeAriaState(element, attr)
+    );
+  }
+
+  /**
+   * Whether a native element provides a state itself, e.g. the checked
+   * state of <input type="checkbox" role="switch">
    */
-  _hasAccessibleText(element) {
-    if (element.getAttribute("aria-label")?.trim()) return true;
+  _hasNativeAriaState(element, attr) {
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute("type") || "").toLowerCase();
+
+    switch (attr) {
+      case "aria-checked":
+        return tag === "input" && (type === "checkbox" || type === "radio");
+      case "aria-level":
+        return /^h[1-6]$/.test(tag);
+      case "aria-valuenow":
+        return (
+          tag === "meter" ||
+          tag === "progress" ||
+          (tag === "input" && (type === "range" || type === "number"))
+        );
+      case "aria-expanded":
+        return tag === "select";
+      default:
+        return false;
+    }
+  }
 
-    if (element.getAttribute("aria-labelledby")) {
-      const labelIds = element.getAttribute("aria-labelledby").split(/\s+/);
-      for (const id of labelIds) {
-        const labelElement = document.getElementById(id);
-        if (labelElement && labelElement.textContent?.trim()) {
-          return true;
+  /**
+   * Elements an element owns in the accessibility tree: its closest
+   * descendants with a role (looking through generic and presentational
+   * ones), plus those it claims with aria-owns. Hidden ones are skipped.
+   */
+  _getOwnedElements(element) {
+    const owned = [];
+    const collect = (parent) => {
+      AccName.getChildNodes(parent).forEach((child) => {
+        if (child.nodeType !== 1 || AccName.isHidden(child)) {
+          return;
         }
-      }
+        const role = this._getAriaRole(child);
+        if (!role || ARIA_TRANSPARENT_ROLES.includes(role)) {
+          collect(child);
+        } else {
+          owned.push(child);
+        }
+      });
+    };
+    collect(element);
+
+    const scope = this._getIdScope(element);
+    (element.getAttribute("aria-owns") || "")
+      .split(/\s+/)
+      .map((id) => id && scope.getElementById(id))
+      .filter((child) => child && !AccName.isHidden(child))
+      .forEach((child) => owned.push(child));
+
+    return owned;
+  }
+
+  /**
+   * Roles of owned elements that an element's explicit role doesn't allow
+   */
+  _getUnexpectedOwnedRoles(element) {
+    const role = this._getExplicitAriaRole(element);
+    const allowed = (role && ARIA_ROLES[role].owned) || [];
+    return Array.from(
+      new Set(
+        this._getOwnedElements(element)
+          .map((owned) => this._getAriaRole(owned))
+          .filter((ownedRole) => !allowed.includes(ownedRole))
+      )
+    );
+  }
+
+  /**
+   * Check that an element owns at least one element, all with roles its
+   * role allows. Empty containers pass while aria-busy="true".
+   */
+  _hasRequiredOwnedElements(element) {
+    const role = this._getExplicitAriaRole(element);
+    if (!role || !ARIA_ROLES[role].owned) {
+      return true;
+    }
+    if (this._getOwnedElements(element).length === 0) {
+      return element.getAttribute("aria-busy") === "true";
+    }
+    return this._getUnexpectedOwnedRoles(element).length === 0;
+  }
+
+  /**
+   * Check that an element with a role requiring a context role is owned by
+   * an element with one of them
+   */
+  _hasRequiredContext(element) {
+    const role = this._getExplicitAriaRole(element);
+    if (!role || !ARIA_ROLES[role].context) {
+      return true;
     }
+    return ARIA_ROLES[role].context.includes(this._getContextRole(element));
+  }
+
+  /**
+   * Role of the element that owns an element: the element claiming it with
+   * aria-owns, or its closest ancestor in the flat tree with a role
+   * (looking through generic and presentational ones)
+   * @returns {string|null} Context role
+   */
+  _getContextRole(element) {
+    const parentOf = (node) =>
+      node.assignedSlot ||
+      node.parentElement ||
+      node.getRootNode().host ||
+      null;
+
+    let current = element.id
+      ? this._getIdScope(element).querySelector(
+          `[aria-owns~="${this._escapeCss(element.id)}"]`
+        )
+      : null;
+    current = current || parentOf(element);
 
-    // Use textContent, not innerText
-    const visibleText = (element.textContent || "").replace(/\s+/g, "").trim();
-    if (visibleText.length > 0) return true;
+    while (current) {
+      const role = this._getAriaRole(current);
+      if (role && !ARIA_TRANSPARENT_ROLES.includes(role)) {
+        return role;
+      }
+      current = parentOf(current);
+    }
+    return null;
+  }
 
-    if (element.tagName === "INPUT" && element.value?.trim()) return true;
+  /**
+   * ARIA attributes an element's role doesn't support, and naming
+   * attributes on roles that prohibit naming. Unknown and deprecated
+   * attributes are left to their own rules.
+   */
+  _getProhibitedAriaAttributes(element) {
+    const role = this._getAriaRole(element);
+    if (!role) {
+      return [];
+    }
+    const definition = ARIA_ROLES[role];
+    if (!definition) {
+      return [];
+    }
 
-    const img = element.querySelector("img[alt]");
-    if (img && img.alt?.trim()) return true;
+    return Array.from(element.attributes)
+      .map((attr) => attr.name)
+      .filter((name) => {
+        if (
+          !ARIA_ATTRIBUTES.includes(name) ||
+          ARIA_DEPRECATED_ATTRIBUTES.includes(name) ||
+          ARIA_FORMERLY_GLOBAL_ATTRIBUTES.includes(name)
+        ) {
+          return false;
+        }
+        if (ARIA_GLOBAL_ATTRIBUTES.includes(name)) {
+          return (
+            !!definition.nameProhibited &&
+            (name === "aria-label" || name === "aria-labelledby")
+          );
+        }
+        return (
+          !(definition.attributes || []).includes(name) &&
+          !(definition.required || []).includes(name)
+        );
+      });
+  }
 
-    if (element.title?.trim()) return true;
+  /**
+   * Deprecated ARIA attributes on an element: aria-grabbed and
+   * aria-dropeffect anywhere, and the formerly global ones on roles that
+   * don't support them
+   */
+  _getDeprecatedAriaAttributes(element) {
+    const role = this._getAriaRole(element);
+    const supported =
+      role && ARIA_ROLES[role] ? ARIA_ROLES[role].attributes || [] : null;
+
+    return Array.from(element.attributes)
+      .map((attr) => attr.name)
+      .filter(
+        (name) =>
+          ARIA_DEPRECATED_ATTRIBUTES.includes(name) ||
+          (supported !== null &&
+            ARIA_FORMERLY_GLOBAL_ATTRIBUTES.includes(name) &&
+            !supported.includes(name))
+      );
+  }
 
+  /**
+   * Whether an element or a flat-tree ancestor has aria-hidden="true"
+   */
+  _isInAriaHidden(element) {
+    for (let node = element; node; node = this._getFlatParent(node)) {
+      if (node.getAttribute("aria-hidden") === "true") {
+        return true;
+      }
+    }
     return false;
   }
 
+  /**
+   * Whether an element is in the sequential focus order: focusable, not
+   * disabled or inert, and without a negative tabindex
+   */
+  _isTabbable(element) {
+    const tabindex = element.getAttribute("tabindex");
+    if (
+      !element.matches(TABBABLE_SELECTOR) ||
+      element.matches(":disabled") ||
+      (tabindex !== null && parseInt(tabindex, 10) < 0)
+    ) {
+      return false;
+    }
+    for (let node = element; node; node = this._getFlatParent(node)) {
+      if (node.hasAttribute("inert")) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * Check if element has text content
    */
@@ -830,16 +3326,48 @@ class RuleEngine {
     return Math.min(impact, 10.0); // Cap at 10
   }
 
+  /**
+   * Get computed style from the element's own window, so elements inside
+   * frames resolve against their frame's stylesheets
+   */
+  _getComputedStyle(element) {
+    const view = element.ownerDocument.defaultView || window;
+    return view.getComputedStyle(element);
+  }
+
+  /**
+   * Describe the frame an element belongs to
+   * @param {Element} element - DOM element
+   * @returns {{path: Array<string>, url: string}} Selectors of the frame
+   *   elements from the top document down (empty for the top document)
+   */
+  _getFrameInfo(element) {
+    const path = [];
+    let view = element.ownerDocument.defaultView;
+
+    try {
+      while (view && view.frameElement) {
+        path.unshift(this._getElementSelector(view.frameElement));
+        view = view.parent;
+      }
+    } catch (error) {
+      // frameElement is null or throws beyond a cross-origin boundary
+    }
+
+    return { path, url: element.ownerDocument.URL };
+  }
+
   /**
    * Check if element is visible
    */
   _isElementVisible(element) {
-    const styles = window.getComputedStyle(element);
+    const styles = this._getComputedStyle(element);
     return (
       styles.display !== "none" &&
       styles.visibility !== "hidden" &&
       styles.opacity !== "0" &&
-      element.offsetParent !== null
+      // offsetParent is always null without layout
+      (!this.hasLayout || element.offsetParent !== null)
     );
   }
 
@@ -875,12 +3403,267 @@ class RuleEngine {
   }
 
   /**
-   * Generate selector for element
+   * Escape a value for use in a CSS selector. Follows CSS.escape(), which
+   * jsdom and Node don't provide.
+   */
+  _escapeCss(value) {
+    if (typeof CSS !== "undefined" && CSS.escape) {
+      return CSS.escape(value);
+    }
+
+    const string = String(value);
+    let escaped = "";
+
+    for (let i = 0; i < string.length; i++) {
+      const char = string.charAt(i);
+      const code = string.charCodeAt(i);
+      const isDigit = code >= 0x30 && code <= 0x39;
+
+      if (code === 0) {
+        escaped += "\uFFFD";
+      } else if (
+        (code >= 0x01 && code <= 0x1f) ||
+        code === 0x7f ||
+        (i === 0 && isDigit) ||
+        (i === 1 && isDigit && string.charCodeAt(0) === 0x2d)
+      ) {
+        // Control characters and leading digits become code points
+        escaped += `\\${code.toString(16)} `;
+      } else if (i === 0 && code === 0x2d && string.length === 1) {
+        escaped += `\\${char}`;
+      } else if (code >= 0x80 || /[\w-]/.test(char)) {
+        escaped += char;
+      } else {
+        escaped += `\\${char}`;
+      }
+    }
+
+    return escaped;
+  }
+
+  /**
+   * Get the document or shadow root that scopes an element's ID references
+   */
+  _getIdScope(element) {
+    const root = element.getRootNode ? element.getRootNode() : document;
+    return typeof root.getElementById === "function" ? root : document;
+  }
+
+  /**
+   * Generate selector for element. Elements inside shadow roots are
+   * prefixed with their host's selector, joined by SHADOW_SELECTOR_SEPARATOR.
    */
   _getElementSelector(element) {
-    // If element has an ID, use it
+    const root = element.getRootNode ? element.getRootNode() : document;
+    const selector = this._getLocalSelector(element, root);
+
+    if (root.host) {
+      return (
+        this._getElementSelector(root.host) +
+        SHADOW_SELECTOR_SEPARATOR +
+        selector
+      );
+    }
+
+    return selector;
+  }
+
+  /**
+   * Describe an element in terms that survive unrelated markup changes,
+   * unlike selectors with nth-of-type positions. Reporter fingerprints
+   * issues from this.
+   * @param {Element} element - DOM element
+   * @returns {{landmark: string, testId: string, role: string, name: string,
+   *   path: string}} Closest landmark (role and name), closest data-testid,
+   *   the element's role and name, and the tag names from the closer of the
+   *   two down to the element
+   */
+  getElementLocator(element) {
+    const locator = {
+      landmark: "",
+      testId: "",
+      role: this.getRole(element) || "",
+      name: this._getLocatorName(element),
+      path: "",
+    };
+
+    const tags = [];
+    let current = element;
+    while (current) {
+      const testId = current.getAttribute("data-testid");
+      if (testId && !locator.testId) {
+        locator.testId = testId;
+        break;
+      }
+      if (current !== element) {
+        const role = this._getLandmarkRole(current);
+        if (role) {
+          locator.landmark = `${role} ${this._getLocatorName(current)}`.trim();
+          break;
+        }
+      }
+      tags.unshift(current.tagName.toLowerCase());
+      current = current.parentElement || current.getRootNode().host || null;
+    }
+    locator.path = tags.join(">");
+
+    return locator;
+  }
+
+  /**
+   * Get an element's ARIA role (see AccessibleName.getRole())
+   * @param {Element} element - DOM element
+   * @returns {string|null} First valid role token, or the implicit role
+   */
+  getRole(element) {
+    return AccName.getRole(element);
+  }
+
+  /**
+   * Compute an element's accessible name (W3C accname 1.2)
+   * @param {Element} element - DOM element
+   * @returns {string} Accessible name
+   */
+  getAccessibleName(element) {
+    return AccName.computeName(element);
+  }
+
+  /**
+   * Compute an element's accessible description (W3C accname 1.2)
+   * @param {Element} element - DOM element
+   * @returns {string} Accessible description
+   */
+  getAccessibleDescription(element) {
+    return AccName.computeDescription(element);
+  }
+
+  /**
+   * Look up a role in the WAI-ARIA 1.2 role model
+   * @param {string} role - Role name
+   * @returns {{abstract: boolean, attributes: Array<string>,
+   *   required: Array<string>, owned: Array<string>,
+   *   context: Array<string>, nameProhibited: boolean}|null} Supported
+   *   states and properties (global ones included), required ones,
+   *   required owned elements and context roles; null for unknown roles
+   */
+  getAriaRoleDefinition(role) {
+    const abstract = ARIA_ABSTRACT_ROLES.includes(role);
+    if (!abstract && !Object.prototype.hasOwnProperty.call(ARIA_ROLES, role)) {
+      return null;
+    }
+    const definition = abstract ? {} : ARIA_ROLES[role];
+
+    return {
+      abstract,
+      attributes: abstract
+        ? []
+        : [...ARIA_GLOBAL_ATTRIBUTES, ...(definition.attributes || [])],
+      required: definition.required || [],
+      owned: definition.owned || [],
+      context: definition.context || [],
+      nameProhibited: !!definition.nameProhibited,
+    };
+  }
+
+  /**
+   * List a document's landmarks in flat-tree order, for the landmark map
+   * and the landmark rules. Landmarks that are hidden or out of scope are
+   * left out. Built once per document while exposure is cached.
+   * @param {Document} [doc] - Document to search
+   * @returns {Array<{element: Element, role: string, name: string,
+   *   selector: string, depth: number, parent: Element|null}>} Landmarks,
+   *   with how many landmarks contain each and the closest of those
+   */
+  getLandmarks(doc = document) {
+    if (this._landmarkCache?.has(doc)) {
+      return this._landmarkCache.get(doc);
+    }
+
+    const landmarks = [];
+
+    const walk = (node, parent, depth) => {
+      AccName.getChildNodes(node).forEach((child) => {
+        if (child.nodeType !== 1) {
+          return;
+        }
+        const role = this._getLandmarkRole(child);
+        if (
+          role &&
+          this.isInScope(child) &&
+          this.getExposure(child) === "exposed"
+        ) {
+          landmarks.push({
+            element: child,
+            role,
+            name: this.getAccessibleName(child),
+            selector: this._getElementSelector(child),
+            depth,
+            parent,
+          });
+          walk(child, child, depth + 1);
+        } else {
+          walk(child, parent, depth);
+        }
+      });
+    };
+
+    if (doc.body) {
+      walk(doc.body, null, 0);
+    }
+    this._landmarkCache?.set(doc, landmarks);
+    return landmarks;
+  }
+
+  /**
+   * Accessible name as used in locators, truncated so long text content
+   * doesn't dominate the ID
+   */
+  _getLocatorName(element) {
+    return this.getAccessibleName(element).slice(0, 50);
+  }
+
+  /**
+   * Find an element from a selector generated by _getElementSelector,
+   * descending into open shadow roots
+   * @param {string} selector - Selector, possibly spanning shadow roots
+   * @param {Document|ShadowRoot} root - Scope to start from
+   * @returns {Element|null} Matching element
+   */
+  querySelectorDeep(selector, root = document) {
+    const segments = selector.split(SHADOW_SELECTOR_SEPARATOR);
+    let scope = root;
+    let element = null;
+
+    for (let i = 0; i < segments.length; i++) {
+      try {
+        element = scope.querySelector(segments[i]);
+      } catch (error) {
+        return null; // Invalid selector
+      }
+
+      if (!element) {
+        return null;
+      }
+
+      if (i < segments.length - 1) {
+        scope = element.shadowRoot;
+        if (!scope) return null;
+      }
+    }
+
+    return element;
+  }
+
+  /**
+   * Generate selector for element, unique within its document or shadow root
+   */
+  _getLocalSelector(element, root) {
+    // If element has an ID, use it (unless another element shares it)
     if (element.id) {
-      return `#${CSS.escape(element.id)}`;
+      const idSelector = `#${this._escapeCss(element.id)}`;
+      if (root.querySelectorAll(idSelector).length === 1) {
+        return idSelector;
+      }
     }
 
     // If element has unique classes, use them
@@ -891,10 +3674,11 @@ class RuleEngine {
         .filter((c) => c);
       if (classes.length > 0) {
         // Check if this class combination is unique
-        const classSelector = "." + classes.map((c) => CSS.escape(c)).join(".");
+        const classSelector =
+          "." + classes.map((c) => this._escapeCss(c)).join(".");
         const tagWithClass = element.tagName.toLowerCase() + classSelector;
 
-        if (document.querySelectorAll(tagWithClass).length === 1) {
+        if (root.querySelectorAll(tagWithClass).length === 1) {
           return tagWithClass;
         }
       }
@@ -911,10 +3695,10 @@ class RuleEngine {
     for (const attr of uniqueAttrs) {
       if (element.hasAttribute(attr)) {
         const value = element.getAttribute(attr);
-        const selector = `${element.tagName.toLowerCase()}[${attr}="${CSS.escape(
+        const selector = `${element.tagName.toLowerCase()}[${attr}="${this._escapeCss(
           value
         )}"]`;
-        if (document.querySelectorAll(selector).length === 1) {
+        if (root.querySelectorAll(selector).length === 1) {
           return selector;
         }
       }
@@ -926,8 +3710,8 @@ class RuleEngine {
 
     while (
       current &&
-      current !== document.body &&
-      current !== document.documentElement
+      current !== element.ownerDocument.body &&
+      current !== element.ownerDocument.documentElement
     ) {
       let selector = current.tagName.toLowerCase();
 
@@ -951,14 +3735,18 @@ class RuleEngine {
       }
 
       // For other elements, add minimal identifying information
-      if (current.id) {
-        selector = `#${CSS.escape(current.id)}`;
+      if (
+        current.id &&
+        root.querySelectorAll(`#${this._escapeCss(current.id)}`).length === 1
+      ) {
+        selector = `#${this._escapeCss(current.id)}`;
         path.unshift(selector);
         break;
       }
 
-      // Add position only if there are multiple similar siblings
-      const parent = current.parentElement;
+      // Add position only if there are multiple similar siblings, including
+      // at the top of a shadow root
+      const parent = current.parentElement || current.parentNode;
       if (parent) {
         const siblings = Array.from(parent.children).filter(
           (child) => child.tagName === current.tagName
@@ -997,6 +3785,7 @@ class RuleEngine {
         this.enabledRules.add(id);
       }
     });
+    this.version++;
   }
 
   /**
@@ -1023,6 +3812,10 @@ class RuleEngine {
   }
 }
 
+RuleEngine.RuleValidationError = RuleValidationError;
+RuleEngine.NEEDS_REVIEW = NEEDS_REVIEW;
+RuleEngine.SUPPRESSED = SUPPRESSED;
+
 // Export for module systems
 if (typeof module !== "undefined" && module.exports) {
   module.exports = RuleEngine;
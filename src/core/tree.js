@@ -0,0 +1,321 @@
+/**
+ * A11y Live - Accessibility Tree
+ *
+ * Builds a role/name/state snapshot of a DOM subtree, using the same role
+ * and name computation as the rules (AccessibleName). Hidden and
+ * aria-hidden content is skipped; elements without a role that aren't
+ * focusable are flattened into their parent. The text form (toString())
+ * is meant for snapshot tests and review diffs.
+ */
+
+// Accessible name computation and role lookup. Loaded before this file in
+// global-script mode.
+const TreeAccName =
+  typeof module !== "undefined" && module.exports
+    ? require("./accname.js")
+    : window.AccessibleName;
+
+// Roles that add nothing to the tree; their children are hoisted
+const TREE_IGNORED_ROLES = ["presentation", "none", "generic"];
+
+// Elements that take focus without a tabindex (when not disabled)
+const TREE_FOCUSABLE_SELECTOR =
+  "a[href], area[href], button, input:not([type=hidden]), select, " +
+  "textarea, summary, iframe, audio[controls], video[controls], " +
+  "[contenteditable]:not([contenteditable=false]), [tabindex]";
+
+// ARIA states reported as true/false (or "mixed" for checked and pressed)
+const TREE_BOOLEAN_STATES = [
+  "busy",
+  "checked",
+  "disabled",
+  "expanded",
+  "invalid",
+  "modal",
+  "pressed",
+  "readonly",
+  "required",
+  "selected",
+];
+
+class AccessibilityTree {
+  /**
+   * Build the accessibility tree of a subtree
+   * @param {Element} root - Root element, always included
+   * @param {Object} [options]
+   * @param {string} [options.exclude] - Selector for subtrees to leave out
+   * @returns {Object} Root node: { role, name, description?, states?,
+   *   children }, where states holds ARIA states, heading levels and
+   *   focusable. Each node also has a non-enumerable `element`.
+   */
+  static build(root, { exclude = null } = {}) {
+    const node = AccessibilityTree._createNode(
+      root,
+      TreeAccName.getRole(root) || "generic"
+    );
+    node.children = AccessibilityTree._buildChildren(root, exclude);
+    return node;
+  }
+
+  /**
+   * Check whether a value is a tree node (from build(), or parsed back
+   * from JSON)
+   * @param {*} value - Any value
+   * @returns {boolean}
+   */
+  static isTree(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      typeof value.role === "string" &&
+      Array.isArray(value.children)
+    );
+  }
+
+  /**
+   * Render a tree as indented text, one node per line:
+   *   heading "Products" level=2
+   *     link "Shoes" focusable
+   * @param {Object} tree - From build()
+   * @returns {string} Text form
+   */
+  static toString(tree) {
+    return AccessibilityTree._toLines(tree, 0).join("\n");
+  }
+
+  /**
+   * Line diff between two trees (or their toString() forms), for review.
+   * Removed lines start with "- ", added ones with "+ ", unchanged ones
+   * with "  ".
+   * @param {Object|string} before - Earlier tree
+   * @param {Object|string} after - Later tree
+   * @returns {string} The diff, or "" if the trees are the same
+   */
+  static diff(before, after) {
+    const toLines = (tree) =>
+      (typeof tree === "string" ? tree : AccessibilityTree.toString(tree))
+        .split("\n")
+        .filter((line) => line !== "");
+    const a = toLines(before);
+    const b = toLines(after);
+
+    // Only the part between the common prefix and suffix needs the LCS
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+    if (start === endA && start === endB) {
+      return "";
+    }
+
+    const middle = AccessibilityTree._diffLines(
+      a.slice(start, endA),
+      b.slice(start, endB)
+    );
+    return [
+      ...a.slice(0, start).map((line) => `  ${line}`),
+      ...middle,
+      ...a.slice(endA).map((line) => `  ${line}`),
+    ].join("\n");
+  }
+
+  /**
+   * Build the nodes for an element's children, hoisting the children of
+   * elements that aren't part of the tree
+   */
+  static _buildChildren(element, exclude) {
+    const nodes = [];
+
+    TreeAccName.getChildNodes(element).forEach((child) => {
+      if (
+        child.nodeType !== 1 ||
+        AccessibilityTree._isExcluded(child, exclude)
+      ) {
+        return;
+      }
+
+      const role = TreeAccName.getRole(child);
+      const focusable = AccessibilityTree._isFocusable(child);
+      const children = AccessibilityTree._buildChildren(child, exclude);
+
+      if (focusable || (role && !TREE_IGNORED_ROLES.includes(role))) {
+        const node = AccessibilityTree._createNode(child, role || "generic");
+        node.children = children;
+        nodes.push(node);
+      } else {
+        nodes.push(...children);
+      }
+    });
+
+    return nodes;
+  }
+
+  static _isExcluded(element, exclude) {
+    if (TreeAccName.isHidden(element)) {
+      return true;
+    }
+    try {
+      return !!exclude && element.matches(exclude);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static _createNode(element, role) {
+    const node = { role, name: TreeAccName.computeName(element) };
+
+    const description = TreeAccName.computeDescription(element);
+    if (description) {
+      node.description = description;
+    }
+
+    const states = AccessibilityTree._getStates(element, role);
+    if (Object.keys(states).length > 0) {
+      node.states = states;
+    }
+
+    Object.defineProperty(node, "element", { value: element });
+    return node;
+  }
+
+  /**
+   * States and properties worth snapshotting: ARIA states, their native
+   * equivalents, aria-current, heading levels and focusability
+   */
+  static _getStates(element, role) {
+    const states = {};
+
+    TREE_BOOLEAN_STATES.forEach((state) => {
+      const value = element.getAttribute(`aria-${state}`);
+      if (value === "true" || value === "false") {
+        states[state] = value === "true";
+      } else if (value === "mixed") {
+        states[state] = "mixed";
+      }
+    });
+
+    const current = element.getAttribute("aria-current");
+    if (current && current !== "false") {
+      states.current = current;
+    }
+
+    // Native equivalents win over ARIA
+    if (element.disabled === true) {
+      states.disabled = true;
+    }
+    if (element.required === true) {
+      states.required = true;
+    }
+    if (element.readOnly === true) {
+      states.readonly = true;
+    }
+    const type = (element.getAttribute("type") || "").toLowerCase();
+    if (
+      element.tagName === "INPUT" &&
+      (type === "checkbox" || type === "radio")
+    ) {
+      states.checked = element.indeterminate ? "mixed" : element.checked;
+    }
+    if (
+      element.tagName === "SUMMARY" &&
+      element.parentElement?.tagName === "DETAILS"
+    ) {
+      states.expanded = element.parentElement.open;
+    }
+
+    if (role === "heading") {
+      const level =
+        parseInt(element.getAttribute("aria-level"), 10) ||
+        parseInt(element.tagName.slice(1), 10) ||
+        2;
+      states.level = level;
+    }
+
+    if (AccessibilityTree._isFocusable(element)) {
+      states.focusable = true;
+    }
+
+    return states;
+  }
+
+  static _isFocusable(element) {
+    try {
+      return (
+        element.matches(TREE_FOCUSABLE_SELECTOR) &&
+        !element.disabled &&
+        !element.closest("[inert]")
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static _toLines(node, depth) {
+    const parts = [node.role];
+    if (node.name) {
+      parts.push(JSON.stringify(node.name));
+    }
+    Object.entries(node.states || {}).forEach(([state, value]) => {
+      parts.push(value === true ? state : `${state}=${value}`);
+    });
+    if (node.description) {
+      parts.push(`description=${JSON.stringify(node.description)}`);
+    }
+
+    return [
+      "  ".repeat(depth) + parts.join(" "),
+      ...node.children.flatMap((child) =>
+        AccessibilityTree._toLines(child, depth + 1)
+      ),
+    ];
+  }
+
+  /**
+   * Longest-common-subsequence line diff
+   */
+  static _diffLines(a, b) {
+    // lengths[i][j]: LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push(`  ${a[i++]}`);
+        j++;
+      } else if (
+        i < a.length &&
+        (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+      ) {
+        lines.push(`- ${a[i++]}`);
+      } else {
+        lines.push(`+ ${b[j++]}`);
+      }
+    }
+    return lines;
+  }
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AccessibilityTree;
+} else if (typeof window !== "undefined") {
+  window.AccessibilityTree = AccessibilityTree;
+}
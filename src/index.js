@@ -0,0 +1,50 @@
+/**
+ * A11y Live - Module Entry Point
+ *
+ * Statically imports every component so bundlers can resolve the full
+ * dependency graph, then registers them with the engine so it never has
+ * to inject <script> tags at runtime.
+ */
+
+import A11yEngine from "./core/engine.js";
+import AccessibleName from "./core/accname.js";
+import AccessibilityTree from "./core/tree.js";
+import RuleEngine from "./core/rules.js";
+import Reporter from "./core/reporter.js";
+import A11yConfig from "./core/config.js";
+import UIManager from "./ui/ui-Manager.js";
+import Panel from "./ui/panel.js";
+import Overlay from "./ui/overlay.js";
+import Tutorial from "./ui/tutorial.js";
+
+A11yEngine.registerComponents({
+  AccessibleName,
+  AccessibilityTree,
+  RuleEngine,
+  Reporter,
+  A11yConfig,
+  UIManager,
+  Panel,
+  Overlay,
+  Tutorial,
+});
+
+const { DependencyLoadError } = A11yEngine;
+const { RuleValidationError } = RuleEngine;
+const { ConfigValidationError } = A11yConfig;
+
+export {
+  A11yEngine,
+  DependencyLoadError,
+  AccessibleName,
+  AccessibilityTree,
+  RuleEngine,
+  RuleValidationError,
+  Reporter,
+  A11yConfig,
+  ConfigValidationError,
+  UIManager,
+  Panel,
+  Overlay,
+  Tutorial,
+};
@@ -0,0 +1,109 @@
+/**
+ * A11y Live - Headless Audit Module
+ *
+ * Runs the RuleEngine and Reporter in Node against HTML strings or files,
+ * using jsdom instead of a browser. Page scripts are not executed and there
+ * is no layout engine, so layout-dependent rules (color contrast, focus
+ * indicators) report results with status "needs-review".
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { JSDOM } = require("jsdom");
+const RuleEngine = require("../core/rules.js");
+const Reporter = require("../core/reporter.js");
+const A11yConfig = require("../core/config.js");
+const { loadConfig } = require("./config.js");
+const { loadBaseline } = require("./baseline.js");
+
+/**
+ * Audit an HTML document
+ * @param {string} html - Full HTML document or fragment
+ * @param {Object} [options]
+ * @param {string} [options.url] - Document URL, used to resolve links and
+ *   reported as result.frame.url - Default: "http://localhost/"
+ * @param {string} [options.source] - Label for the document in reports
+ *   (result.frame.source), e.g. its file path - Default: "main document"
+ * @param {Array<Object>} [options.rules] - Custom rules to register
+ * @param {Array<string>} [options.enabledRules] - Only run these rule IDs
+ * @param {Function} [options.onRuleError] - (error, rule, element) hook
+ * @param {Object|string} [options.config] - Project config, or the path of
+ *   a config file. Applied after options.rules and options.enabledRules
+ * @param {Object|string} [options.baseline] - Baseline, or the path of a
+ *   baseline file. Matching results get inBaseline: true
+ * @param {boolean} [options.raw] - Return the engine's results without
+ *   processing them, for callers that process several documents with one
+ *   Reporter. The baseline and config thresholds are then not applied.
+ * @returns {Promise<Array<ProcessedResult|AnalysisResult>>} Processed
+ *   results, including suppressed ones (status "suppressed") and ones in
+ *   the baseline; raw analysis results with options.raw
+ * @throws {ConfigValidationError} If the config is invalid
+ */
+async function audit(html, options = {}) {
+  const dom = new JSDOM(html, { url: options.url || "http://localhost/" });
+  const doc = dom.window.document;
+
+  const ruleEngine = new RuleEngine({ hasLayout: false });
+  (options.rules || []).forEach((rule) => ruleEngine.registerRule(rule));
+  if (options.enabledRules) {
+    ruleEngine.updateEnabledRules(options.enabledRules);
+  }
+  ruleEngine.onRuleError = options.onRuleError || null;
+
+  const reporter = new Reporter();
+  if (options.config) {
+    const isPath = typeof options.config === "string";
+    A11yConfig.apply(
+      isPath ? loadConfig(options.config) : options.config,
+      { ruleEngine, reporter, doc },
+      isPath ? options.config : undefined
+    );
+  }
+  if (options.baseline && !options.raw) {
+    reporter.setBaseline(
+      typeof options.baseline === "string"
+        ? loadBaseline(options.baseline)
+        : options.baseline
+    );
+  }
+
+  // Same scope as a full browser pass: the body and everything in it
+  const elements = [doc.body, ...doc.body.querySelectorAll("*")];
+  const results = [
+    ...(await ruleEngine.executeRules(elements)),
+    ...(await ruleEngine.executeDocumentRules([doc])),
+  ];
+  if (options.source) {
+    results.forEach((result) => (result.frame.source = options.source));
+  }
+  if (options.raw) {
+    return results;
+  }
+
+  // Suppressed and baseline results are kept for reports
+  return [
+    ...reporter.processResults(results),
+    ...reporter.baselineResults,
+    ...reporter.getSuppressedResults(),
+  ];
+}
+
+/**
+ * Audit an HTML file
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Same as audit(); url defaults to the file URL
+ *   and source to filePath
+ * @returns {Promise<Array<ProcessedResult|AnalysisResult>>} Same as
+ *   audit()
+ */
+async function auditFile(filePath, options = {}) {
+  const html = await fs.promises.readFile(filePath, "utf8");
+  return audit(html, {
+    url: pathToFileURL(path.resolve(filePath)).href,
+    source: filePath,
+    ...options,
+  });
+}
+
+module.exports = { audit, auditFile };
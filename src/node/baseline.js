@@ -0,0 +1,36 @@
+/**
+ * A11y Live - Baseline Files
+ *
+ * Reads and writes baseline files: the issues accepted when adopting
+ * A11y Live, so later scans only report new ones. The format is the
+ * object returned by Reporter.createBaseline().
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read a baseline file
+ * @param {string} filePath - Baseline file path
+ * @returns {Object} Baseline
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function loadBaseline(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a baseline file, creating its directory if needed
+ * @param {string} filePath - Baseline file path
+ * @param {Object} baseline - From Reporter.createBaseline()
+ */
+function saveBaseline(filePath, baseline) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+module.exports = { loadBaseline, saveBaseline };
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/**
+ * A11y Live - Command-Line Scanner
+ *
+ * `a11y-live scan <globs...>` audits static HTML files with the headless
+ * audit module, prints a summary by severity and rule, writes reports in
+ * the Reporter export formats and sets the exit code from thresholds.
+ *
+ * Rule settings, scope and thresholds come from the nearest project config
+ * file (.a11yliverc, .a11yliverc.json or a11y-live.config.js) unless
+ * --config names one; threshold flags override the config.
+ *
+ * Exit codes: 0 passed, 1 thresholds exceeded, 2 usage or runtime error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const Reporter = require("../core/reporter.js");
+const A11yConfig = require("../core/config.js");
+const { auditFile } = require("./audit.js");
+const { findConfig, loadConfig } = require("./config.js");
+const { loadBaseline, saveBaseline } = require("./baseline.js");
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Most severe first; --fail-on fails on its level and everything above
+const SEVERITIES = ["error", "warning", "info"];
+const DEFAULT_THRESHOLDS = { failOn: "error" };
+const REPORT_FORMATS = ["json", "csv", "html"];
+
+const USAGE = `Usage: a11y-live scan <globs...> [options]
+
+Audit static HTML files for accessibility issues.
+
+Options:
+  --config <file>       Project config file (default: nearest .a11yliverc,
+                        .a11yliverc.json or a11y-live.config.js)
+  --fail-on <severity>  Fail on any issue at least this severe: error,
+                        warning, info or none (default: error)
+  --max-errors <n>      Fail if there are more than n errors
+  --max-warnings <n>    Fail if there are more than n warnings
+  --max-info <n>        Fail if there are more than n info issues
+  --baseline <file>     Only report issues that are not in this baseline
+  --write-baseline <file>
+                        Write the issues found to a baseline file; they
+                        are then treated as known for this scan
+  -o, --output <file>   Write a report; the format (json, csv, html) follows
+                        the file extension. Can be repeated
+  --rules <ids>         Comma-separated rule IDs to run (default: all)
+  -h, --help            Show this help
+
+Results that need manual review are reported but never fail the scan.
+node_modules directories are skipped.
+
+Exit codes: 0 passed, 1 thresholds exceeded, 2 usage or runtime error`;
+
+/**
+ * Error for invalid command-line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {Object} { command, patterns, config, baseline, writeBaseline,
+ *   thresholds, outputs, rules, help }
+ * @throws {UsageError} On unknown or malformed options
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    patterns: [],
+    config: null,
+    baseline: null,
+    writeBaseline: null,
+    // Only the thresholds given as flags; merged over the config in run()
+    thresholds: {},
+    outputs: [],
+    rules: null,
+    help: false,
+  };
+
+  const readValue = (args, flag) => {
+    if (args.length === 0 || args[0].startsWith("-")) {
+      throw new UsageError(`${flag} requires a value`);
+    }
+    return args.shift();
+  };
+
+  const readCount = (args, flag) => {
+    const value = readValue(args, flag);
+    if (!/^\d+$/.test(value)) {
+      throw new UsageError(`${flag} must be a non-negative integer`);
+    }
+    return Number(value);
+  };
+
+  const args = [...argv];
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    switch (arg) {
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      case "--fail-on": {
+        const severity = readValue(args, arg);
+        if (!SEVERITIES.includes(severity) && severity !== "none") {
+          throw new UsageError(
+            `--fail-on must be one of ${SEVERITIES.join(", ")}, none`
+          );
+        }
+        options.thresholds.failOn = severity;
+        break;
+      }
+      case "--max-errors":
+        options.thresholds.maxErrors = readCount(args, arg);
+        break;
+      case "--max-warnings":
+        options.thresholds.maxWarnings = readCount(args, arg);
+        break;
+      case "--max-info":
+        options.thresholds.maxInfo = readCount(args, arg);
+        break;
+      case "--config":
+        options.config = readValue(args, arg);
+        break;
+      case "--baseline":
+        options.baseline = readValue(args, arg);
+        break;
+      case "--write-baseline":
+        options.writeBaseline = readValue(args, arg);
+        break;
+      case "-o":
+      case "--output": {
+        const file = readValue(args, arg);
+        const format = path.extname(file).slice(1).toLowerCase();
+        if (!REPORT_FORMATS.includes(format)) {
+          throw new UsageError(
+            `Cannot infer a report format from "${file}"; use a .${REPORT_FORMATS.join(
+              ", ."
+            )} extension`
+          );
+        }
+        options.outputs.push({ file, format });
+        break;
+      }
+      case "--rules":
+        options.rules = readValue(args, arg)
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean);
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (options.command === null) {
+          options.command = arg;
+        } else {
+          options.patterns.push(arg);
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Expand glob patterns into a sorted, de-duplicated list of files
+ * @param {Array<string>} patterns - Glob patterns or plain paths
+ * @returns {Array<string>} Matching file paths
+ */
+function expandPatterns(patterns) {
+  const files = new Set();
+  patterns.forEach((pattern) =>
+    glob
+      .sync(pattern, { nodir: true, ignore: ["**/node_modules/**"] })
+      .forEach((file) => files.add(file))
+  );
+  return Array.from(files).sort();
+}
+
+/**
+ * Count confirmed violations (not "needs-review") by severity
+ * @param {Array<ProcessedResult>} results - Scan results
+ * @returns {Object} Severity to count
+ */
+function countBySeverity(results) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  results
+    .filter((result) => result.status !== "needs-review")
+    .forEach((result) => counts[result.severity]++);
+  return counts;
+}
+
+/**
+ * Format the terminal summary
+ * @param {Array<ProcessedResult>} results - Scan results
+ * @param {number} fileCount - Number of files scanned
+ * @param {Object} summary - Reporter summary, for suppressed and baseline
+ *   counts
+ * @returns {string} Summary text
+ */
+function formatSummary(results, fileCount, summary) {
+  const counts = countBySeverity(results);
+  const needsReview = results.filter(
+    (result) => result.status === "needs-review"
+  ).length;
+  const violations = counts.error + counts.warning + counts.info;
+
+  const lines = [
+    `A11y Live scan: ${fileCount} file(s), ${violations} issue(s)`,
+    `  errors:       ${counts.error}`,
+    `  warnings:     ${counts.warning}`,
+    `  info:         ${counts.info}`,
+    `  needs review: ${needsReview}`,
+    `  suppressed:   ${summary.suppressed}`,
+  ];
+
+  if (summary.baseline) {
+    const { total, remaining, fixed } = summary.baseline;
+    lines.push(
+      `  baseline:     ${remaining} known, ${fixed} of ${total} fixed`
+    );
+  }
+
+  const byRule = new Map();
+  results.forEach((result) => {
+    const entry = byRule.get(result.ruleId) || {
+      severity: result.severity,
+      violations: 0,
+      needsReview: 0,
+    };
+    if (result.status === "needs-review") {
+      entry.needsReview++;
+    } else {
+      entry.violations++;
+    }
+    byRule.set(result.ruleId, entry);
+  });
+
+  if (byRule.size > 0) {
+    const width = Math.max(...Array.from(byRule.keys(), (id) => id.length));
+    lines.push("", "By rule:");
+    Array.from(byRule)
+      .sort(
+        ([, a], [, b]) =>
+          SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+          b.violations - a.violations
+      )
+      .forEach(([ruleId, entry]) => {
+        const review = entry.needsReview
+          ? ` (+${entry.needsReview} to review)`
+          : "";
+        lines.push(
+          `  ${ruleId.padEnd(width)}  ${entry.severity.padEnd(7)}  ${
+            entry.violations
+          }${review}`
+        );
+      });
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Run the scanner
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {Object} [io] - Output streams ({ stdout, stderr })
+ * @returns {Promise<number>} Exit code
+ */
+async function run(
+  argv,
+  io = { stdout: process.stdout, stderr: process.stderr }
+) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_ERROR;
+  }
+
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return EXIT_PASSED;
+  }
+
+  if (options.command !== "scan" || options.patterns.length === 0) {
+    io.stderr.write(`${USAGE}\n`);
+    return EXIT_ERROR;
+  }
+
+  let baseline = null;
+  if (options.baseline) {
+    try {
+      baseline = loadBaseline(options.baseline);
+      // Validate before scanning
+      new Reporter().setBaseline(baseline);
+    } catch (error) {
+      io.stderr.write(`${error.message}\n`);
+      return EXIT_ERROR;
+    }
+  }
+
+  try {
+    const files = expandPatterns(options.patterns);
+    if (files.length === 0) {
+      io.stderr.write(
+        `No files match ${options.patterns.map((p) => `"${p}"`).join(", ")}\n`
+      );
+      return EXIT_ERROR;
+    }
+
+    const configFile = options.config || findConfig();
+    const config = configFile ? loadConfig(configFile) : {};
+
+    // Raw results, processed once below with one Reporter for all files
+    const auditOptions = { config, raw: true };
+    if (options.rules) {
+      auditOptions.enabledRules = options.rules;
+    }
+    const fileResults = [];
+    for (const file of files) {
+      fileResults.push(...(await auditFile(file, auditOptions)));
+    }
+
+    // One Reporter across all files, so reports cover the whole scan
+    const reporter = new Reporter();
+    reporter.setThresholds({
+      ...DEFAULT_THRESHOLDS,
+      ...config.thresholds,
+      ...options.thresholds,
+    });
+    reporter.setBaseline(baseline);
+    reporter.processResults(fileResults);
+
+    if (options.writeBaseline) {
+      const written = reporter.createBaseline();
+      saveBaseline(options.writeBaseline, written);
+      reporter.setBaseline(written);
+      io.stdout.write(
+        `Wrote ${written.issues.length} issue(s) to ${options.writeBaseline}\n`
+      );
+    }
+
+    options.outputs.forEach(({ file, format }) => {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, reporter.exportResults(format));
+    });
+
+    io.stdout.write(
+      `${formatSummary(
+        reporter.results,
+        files.length,
+        reporter.getSummary()
+      )}\n`
+    );
+
+    const failures = reporter.checkThresholds();
+    if (failures.length > 0) {
+      io.stdout.write(`\n✖ Failed: ${failures.join("; ")}\n`);
+      return EXIT_FAILED;
+    }
+
+    io.stdout.write("\n✔ Passed\n");
+    return EXIT_PASSED;
+  } catch (error) {
+    if (error instanceof A11yConfig.ConfigValidationError) {
+      io.stderr.write(`${error.message}\n`);
+      return EXIT_ERROR;
+    }
+    io.stderr.write(`a11y-live scan failed: ${error.stack || error}\n`);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,69 @@
+/**
+ * A11y Live - Config File Loader
+ *
+ * Finds and reads project config files for the headless audit module and
+ * the CLI. Validation against the registered rules happens when the config
+ * is applied (A11yConfig.apply()).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const A11yConfig = require("../core/config.js");
+
+// Searched in this order in each directory
+const CONFIG_FILES = [".a11yliverc", ".a11yliverc.json", "a11y-live.config.js"];
+
+/**
+ * Find the nearest config file, searching upward from a directory
+ * @param {string} [startDir] - Directory to start in - Default: cwd
+ * @returns {string|null} Config file path, or null if there is none
+ */
+function findConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const found = CONFIG_FILES.map((name) => path.join(dir, name)).find(
+      (file) => fs.existsSync(file)
+    );
+    if (found) {
+      return found;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file. .js files are required (module.exports = {...});
+ * anything else is parsed as JSON.
+ * @param {string} filePath - Config file path
+ * @returns {Object} Config object
+ * @throws {ConfigValidationError} If the file cannot be parsed or does not
+ *   contain an object
+ */
+function loadConfig(filePath) {
+  const resolved = path.resolve(filePath);
+  let config;
+
+  try {
+    config =
+      path.extname(resolved) === ".js"
+        ? require(resolved)
+        : JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "MODULE_NOT_FOUND") {
+      throw new A11yConfig.ConfigValidationError(["file not found"], filePath);
+    }
+    throw new A11yConfig.ConfigValidationError([error.message], filePath);
+  }
+
+  // Structure only; rule IDs are checked once the rules are registered
+  A11yConfig.validate(config, { source: filePath });
+  return config;
+}
+
+module.exports = { findConfig, loadConfig, CONFIG_FILES };
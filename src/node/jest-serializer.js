@@ -0,0 +1,23 @@
+/**
+ * A11y Live - Jest Snapshot Serializer
+ *
+ * Prints accessibility trees (A11yEngine#getAccessibilityTree(),
+ * AccessibilityTree.build()) in their indented text form, so snapshots
+ * show roles, names and states instead of object literals:
+ *
+ *   // jest.config.js
+ *   snapshotSerializers: ["a11y-live/src/node/jest-serializer"]
+ *
+ *   expect(await engine.getAccessibilityTree(container)).toMatchSnapshot();
+ */
+
+const AccessibilityTree = require("../core/tree.js");
+
+module.exports = {
+  test: (value) => AccessibilityTree.isTree(value),
+  serialize: (value, config, indentation) =>
+    AccessibilityTree.toString(value)
+      .split("\n")
+      .map((line) => indentation + line)
+      .join("\n"),
+};
@@ -5,15 +5,21 @@
  * It creates a visual overlay and a tooltip to identify the problematic element
  * and the nature of the issue. Markers now stay attached to elements during scroll.
  */
+
+// Namespace for the lines drawn to related elements
+const OVERLAY_SVG_NS = "http://www.w3.org/2000/svg";
+
 class Overlay {
   constructor(uiManager) {
     this.uiManager = uiManager;
     this.highlightEl = null;
     this.tooltipEl = null;
+    this.relationsEl = null; // Lines to the highlighted issue's related elements
     this.markers = new Map(); // Store markers for all issues
     this.scrollHandler = null;
     this.resizeHandler = null;
     this.isUpdatingMarkers = false;
+    this.frameWindows = new Set(); // Frame windows with scroll listeners
   }
 
   initialize() {
@@ -21,6 +27,7 @@ class Overlay {
     // Create the main highlight element
     this.highlightEl = document.createElement("div");
     this.highlightEl.id = "a11y-highlight";
+    this.highlightEl.setAttribute("data-a11y-live-ui", "");
     this.highlightEl.setAttribute("hidden", "true");
 
     // Create the tooltip element
@@ -31,6 +38,13 @@ class Overlay {
 
     document.body.appendChild(this.highlightEl);
 
+    this.relationsEl = document.createElementNS(OVERLAY_SVG_NS, "svg");
+    this.relationsEl.id = "a11y-relations";
+    this.relationsEl.setAttribute("data-a11y-live-ui", "");
+    this.relationsEl.setAttribute("aria-hidden", "true");
+    this.relationsEl.style.display = "none";
+    document.body.appendChild(this.relationsEl);
+
     // Set up scroll and resize handlers to keep markers in sync
     this._setupEventHandlers();
   }
@@ -92,6 +106,31 @@ class Overlay {
 .a11y-issue-marker.info{
   background-color:#0b55f5;
 }
+#a11y-relations{
+  position:absolute;
+  top:0;
+  left:0;
+  overflow:visible;
+  z-index:2147483645;
+  pointer-events:none;
+}
+#a11y-relations line,
+#a11y-relations rect{
+  stroke:#ef4444;
+  stroke-width:2;
+  fill:none;
+}
+#a11y-relations rect{
+  stroke-dasharray:4 3;
+}
+#a11y-relations.warning line,
+#a11y-relations.warning rect{
+  stroke:#f59e0b;
+}
+#a11y-relations.info line,
+#a11y-relations.info rect{
+  stroke:#0b55f5;
+}
 .a11y-issue-marker.hidden{
   opacity:0;
   pointer-events:none;
@@ -155,7 +194,7 @@ class Overlay {
   _updateMarkerPositions() {
     for (const [key, markerData] of this.markers.entries()) {
       const { marker, violation } = markerData;
-      const element = document.querySelector(violation.selector);
+      const element = this.uiManager.findElement(violation);
 
       if (element && this._isElementVisible(element)) {
         this._positionMarker(marker, element);
@@ -171,7 +210,7 @@ class Overlay {
    * Checks if an element is visible in the viewport
    */
   _isElementVisible(element) {
-    const rect = element.getBoundingClientRect();
+    const rect = this._getElementRect(element);
     const windowHeight =
       window.innerHeight || document.documentElement.clientHeight;
     const windowWidth =
@@ -187,11 +226,50 @@ class Overlay {
     );
   }
 
+  /**
+   * Gets an element's bounding rect relative to the top-level viewport,
+   * adding the offsets of any frames the element is nested in
+   */
+  _getElementRect(element) {
+    const rect = element.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+    let view = element.ownerDocument.defaultView;
+
+    while (view && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      top += frameRect.top + frame.clientTop;
+      left += frameRect.left + frame.clientLeft;
+      view = view.parent;
+    }
+
+    return {
+      top,
+      left,
+      width: rect.width,
+      height: rect.height,
+      bottom: top + rect.height,
+      right: left + rect.width,
+    };
+  }
+
+  /**
+   * Keeps markers in sync when a frame containing flagged elements scrolls
+   */
+  _watchFrameScroll(element) {
+    const view = element.ownerDocument.defaultView;
+    if (!view || view === window || this.frameWindows.has(view)) return;
+
+    view.addEventListener("scroll", this.scrollHandler, { passive: true });
+    this.frameWindows.add(view);
+  }
+
   /**
    * Positions a marker relative to its target element
    */
   _positionMarker(marker, element) {
-    const rect = element.getBoundingClientRect();
+    const rect = this._getElementRect(element);
     const markerSize = 12;
 
     // Position marker at the top-left corner of the element
@@ -209,7 +287,7 @@ class Overlay {
   highlight(element, violation) {
     if (!element) return;
 
-    const rect = element.getBoundingClientRect();
+    const rect = this._getElementRect(element);
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
     const scrollLeft =
       window.pageXOffset || document.documentElement.scrollLeft;
@@ -223,6 +301,71 @@ class Overlay {
     this.tooltipEl.textContent = violation.name;
 
     this.highlightEl.removeAttribute("hidden");
+    this._drawRelations(element, violation);
+  }
+
+  /**
+   * Draws a line from the highlighted element to each of the violation's
+   * related elements (e.g. other elements with a duplicate ID, or the
+   * elements referencing it), and outlines them.
+   * @param {HTMLElement} element - The highlighted element.
+   * @param {Object} violation - The violation data.
+   */
+  _drawRelations(element, violation) {
+    const svg = this.relationsEl;
+    while (svg.firstChild) svg.firstChild.remove();
+
+    const targets = (violation.related ?? [])
+      .map((related) => this.uiManager.findElement(related))
+      .filter((target) => target && target !== element);
+    if (targets.length === 0) {
+      svg.style.display = "none";
+      return;
+    }
+
+    // Page coordinates, like the highlight box
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft =
+      window.pageXOffset || document.documentElement.scrollLeft;
+    const toPage = (target) => {
+      const rect = this._getElementRect(target);
+      return {
+        x: rect.left + scrollLeft,
+        y: rect.top + scrollTop,
+        width: rect.width,
+        height: rect.height,
+      };
+    };
+    const createShape = (name, attributes) => {
+      const shape = document.createElementNS(OVERLAY_SVG_NS, name);
+      Object.entries(attributes).forEach(([key, value]) =>
+        shape.setAttribute(key, value)
+      );
+      svg.appendChild(shape);
+    };
+
+    const from = toPage(element);
+    targets.forEach((target) => {
+      const to = toPage(target);
+      createShape("line", {
+        x1: from.x + from.width / 2,
+        y1: from.y + from.height / 2,
+        x2: to.x + to.width / 2,
+        y2: to.y + to.height / 2,
+      });
+      createShape("rect", {
+        x: to.x,
+        y: to.y,
+        width: to.width,
+        height: to.height,
+        rx: 4,
+      });
+    });
+
+    svg.setAttribute("width", document.documentElement.scrollWidth);
+    svg.setAttribute("height", document.documentElement.scrollHeight);
+    svg.setAttribute("class", violation.severity);
+    svg.style.display = "";
   }
 
   /**
@@ -233,10 +376,8 @@ class Overlay {
   updateMarkers(results) {
     this.isUpdatingMarkers = true;
 
-    // Build a set of active keys (selector::ruleId)
-    const activeKeys = new Set(
-      results.map((r) => `${r.selector}::${r.ruleId}`)
-    );
+    // Build a set of active keys (issue IDs)
+    const activeKeys = new Set(results.map((r) => this._getMarkerKey(r)));
 
     // Remove old markers no longer in results
     for (const [key, markerData] of this.markers.entries()) {
@@ -248,16 +389,18 @@ class Overlay {
 
     // Add or update markers
     results.forEach((violation) => {
-      const element = document.querySelector(violation.selector);
+      const element = this.uiManager.findElement(violation);
       if (!element) return;
 
-      const key = `${violation.selector}::${violation.ruleId}`;
+      const key = this._getMarkerKey(violation);
       let markerData = this.markers.get(key);
+      this._watchFrameScroll(element);
 
       if (!markerData) {
         const marker = document.createElement("div");
         marker.className = `a11y-issue-marker ${violation.severity}`;
         marker.title = violation.name;
+        marker.setAttribute("data-a11y-live-ui", "");
         document.body.appendChild(marker);
 
         markerData = { marker, violation };
@@ -290,10 +433,19 @@ class Overlay {
   }
 
   /**
-   * Hides the highlight and tooltip.
+   * Builds the marker key for a violation: its issue ID, which already
+   * tells frames apart.
+   */
+  _getMarkerKey(violation) {
+    return violation.id;
+  }
+
+  /**
+   * Hides the highlight, tooltip and relation lines.
    */
   hide() {
     this.highlightEl.setAttribute("hidden", "true");
+    if (this.relationsEl) this.relationsEl.style.display = "none";
   }
 
   cleanup() {
@@ -302,10 +454,15 @@ class Overlay {
       window.removeEventListener("scroll", this.scrollHandler);
       window.removeEventListener("resize", this.resizeHandler);
       document.removeEventListener("scroll", this.scrollHandler, true);
+      for (const view of this.frameWindows) {
+        view.removeEventListener("scroll", this.scrollHandler);
+      }
+      this.frameWindows.clear();
     }
 
     // Clean up elements
     if (this.highlightEl) this.highlightEl.remove();
+    if (this.relationsEl) this.relationsEl.remove();
     for (const markerData of this.markers.values()) {
       markerData.marker.remove();
     }
@@ -315,3 +472,10 @@ class Overlay {
     if (styles) styles.remove();
   }
 }
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Overlay;
+} else if (typeof window !== "undefined") {
+  window.Overlay = Overlay;
+}
@@ -5,6 +5,10 @@
  * It provides features for filtering, searching, and viewing detailed
  * information about each violation.
  */
+
+// Rules listed in the diagnostics view, slowest first
+const DIAGNOSTICS_RULE_COUNT = 8;
+
 class Panel {
   constructor(uiManager) {
     this.uiManager = uiManager;
@@ -14,6 +18,9 @@ class Panel {
     this.currentResults = [];
     this.activeFilters = { severity: [], search: "" };
     this.selectedViolation = null;
+    this.showDiagnostics = false;
+    this.showLandmarks = false;
+    this.fixedExpiryTimer = null;
   }
 
   async initialize() {
@@ -69,6 +76,23 @@ class Panel {
       .a11y-detail-section ul.resources-links { padding: 0 !important; }
       .a11y-detail-section .resources-links li { word-break: break-all !important; font-size: 14px !important; font-family: -apple-system, BlinkMacSystemFont, "Segue UI", Roboto, "Helvetica Neue", Arial, sans-serif !important; color: #374151 !important; line-height: 1.6 !important; margin-bottom: 8px !important; }
       .a11y-detail-section .resources-links a { color: #3b82f6 !important; text-decoration: underline !important; }
+      .a11y-detail-section ul.a11y-related-list { padding: 0 !important; list-style: none !important; }
+      .a11y-related-list li { line-height: 1.6 !important; margin-bottom: 8px !important; }
+      .a11y-related-list code { display: block !important; color: #6b7280 !important; font-family: "Courier New", monospace !important; word-break: break-all !important; }
+      .a11y-violation-item.fixed { cursor: default !important; background-color: #f0fdf4 !important; }
+      .a11y-violation-item.fixed .a11y-violation-title { text-decoration: line-through !important; color: #4b5563 !important; }
+      .a11y-tag-review { background-color: #e5e7eb !important; color: #374151 !important; margin-left: 8px !important; }
+      .a11y-baseline-status { margin: 8px 0 0 !important; font-size: 12px !important; color: #4b5563 !important; }
+      .a11y-tag-fixed { background-color: #dcfce7 !important; color: #166534 !important; text-decoration: none !important; margin-left: 8px !important; }
+      .a11y-panel-controls button[aria-pressed="true"] { background-color: #e5e7eb !important; color: #1f2937 !important; }
+      .a11y-diagnostics-table { width: 100% !important; border-collapse: collapse !important; font-size: 12px !important; color: #374151 !important; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif !important; }
+      .a11y-diagnostics-table th, .a11y-diagnostics-table td { text-align: left !important; padding: 6px 4px !important; border-bottom: 1px solid #e5e7eb !important; vertical-align: top !important; }
+      .a11y-landmark-list { margin: 0 !important; padding: 0 0 0 16px !important; list-style: none !important; }
+      .a11y-detail-section > .a11y-landmark-list { padding-left: 0 !important; }
+      .a11y-landmark-item { display: block !important; width: 100% !important; text-align: left !important; background: none !important; border: 1px solid transparent !important; border-radius: 6px !important; padding: 4px 6px !important; margin-bottom: 2px !important; cursor: pointer !important; font-size: 13px !important; color: #1f2937 !important; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif !important; }
+      .a11y-landmark-item:hover, .a11y-landmark-item:focus-visible { background-color: #f3f4f6 !important; border-color: #d1d5db !important; }
+      .a11y-landmark-item code { display: block !important; color: #6b7280 !important; font-family: "Courier New", monospace !important; font-size: 11px !important; word-break: break-all !important; }
+      .a11y-diagnostics-table code { display: block !important; color: #6b7280 !important; font-family: "Courier New", monospace !important; word-break: break-all !important; }
     `;
     const styleElement = document.createElement("style");
     styleElement.id = "a11y-panel-styles";
@@ -79,6 +103,7 @@ class Panel {
   _createPanel() {
     this.panelElement = document.createElement("aside");
     this.panelElement.id = "a11y-live-panel";
+    this.panelElement.setAttribute("data-a11y-live-ui", "");
     this.panelElement.setAttribute("role", "dialog");
     this.panelElement.setAttribute("aria-labelledby", "a11y-panel-title");
     this.panelElement.setAttribute("aria-modal", "true");
@@ -87,6 +112,8 @@ class Panel {
       <header class="a11y-panel-header">
         <h1 id="a11y-panel-title">Accessibility Issues</h1>
         <div class="a11y-panel-controls">
+          <button id="a11y-landmarks-btn" aria-label="Landmark Map" aria-pressed="false">🗺</button>
+          <button id="a11y-diagnostics-btn" aria-label="Diagnostics" aria-pressed="false">⏱</button>
           <button id="a11y-help-btn" aria-label="Open Tutorial">?</button>
           <button id="a11y-close-btn" aria-label="Close Panel">X</button>
         </div>
@@ -102,6 +129,7 @@ class Panel {
               <button class="a11y-filter-button" data-filter="warning">Warnings</button>
               <button class="a11y-filter-button" data-filter="info">Info</button>
             </div>
+            <p class="a11y-baseline-status" hidden></p>
           </div>
           <ul class="a11y-results-list"></ul>
         </section>
@@ -119,6 +147,19 @@ class Panel {
       .querySelector("#a11y-help-btn")
       .addEventListener("click", () => this.uiManager.showTutorial());
 
+    this.panelElement
+      .querySelector("#a11y-diagnostics-btn")
+      .addEventListener("click", () => {
+        this._setView(this.showDiagnostics ? null : "diagnostics");
+        this._render();
+      });
+    this.panelElement
+      .querySelector("#a11y-landmarks-btn")
+      .addEventListener("click", () => {
+        this._setView(this.showLandmarks ? null : "landmarks");
+        this._render();
+      });
+
     this.panelElement
       .querySelector("#a11y-search")
       .addEventListener("input", (e) => {
@@ -141,14 +182,12 @@ class Panel {
 
   updateResults(results) {
     this.currentResults = results;
-    // If a violation was selected, find its new version in the updated results
+    // If a violation was selected, find its new version in the updated
+    // results. IDs survive re-analysis, unlike selectors.
     if (this.selectedViolation) {
       this.selectedViolation =
-        this.currentResults.find(
-          (r) =>
-            r.selector === this.selectedViolation.selector &&
-            r.ruleId === this.selectedViolation.ruleId
-        ) || null;
+        this.currentResults.find((r) => r.id === this.selectedViolation.id) ||
+        null;
     }
     this._render();
   }
@@ -166,41 +205,93 @@ class Panel {
       return searchMatch && severityMatch;
     });
 
-    this._renderList(filtered);
+    const fixed = this.engine._reporter?.getRecentlyResolved() ?? [];
+
+    this._renderList(filtered, fixed);
+    this._renderBaselineStatus();
     this._renderDetail();
+    this._scheduleFixedExpiry(fixed);
   }
 
-  _renderList(results) {
+  /**
+   * Shows how many baseline issues are hidden and how many have been fixed.
+   */
+  _renderBaselineStatus() {
+    const statusEl = this.panelElement.querySelector(".a11y-baseline-status");
+    const baseline = this.engine._reporter?.getSummary().baseline;
+    statusEl.hidden = !baseline;
+    if (baseline) {
+      statusEl.textContent = `Showing new issues only. Baseline: ${baseline.remaining} known, ${baseline.fixed} of ${baseline.total} fixed.`;
+    }
+  }
+
+  /**
+   * Re-renders once the oldest "just fixed" item expires, to remove it.
+   * @param {Array} fixed - Recently resolved issues currently shown.
+   */
+  _scheduleFixedExpiry(fixed) {
+    clearTimeout(this.fixedExpiryTimer);
+    if (fixed.length === 0) return;
+
+    const nextExpiry = Math.min(...fixed.map((r) => r.expiresAt));
+    this.fixedExpiryTimer = setTimeout(
+      () => this._render(),
+      Math.max(nextExpiry - Date.now(), 0)
+    );
+  }
+
+  _renderList(results, fixed = []) {
     const listEl = this.panelElement.querySelector(".a11y-results-list");
-    if (results.length === 0) {
+    if (results.length === 0 && fixed.length === 0) {
       listEl.innerHTML = `<li class="a11y-empty-state">No issues found.</li>`;
       return;
     }
 
-    listEl.innerHTML = results
+    const fixedHTML = fixed
+      .map(
+        (r) => `
+      <li class="a11y-violation-item fixed">
+        <div class="a11y-violation-title">${this._escapeHtml(
+          r.name
+        )}<span class="a11y-tag a11y-tag-fixed">Just fixed</span></div>
+        <div class="a11y-violation-meta">${this._escapeHtml(r.selector)}</div>
+      </li>
+    `
+      )
+      .join("");
+
+    const issuesHTML = results
       .map(
         (r) => `
       <li class="a11y-violation-item ${
-        this.selectedViolation &&
-        r.selector === this.selectedViolation.selector &&
-        r.ruleId === this.selectedViolation.ruleId
+        this.selectedViolation && r.id === this.selectedViolation.id
           ? "selected"
           : ""
-      }" data-selector="${r.selector}" data-rule="${r.ruleId}">
-        <div class="a11y-violation-title">${r.name}</div>
-        <div class="a11y-violation-meta">${r.selector}</div>
+      }" data-id="${this._escapeHtml(r.id)}" data-rule="${this._escapeHtml(
+        r.ruleId
+      )}">
+        <div class="a11y-violation-title">${this._escapeHtml(r.name)}${
+          r.status === "needs-review"
+            ? `<span class="a11y-tag a11y-tag-review">Needs review</span>`
+            : ""
+        }</div>
+        <div class="a11y-violation-meta">${
+          r.frame?.path?.length
+            ? `${this._escapeHtml(r.frame.path.join(" → "))} → `
+            : ""
+        }${this._escapeHtml(r.selector)}</div>
       </li>
     `
       )
       .join("");
 
-    listEl.querySelectorAll(".a11y-violation-item").forEach((item) => {
+    listEl.innerHTML = fixedHTML + issuesHTML;
+
+    // Only open issues (which carry data-rule) are selectable
+    listEl.querySelectorAll("[data-rule]").forEach((item) => {
       item.addEventListener("click", () => {
-        this.selectedViolation = results.find(
-          (r) =>
-            r.selector === item.dataset.selector &&
-            r.ruleId === item.dataset.rule
-        );
+        this.selectedViolation = results.find((r) => r.id === item.dataset.id);
+        this._setView(null);
         this.uiManager.highlightElement(this.selectedViolation);
         this._render();
       });
@@ -217,6 +308,33 @@ class Panel {
     const detailEl = this.panelElement.querySelector(".a11y-detail-view");
     const sidebarEl = this.panelElement.querySelector(".a11y-sidebar");
 
+    if (this.showDiagnostics) {
+      detailEl.classList.remove("hidden");
+      sidebarEl.style.width = "50%";
+      this.uiManager.clearHighlight();
+      detailEl.innerHTML = this._renderDiagnostics();
+      return;
+    }
+
+    if (this.showLandmarks) {
+      detailEl.classList.remove("hidden");
+      sidebarEl.style.width = "50%";
+      this.uiManager.clearHighlight();
+      const landmarks = this.engine.getLandmarks();
+      detailEl.innerHTML = this._renderLandmarks(landmarks);
+      detailEl.querySelectorAll("[data-landmark]").forEach((button) => {
+        button.addEventListener("click", () => {
+          const { element, role } = landmarks[Number(button.dataset.landmark)];
+          this.uiManager.highlightElement({
+            element,
+            name: `${role} landmark`,
+            severity: "info",
+          });
+        });
+      });
+      return;
+    }
+
     if (!this.selectedViolation) {
       detailEl.classList.add("hidden");
       sidebarEl.style.width = "100%";
@@ -232,7 +350,7 @@ class Panel {
     const fixSuggestionsHTML = (v.fixSuggestions ?? [])
       .map(
         (s) => `
-        <p>${s.action ?? "Fix"}:</p>
+        <p>${this._escapeHtml(s.action ?? "Fix")}:</p>
         <div class="a11y-code-block" data-code-block>
           <button class="copy-btn" aria-label="Copy code">Copy</button>
           <pre>${this._escapeHtml(s.code ?? "")}</pre>
@@ -244,30 +362,47 @@ class Panel {
     const resourcesHTML = (v.learnMore?.additionalResources ?? [])
       .map(
         (url) => `
-        <li><a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a></li>
+        <li><a href="${this._escapeHtml(
+          url
+        )}" target="_blank" rel="noopener noreferrer">${this._escapeHtml(
+          url
+        )}</a></li>
+      `
+      )
+      .join("");
+
+    // Other elements involved, e.g. duplicates of an ID and its references
+    const relatedHTML = (v.related ?? [])
+      .map(
+        (r) => `
+        <li>${this._escapeHtml(r.relation ?? "")}<code>${this._escapeHtml(
+          r.selector ?? ""
+        )}</code></li>
       `
       )
       .join("");
 
     const wcagTag = v.learnMore?.wcagLink
-      ? `<a href="${
+      ? `<a href="${this._escapeHtml(
           v.learnMore.wcagLink
-        }" target="_blank" rel="noopener noreferrer" class="a11y-tag a11y-tag-wcag">WCAG ${
+        )}" target="_blank" rel="noopener noreferrer" class="a11y-tag a11y-tag-wcag">WCAG ${this._escapeHtml(
           v.wcag ?? ""
-        }</a>`
+        )}</a>`
       : "";
 
     detailEl.innerHTML = `
     <div class="a11y-detail-header">
-        <h2 class="a11y-detail-title">${v.name ?? "Unknown Issue"}</h2>
-        <span class="a11y-tag a11y-tag-${v.severity ?? "warning"}">${
-      v.severity ?? "N/A"
-    }</span>
+        <h2 class="a11y-detail-title">${this._escapeHtml(
+          v.name ?? "Unknown Issue"
+        )}</h2>
+        <span class="a11y-tag a11y-tag-${this._escapeHtml(
+          v.severity ?? "warning"
+        )}">${this._escapeHtml(v.severity ?? "N/A")}</span>
         ${wcagTag}
     </div>
     <div class="a11y-detail-section">
         <h3>Description</h3>
-        <p>${v.description ?? "No description provided."}</p>
+        <p>${this._escapeHtml(v.description ?? "No description provided.")}</p>
     </div>
     <div class="a11y-detail-section">
         <h3>Element</h3>
@@ -276,9 +411,25 @@ class Panel {
           <pre>${this._escapeHtml(v.selector ?? "N/A")}</pre>
         </div>
     </div>
+    ${
+      relatedHTML
+        ? `<div class="a11y-detail-section">
+        <h3>Related Elements</h3>
+        <ul class="a11y-related-list">${relatedHTML}</ul>
+    </div>`
+        : ""
+    }
+    <div class="a11y-detail-section">
+        <h3>Accessible Name</h3>
+        <p>${
+          v.accessibleName
+            ? `&quot;${this._escapeHtml(v.accessibleName)}&quot;`
+            : "None"
+        }</p>
+    </div>
     <div class="a11y-detail-section">
         <h3>User Impact</h3>
-        <p>${v.userImpact ?? "Not specified."}</p>
+        <p>${this._escapeHtml(v.userImpact ?? "Not specified.")}</p>
     </div>
     <div class="a11y-detail-section">
         <h3>How to Fix</h3>
@@ -286,7 +437,9 @@ class Panel {
     </div>
     <div class="a11y-detail-section">
         <h3>Learn More</h3>
-        <p>${v.learnMore?.explanation ?? "No further information."}</p>
+        <p>${this._escapeHtml(
+          v.learnMore?.explanation ?? "No further information."
+        )}</p>
         <ul class="resources-links">${resourcesHTML}</ul>
     </div>
   `;
@@ -294,6 +447,120 @@ class Panel {
     this._setupCopyButtons(detailEl);
   }
 
+  /**
+   * Switch the detail view to diagnostics, the landmark map, or (null)
+   * back to the selected issue
+   * @param {string|null} view - "diagnostics", "landmarks" or null
+   */
+  _setView(view) {
+    this.showDiagnostics = view === "diagnostics";
+    this.showLandmarks = view === "landmarks";
+    this.panelElement
+      .querySelector("#a11y-diagnostics-btn")
+      .setAttribute("aria-pressed", String(this.showDiagnostics));
+    this.panelElement
+      .querySelector("#a11y-landmarks-btn")
+      .setAttribute("aria-pressed", String(this.showLandmarks));
+    if (view) {
+      this.selectedViolation = null;
+    }
+  }
+
+  /**
+   * Landmarks as nested lists, in page order. Each entry highlights its
+   * landmark when clicked.
+   * @param {Array<Object>} landmarks - From A11yEngine#getLandmarks()
+   */
+  _renderLandmarks(landmarks) {
+    const renderList = (parent) => {
+      const itemsHTML = landmarks
+        .map((landmark, index) =>
+          landmark.parent === parent
+            ? `
+          <li>
+            <button class="a11y-landmark-item" data-landmark="${index}">${this._escapeHtml(
+              landmark.role
+            )}${
+              landmark.name
+                ? ` &quot;${this._escapeHtml(landmark.name)}&quot;`
+                : ""
+            }<code>${this._escapeHtml(landmark.selector)}</code></button>
+            ${renderList(landmark.element)}
+          </li>`
+            : ""
+        )
+        .join("");
+      return itemsHTML
+        ? `<ul class="a11y-landmark-list">${itemsHTML}</ul>`
+        : "";
+    };
+    const mains = landmarks.filter((landmark) => landmark.role === "main");
+
+    return `
+    <div class="a11y-detail-header">
+        <h2 class="a11y-detail-title">Landmarks</h2>
+    </div>
+    <div class="a11y-detail-section">
+        <p>${landmarks.length} landmarks, ${
+          mains.length === 1 ? "one main" : `${mains.length} main`
+        }. Nested landmarks are indented.</p>
+        ${renderList(null) || "<p>The page has no landmarks.</p>"}
+    </div>
+  `;
+  }
+
+  /**
+   * Engine statistics and the slowest rules, to find rules worth disabling
+   * or tuning on heavy pages.
+   * @returns {string} Diagnostics view HTML
+   */
+  _renderDiagnostics() {
+    const stats = this.engine.getStats();
+    const ms = (time) => `${time.toFixed(1)} ms`;
+
+    const rowsHTML = stats.rules
+      .slice(0, DIAGNOSTICS_RULE_COUNT)
+      .map(
+        (rule) => `
+        <tr>
+          <td>${this._escapeHtml(rule.ruleId)}<code>${this._escapeHtml(
+            rule.selector ?? ""
+          )}</code></td>
+          <td>${rule.elements}</td>
+          <td>${ms(rule.totalTime)}</td>
+          <td>${ms(rule.p95Time)}</td>
+          <td>${rule.failures}${rule.errors ? ` (${rule.errors} errors)` : ""}</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    return `
+    <div class="a11y-detail-header">
+        <h2 class="a11y-detail-title">Diagnostics</h2>
+    </div>
+    <div class="a11y-detail-section">
+        <h3>Analysis</h3>
+        <p>${stats.analysisCount} passes, ${ms(
+          stats.averageAnalysisTime
+        )} on average, ${Math.round(stats.cacheHitRate * 100)}% cache hits.</p>
+    </div>
+    <div class="a11y-detail-section">
+        <h3>Slowest Rules</h3>
+        ${
+          rowsHTML
+            ? `<table class="a11y-diagnostics-table">
+          <thead>
+            <tr><th scope="col">Rule and selector</th><th scope="col">Elements</th><th scope="col">Total</th><th scope="col">p95</th><th scope="col">Failures</th></tr>
+          </thead>
+          <tbody>${rowsHTML}</tbody>
+        </table>`
+            : "<p>No rules have run yet.</p>"
+        }
+    </div>
+  `;
+  }
+
   _setupCopyButtons(container) {
     container.querySelectorAll(".a11y-code-block").forEach((block) => {
       const button = block.querySelector(".copy-btn");
@@ -345,8 +612,16 @@ class Panel {
   }
 
   cleanup() {
+    clearTimeout(this.fixedExpiryTimer);
     if (this.panelElement) this.panelElement.remove();
     const styles = document.getElementById("a11y-panel-styles");
     if (styles) styles.remove();
   }
 }
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Panel;
+} else if (typeof window !== "undefined") {
+  window.Panel = Panel;
+}
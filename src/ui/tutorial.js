@@ -78,6 +78,7 @@ class Tutorial {
     this.tutorialEl.setAttribute("id", "a11y-tutorial-title");
     this.tutorialEl.setAttribute("role", "dialog");
     this.tutorialEl.setAttribute("aria-modal", "true");
+    this.tutorialEl.setAttribute("data-a11y-live-ui", "");
     this.tutorialEl.setAttribute("aria-labelledby", "a11y-tutorial-title");
     this.tutorialEl.innerHTML = `<div class="a11y-tutorial-modal" role="document"></div>`;
     document.body.appendChild(this.tutorialEl);
@@ -166,3 +167,10 @@ class Tutorial {
     if (styles) styles.remove();
   }
 }
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Tutorial;
+} else if (typeof window !== "undefined") {
+  window.Tutorial = Tutorial;
+}
@@ -32,13 +32,12 @@ class UIManager {
       // Setup accessibility features like live announcer and focus trap
       await this._setupAccessibilityFeatures();
 
-      // Dynamically load UI component classes if they are not defined
-      // This is a placeholder for a real module loading system
-      if (
-        typeof Panel === "undefined" ||
-        typeof Overlay === "undefined" ||
-        typeof Tutorial === "undefined"
-      ) {
+      // Resolve UI component classes from the module registry or globals
+      const Panel = this.engine._resolveComponent("Panel");
+      const Overlay = this.engine._resolveComponent("Overlay");
+      const Tutorial = this.engine._resolveComponent("Tutorial");
+
+      if (!Panel || !Overlay || !Tutorial) {
         console.warn(
           "UI Components are not loaded. Ensure panel.js, overlay.js, and tutorial.js are included."
         );
@@ -77,6 +76,7 @@ class UIManager {
       this.announcer.setAttribute("aria-live", "polite");
       this.announcer.setAttribute("aria-atomic", "true");
       this.announcer.className = "a11y-sr-only"; // Use a class for screen-reader only styles
+      this.announcer.setAttribute("data-a11y-live-ui", "");
       document.body.appendChild(this.announcer);
 
       // Create a focus trap utility
@@ -174,7 +174,14 @@ class UIManager {
     }
 
     const summary = this.engine._reporter.getSummary();
-    if (summary.total > 0) {
+    const { resolved } = this.engine._reporter.getLastChanges();
+    if (resolved.length > 0) {
+      this.announce(
+        `${resolved.length} accessibility issue${
+          resolved.length === 1 ? "" : "s"
+        } fixed. ${summary.total} remaining.`
+      );
+    } else if (summary.total > 0) {
       this.announce(`Found ${summary.total} accessibility issues.`);
     } else {
       this.announce("No new accessibility violations found.");
@@ -215,7 +222,7 @@ class UIManager {
    */
   highlightElement(violation) {
     if (this.overlay) {
-      const element = document.querySelector(violation.selector);
+      const element = this.findElement(violation);
       if (element) {
         this.overlay.highlight(element, violation);
         element.scrollIntoView({
@@ -232,6 +239,36 @@ class UIManager {
     }
   }
 
+  /**
+   * Locates the page element for a violation. Uses the live element
+   * reference when it is still attached, otherwise resolves the selector
+   * (which may pierce shadow roots) inside the violation's frame.
+   * @param {Object} violation - The violation data object.
+   * @returns {Element|null} The element, if found.
+   */
+  findElement(violation) {
+    if (!violation) return null;
+    if (violation.element && violation.element.isConnected) {
+      return violation.element;
+    }
+    const ruleEngine = this.engine._ruleEngine;
+    if (!ruleEngine || !violation.selector) return null;
+
+    // Walk down the frame path to the document the element lives in
+    let doc = document;
+    for (const frameSelector of violation.frame?.path ?? []) {
+      const frame = ruleEngine.querySelectorDeep(frameSelector, doc);
+      try {
+        doc = frame && frame.contentDocument;
+      } catch (error) {
+        doc = null; // Frame became cross-origin
+      }
+      if (!doc) return null;
+    }
+
+    return ruleEngine.querySelectorDeep(violation.selector, doc);
+  }
+
   clearHighlight() {
     if (this.overlay) {
       this.overlay.hide();
@@ -270,3 +307,10 @@ class UIManager {
     this.isInitialized = false;
   }
 }
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UIManager;
+} else if (typeof window !== "undefined") {
+  window.UIManager = UIManager;
+}
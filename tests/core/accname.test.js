@@ -0,0 +1,181 @@
+const AccessibleName = require("../../src/core/accname.js");
+
+const render = (html) => {
+  document.body.innerHTML = html;
+};
+const byId = (id) => document.getElementById(id);
+const nameOf = (id) => AccessibleName.computeName(byId(id));
+
+describe("AccessibleName", () => {
+  describe("compute()", () => {
+    it("prefers aria-labelledby, then aria-label, then native labels", () => {
+      render(`
+        <span id="first">First</span><span id="second">Second</span>
+        <input id="labelledby" aria-labelledby="first second" aria-label="Ignored">
+        <input id="aria-label" aria-label="Search" title="Ignored">
+        <label for="native">Email</label><input id="native" title="Ignored">
+      `);
+
+      expect(AccessibleName.compute(byId("labelledby"))).toEqual({
+        name: "First Second",
+        source: "aria-labelledby",
+      });
+      expect(AccessibleName.compute(byId("aria-label"))).toEqual({
+        name: "Search",
+        source: "aria-label",
+      });
+      expect(AccessibleName.compute(byId("native"))).toEqual({
+        name: "Email",
+        source: "label",
+      });
+    });
+
+    it("names roles that allow it from their content", () => {
+      render(`
+        <button id="button">Save <span aria-hidden="true">★</span>draft</button>
+        <div id="generic">Not a name</div>
+      `);
+
+      expect(AccessibleName.compute(byId("button"))).toEqual({
+        name: "Save draft",
+        source: "contents",
+      });
+      expect(nameOf("generic")).toBe("");
+    });
+
+    it("follows hidden content only through references", () => {
+      render(`
+        <span id="hidden" hidden>Close dialog</span>
+        <button id="button" aria-labelledby="hidden">×</button>
+        <button id="content"><span hidden>Secret</span>Open</button>
+      `);
+
+      expect(nameOf("button")).toBe("Close dialog");
+      expect(nameOf("content")).toBe("Open");
+    });
+
+    it("uses the value of controls embedded in a label", () => {
+      render(`
+        <label for="qty">Order <input value="3" aria-label="Count"> items</label>
+        <input id="qty" type="checkbox">
+      `);
+
+      expect(nameOf("qty")).toBe("Order 3 items");
+    });
+
+    it("leaves the control out of a label that contains it", () => {
+      render(`<label>Accept terms <input id="box" type="checkbox"></label>`);
+
+      expect(nameOf("box")).toBe("Accept terms");
+    });
+
+    it("allows an element to reference itself in aria-labelledby", () => {
+      render(`
+        <button id="save" aria-labelledby="save state">Save</button>
+        <span id="state">draft</span>
+      `);
+
+      expect(nameOf("save")).toBe("Save draft");
+    });
+
+    it("gives decorative images no name, even with a title", () => {
+      render(`
+        <img id="decorative" src="a.png" alt="" title="Divider">
+        <img id="untitled" src="a.png" title="Chart">
+      `);
+
+      expect(nameOf("decorative")).toBe("");
+      expect(AccessibleName.compute(byId("untitled"))).toEqual({
+        name: "Chart",
+        source: "title",
+      });
+    });
+
+    it("falls back to the placeholder for text fields", () => {
+      render(`<input id="search" placeholder="Search products">`);
+
+      expect(AccessibleName.compute(byId("search"))).toEqual({
+        name: "Search products",
+        source: "placeholder",
+      });
+    });
+
+    describe("label cycles", () => {
+      it("names a group labelled by a label around a control", () => {
+        render(`
+          <div id="group" role="group" aria-labelledby="label">
+            <label id="label"><input id="box" type="checkbox"> Accept</label>
+          </div>
+        `);
+
+        expect(nameOf("group")).toBe("Accept");
+        expect(nameOf("box")).toBe("Accept");
+      });
+
+      it("names content that contains a labelled control", () => {
+        render(`
+          <button id="button">
+            <label>Remember me <input type="checkbox"></label>
+          </button>
+        `);
+
+        expect(nameOf("button")).toBe("Remember me");
+      });
+
+      it("stops at controls whose labels reference each other", () => {
+        render(`
+          <label id="a" for="second">One <input id="first" aria-labelledby="b"></label>
+          <label id="b" for="first">Two <input id="second" aria-labelledby="a"></label>
+        `);
+
+        expect(() => nameOf("first")).not.toThrow();
+        expect(() => nameOf("second")).not.toThrow();
+      });
+    });
+  });
+
+  describe("computeDescription()", () => {
+    it("reads aria-describedby, then the title when it isn't the name", () => {
+      render(`
+        <button id="described" aria-describedby="help">Send</button>
+        <span id="help">Sends the form</span>
+        <button id="titled" title="Sends now">Send</button>
+        <button id="title-name" title="Send"></button>
+      `);
+
+      expect(AccessibleName.computeDescription(byId("described"))).toBe(
+        "Sends the form"
+      );
+      expect(AccessibleName.computeDescription(byId("titled"))).toBe(
+        "Sends now"
+      );
+      expect(AccessibleName.computeDescription(byId("title-name"))).toBe("");
+    });
+  });
+
+  describe("getRole()", () => {
+    it("takes the first valid role token, else the implicit role", () => {
+      render(`
+        <div id="fallback" role="foo link">Go</div>
+        <div id="module" role="doc-chapter button">Chapter</div>
+        <div id="invalid" role="foo">x</div>
+        <a id="implicit" href="/">Home</a>
+      `);
+
+      expect(AccessibleName.getRole(byId("fallback"))).toBe("link");
+      expect(AccessibleName.getRole(byId("module"))).toBe("doc-chapter");
+      expect(AccessibleName.getRole(byId("invalid"))).toBeNull();
+      expect(AccessibleName.getRole(byId("implicit"))).toBe("link");
+    });
+
+    it("scopes headers and footers inside sectioning content", () => {
+      render(`
+        <header id="banner">Site</header>
+        <article><footer id="scoped">Byline</footer></article>
+      `);
+
+      expect(AccessibleName.getRole(byId("banner"))).toBe("banner");
+      expect(AccessibleName.getRole(byId("scoped"))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const AccessibleName = require("../../src/core/accname.js");
+const AccessibilityTree = require("../../src/core/tree.js");
+const RuleEngine = require("../../src/core/rules.js");
+const Reporter = require("../../src/core/reporter.js");
+const A11yConfig = require("../../src/core/config.js");
+
+const CORE_CLASSES = {
+  AccessibleName,
+  AccessibilityTree,
+  RuleEngine,
+  Reporter,
+  A11yConfig,
+};
+
+// A fresh engine module, with an empty component registry
+const loadEngine = () => {
+  let A11yEngine;
+  jest.isolateModules(() => {
+    A11yEngine = require("../../src/core/engine.js");
+  });
+  return A11yEngine;
+};
+
+// A started engine watching the given markup, with the core components
+const startEngine = async (html, options = {}) => {
+  const A11yEngine = loadEngine();
+  A11yEngine.registerComponents(CORE_CLASSES);
+  document.body.innerHTML = html;
+  const engine = new A11yEngine({ enableUI: false, ...options });
+  await engine.start();
+  return engine;
+};
+
+const byId = (id) => document.getElementById(id);
+
+const nextEvent = (engine, event) =>
+  new Promise((resolve) => engine.once(event, resolve));
+
+const issuesOf = (results, ruleId) =>
+  results.filter((result) => result.ruleId === ruleId);
+
+// Elements the rule engine tests, one per executeRules() call
+const spyOnTestedElements = (engine) => {
+  const spy = jest.spyOn(engine._ruleEngine, "executeRules");
+  return () => spy.mock.calls.flatMap(([elements]) => elements);
+};
+
+describe("A11yEngine", () => {
+  beforeAll(() => {
+    // jsdom has no IntersectionObserver; report every element as visible
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+      }
+
+      observe(target) {
+        this.callback([{ target, isIntersecting: true }], this);
+      }
+
+      unobserve() {}
+
+      disconnect() {}
+    };
+  });
+
+  afterAll(() => {
+    delete window.IntersectionObserver;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("component loading", () => {
+    it("keeps classes returned by a loader to their engine", async () => {
+      const A11yEngine = loadEngine();
+      class FirstRuleEngine extends RuleEngine {}
+      class SecondRuleEngine extends RuleEngine {}
+      const loaderFor = (RuleEngineClass) =>
+        jest.fn(async ({ name }) =>
+          name === "RuleEngine" ? RuleEngineClass : CORE_CLASSES[name]
+        );
+      document.body.innerHTML = "<main><h1>Plans</h1></main>";
+
+      const first = new A11yEngine({
+        enableUI: false,
+        realtime: false,
+        loader: loaderFor(FirstRuleEngine),
+      });
+      const second = new A11yEngine({
+        enableUI: false,
+        realtime: false,
+        loader: loaderFor(SecondRuleEngine),
+      });
+      await first.start();
+      await second.start();
+
+      expect(first._resolveComponent("RuleEngine")).toBe(FirstRuleEngine);
+      expect(second._resolveComponent("RuleEngine")).toBe(SecondRuleEngine);
+      expect(second.options.loader).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "RuleEngine" })
+      );
+      first.stop();
+      second.stop();
+    });
+
+    it("uses registered components without a loader", async () => {
+      const A11yEngine = loadEngine();
+      A11yEngine.registerComponents(CORE_CLASSES);
+      const loader = jest.fn();
+      document.body.innerHTML = "<main><h1>Plans</h1></main>";
+
+      const engine = new A11yEngine({
+        enableUI: false,
+        realtime: false,
+        loader,
+      });
+      await engine.start();
+
+      expect(loader).not.toHaveBeenCalled();
+      expect(engine._resolveComponent("RuleEngine")).toBe(RuleEngine);
+      engine.stop();
+    });
+  });
+
+  describe("result cache", () => {
+    let engine;
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    it("re-tests only the element whose attribute changed", async () => {
+      engine = await startEngine(`
+        <main>
+          <h1>Plans</h1>
+          <img id="chart" src="chart.png">
+          <p>Compare plans</p>
+          <button>Subscribe</button>
+        </main>
+      `);
+      const before = engine.getStats();
+      const testedElements = spyOnTestedElements(engine);
+
+      byId("chart").setAttribute("alt", "Plan comparison");
+      await engine.analyze(document.body);
+      const stats = engine.getStats();
+
+      expect(testedElements()).toEqual([byId("chart")]);
+      expect(stats.cacheMisses - before.cacheMisses).toBe(1);
+      expect(stats.cacheHits - before.cacheHits).toBe(
+        engine._collectElements(document.body).length - 1
+      );
+      expect(stats.cacheInvalidations - before.cacheInvalidations).toBe(1);
+      expect(
+        engine._reporter.results.filter((r) => r.ruleId === "missing-alt-text")
+      ).toHaveLength(0);
+    });
+
+    it("re-tests the ancestors that depend on changed text", async () => {
+      engine = await startEngine(`
+        <main>
+          <h1>Plans</h1>
+          <button id="save"><span id="label"> </span></button>
+          <p>Compare plans</p>
+        </main>
+      `);
+      const testedElements = spyOnTestedElements(engine);
+
+      byId("label").firstChild.data = "Save";
+      await engine.analyze(document.body);
+
+      expect(new Set(testedElements())).toEqual(
+        new Set([byId("label"), byId("save")])
+      );
+      expect(
+        engine._reporter.results.filter((r) => r.ruleId === "empty-buttons")
+      ).toHaveLength(0);
+    });
+
+    it("re-tests the whole subtree under an inherited attribute", async () => {
+      engine = await startEngine(`
+        <main>
+          <h1>Plans</h1>
+          <section id="offers"><h2>Offers</h2><p>Save 20%</p></section>
+          <p>Compare plans</p>
+        </main>
+      `);
+      const testedElements = spyOnTestedElements(engine);
+
+      byId("offers").setAttribute("class", "promoted");
+      await engine.analyze(document.body);
+
+      expect(testedElements()).toEqual(engine._collectElements(byId("offers")));
+    });
+
+    it("drops every cached result when an ID changes", async () => {
+      engine = await startEngine(`
+        <main>
+          <h1>Plans</h1>
+          <span id="hint">Billed monthly</span>
+          <input aria-label="Seats" aria-describedby="hint">
+        </main>
+      `);
+      const testedElements = spyOnTestedElements(engine);
+
+      byId("hint").id = "billing";
+      await engine.analyze(document.body);
+
+      expect(testedElements()).toHaveLength(
+        engine._collectElements(document.body).length
+      );
+    });
+  });
+
+  describe("realtime batches", () => {
+    let engine;
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    it("merges the issues of changed elements into the full set", async () => {
+      engine = await startEngine(
+        `
+        <main>
+          <h1>Plans</h1>
+          <img id="first" src="first.png">
+          <img id="second" src="second.png">
+        </main>
+      `,
+        { debounceMs: 0, throttleMs: 0 }
+      );
+      const testedElements = spyOnTestedElements(engine);
+      const analysis = nextEvent(engine, "analysis-complete");
+
+      byId("first").setAttribute("alt", "Basic plan");
+      const added = document.createElement("img");
+      added.src = "third.png";
+      document.querySelector("main").append(added);
+      const { results } = await analysis;
+
+      expect(
+        issuesOf(results, "missing-alt-text").map((result) => result.element)
+      ).toEqual([byId("second"), added]);
+      expect(testedElements()).not.toContain(byId("second"));
+    });
+
+    it("analyzes changes queued during the debounce in one pass", async () => {
+      engine = await startEngine(
+        `<main><h1>Plans</h1><img id="first" src="a.png"><img id="second" src="b.png"></main>`,
+        { debounceMs: 50, throttleMs: 0 }
+      );
+      const { analysisCount } = engine.getStats();
+      const analysis = nextEvent(engine, "analysis-complete");
+
+      byId("first").setAttribute("alt", "Basic plan");
+      await Promise.resolve();
+      byId("second").setAttribute("alt", "Pro plan");
+      const { results, elementCount } = await analysis;
+
+      expect(elementCount).toBe(2);
+      expect(engine.getStats().analysisCount).toBe(analysisCount + 1);
+      expect(issuesOf(results, "missing-alt-text")).toHaveLength(0);
+    });
+
+    it("rescans the target once the queue is over its bound", async () => {
+      engine = await startEngine(
+        '<main><h1>Plans</h1><ul id="list"></ul></main>',
+        {
+          debounceMs: 0,
+          throttleMs: 0,
+          maxQueueSize: 2,
+        }
+      );
+      const analysis = nextEvent(engine, "analysis-complete");
+
+      byId("list").innerHTML = "<li>One</li><li>Two</li><li>Three</li>";
+      const { elementCount } = await analysis;
+
+      expect(elementCount).toBe(engine._collectElements(document.body).length);
+    });
+  });
+
+  describe("chunked passes", () => {
+    let engine;
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    it("reports progress after each chunk until every element is tested", async () => {
+      engine = await startEngine("<main><h1>Plans</h1></main>", {
+        realtime: false,
+        chunkBudgetMs: 0,
+      });
+      document.querySelector("main").innerHTML = "<p>Plan</p>".repeat(10);
+      const progress = [];
+      engine.on("analysis-progress", (detail) => progress.push(detail));
+
+      await engine.analyze(document.querySelector("main"));
+
+      expect(progress.map((detail) => detail.processed)).toEqual([
+        1, 2, 3, 4, 5, 6, 7, 8, 9, 10,
+      ]);
+      expect(progress.every((detail) => detail.total === 11)).toBe(true);
+    });
+
+    it("keeps the tested elements cached when a pass is cancelled", async () => {
+      engine = await startEngine(
+        `<main><h1>Plans</h1><div id="gallery"></div></main>`,
+        {
+          chunkBudgetMs: 0,
+        }
+      );
+      const previous = engine._reporter.results;
+      byId("gallery").innerHTML = `<img src="a.png"><img src="b.png">`;
+      const cancelled = nextEvent(engine, "analysis-cancelled");
+      engine.once("analysis-progress", () => engine.cancelAnalysis());
+
+      expect(await engine.analyze(byId("gallery"))).toEqual([]);
+      expect((await cancelled).processed).toBe(1);
+      expect(engine._reporter.results).toEqual(previous);
+
+      const testedElements = spyOnTestedElements(engine);
+      const results = await engine.analyze(byId("gallery"));
+
+      expect(testedElements()).not.toContain(byId("gallery"));
+      expect(issuesOf(results, "missing-alt-text")).toHaveLength(2);
+    });
+
+    it("stops before testing anything when its signal is aborted", async () => {
+      engine = await startEngine("<main><h1>Plans</h1></main>", {
+        realtime: false,
+      });
+      const controller = new AbortController();
+      controller.abort();
+      const cancelled = nextEvent(engine, "analysis-cancelled");
+
+      const results = await engine.analyze(document.body, {
+        signal: controller.signal,
+      });
+
+      expect(results).toEqual([]);
+      expect((await cancelled).processed).toBe(0);
+    });
+
+    it("tests interactive elements first in large passes", async () => {
+      engine = await startEngine("<main><h1>Plans</h1></main>", {
+        realtime: false,
+      });
+      document.querySelector("main").innerHTML =
+        "<p>Plan</p>".repeat(200) + `<button id="buy">Buy</button>`;
+      const testedElements = spyOnTestedElements(engine);
+
+      await engine.analyze(document.querySelector("main"));
+
+      expect(testedElements()[0]).toBe(byId("buy"));
+      expect(testedElements()).toHaveLength(202);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const RuleEngine = require("../../src/core/rules.js");
+const Reporter = require("../../src/core/reporter.js");
+
+const MARKUP = "<img src=x onerror=alert(1)>";
+
+describe("Reporter", () => {
+  describe("setBaseline()", () => {
+    it("moves current issues in and out of the baseline", async () => {
+      document.body.innerHTML = `<main><img id="a" src="a.png"><img id="b" src="b.png"></main>`;
+      const ruleEngine = new RuleEngine({ hasLayout: false });
+      ruleEngine.updateEnabledRules(["missing-alt-text"]);
+      const reporter = new Reporter();
+      reporter.processResults(
+        await ruleEngine.executeRules(Array.from(document.images))
+      );
+      const [first] = reporter.results;
+
+      reporter.setBaseline({
+        version: reporter.createBaseline().version,
+        issues: [{ fingerprint: first.id }],
+      });
+      expect(reporter.results).toHaveLength(1);
+      expect(reporter.baselineResults).toEqual([first]);
+      expect(first.inBaseline).toBe(true);
+
+      reporter.setBaseline(null);
+      expect(reporter.results).toHaveLength(2);
+      expect(reporter.baselineResults).toHaveLength(0);
+      expect(first.inBaseline).toBe(false);
+    });
+  });
+
+  describe("HTML export", () => {
+    it("escapes the text of custom rules", async () => {
+      document.body.innerHTML = `<main><button id="empty"></button></main>`;
+      const ruleEngine = new RuleEngine({ hasLayout: false });
+      ruleEngine.registerRule({
+        id: "custom-markup-rule",
+        name: `Name ${MARKUP}`,
+        description: `Description ${MARKUP}`,
+        wcag: "4.1.2",
+        severity: "warning",
+        category: "custom",
+        selector: "button",
+        test: (element) => element.textContent.trim().length > 0,
+        message: `Message ${MARKUP}`,
+        suggestion: `Suggestion ${MARKUP}`,
+      });
+      ruleEngine.updateEnabledRules(["custom-markup-rule"]);
+
+      const reporter = new Reporter();
+      reporter.processResults(
+        await ruleEngine.executeRules([document.getElementById("empty")])
+      );
+      const html = reporter.exportResults("html");
+
+      expect(reporter.results).toHaveLength(1);
+      expect(html).not.toContain(MARKUP);
+      ["Name", "Description", "Message", "Suggestion"].forEach((field) =>
+        expect(html).toContain(`${field} &lt;img src=x onerror=alert(1)&gt;`)
+      );
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const RuleEngine = require("../../src/core/rules.js");
+
+const render = (html) => {
+  document.body.innerHTML = html;
+};
+const byId = (id) => document.getElementById(id);
+
+describe("RuleEngine", () => {
+  let ruleEngine;
+
+  beforeEach(() => {
+    ruleEngine = new RuleEngine({ hasLayout: false });
+  });
+
+  describe("getElementLocator()", () => {
+    it("uses the role and name that rules and the tree report", () => {
+      render(`
+        <nav aria-label="Account">
+          <ul><li><div id="link" role="foo link" tabindex="0">Sign in</div></li></ul>
+        </nav>
+        <label for="email">Email</label><input id="email">
+      `);
+
+      expect(ruleEngine.getElementLocator(byId("link"))).toEqual({
+        landmark: "navigation Account",
+        testId: "",
+        role: "link",
+        name: "Sign in",
+        path: "ul>li>div",
+      });
+      expect(ruleEngine.getElementLocator(byId("email"))).toMatchObject({
+        role: "textbox",
+        name: "Email",
+      });
+    });
+
+    it("only takes landmarks the page exposes", () => {
+      render(`
+        <article>
+          <header><img id="scoped" src="a.png"></header>
+        </article>
+        <section><img id="unnamed" src="a.png"></section>
+        <section aria-label="Offers"><img id="named" src="a.png"></section>
+      `);
+
+      expect(ruleEngine.getElementLocator(byId("scoped")).landmark).toBe("");
+      expect(ruleEngine.getElementLocator(byId("unnamed")).landmark).toBe("");
+      expect(ruleEngine.getElementLocator(byId("named")).landmark).toBe(
+        "region Offers"
+      );
+    });
+
+    it("truncates long names", () => {
+      render(`<button id="long">${"word ".repeat(30)}</button>`);
+
+      expect(ruleEngine.getElementLocator(byId("long")).name).toHaveLength(50);
+    });
+  });
+
+  describe("exposure", () => {
+    const issuesFor = async (ruleId, elements) => {
+      ruleEngine.updateEnabledRules([ruleId]);
+      const results = await ruleEngine.executeRules(elements);
+      return results.map((result) => result.element.id);
+    };
+
+    it("tells exposed, rendered-only and hidden content apart", () => {
+      render(`
+        <p id="plain">Plans</p>
+        <div aria-hidden="true"><p id="aria-hidden">Plans</p></div>
+        <div inert><p id="inert">Plans</p></div>
+        <div style="display: none"><p id="display-none">Plans</p></div>
+        <p id="invisible" style="visibility: hidden">Plans</p>
+        <dialog><p id="closed-dialog">Plans</p></dialog>
+        <details><summary id="summary">More</summary><p id="details">Plans</p></details>
+        <template><p>Plans</p></template>
+      `);
+
+      expect(ruleEngine.getExposure(byId("plain"))).toBe("exposed");
+      expect(ruleEngine.getExposure(byId("aria-hidden"))).toBe("rendered");
+      expect(ruleEngine.getExposure(byId("inert"))).toBe("rendered");
+      expect(ruleEngine.getExposure(byId("display-none"))).toBe("hidden");
+      expect(ruleEngine.getExposure(byId("invisible"))).toBe("hidden");
+      expect(ruleEngine.getExposure(byId("closed-dialog"))).toBe("hidden");
+      expect(ruleEngine.getExposure(byId("summary"))).toBe("exposed");
+      expect(ruleEngine.getExposure(byId("details"))).toBe("hidden");
+      expect(ruleEngine.getExposure(document.querySelector("template"))).toBe(
+        "hidden"
+      );
+    });
+
+    it("only applies rules to content they declare", async () => {
+      render(`
+        <img id="exposed" src="a.png">
+        <div aria-hidden="true"><img id="aria-hidden" src="a.png"></div>
+        <div style="display: none"><img id="hidden" src="a.png"></div>
+      `);
+
+      expect(
+        await issuesFor("missing-alt-text", Array.from(document.images))
+      ).toEqual(["exposed"]);
+    });
+
+    it("runs custom rules on all content when asked", async () => {
+      render(`
+        <div style="display: none"><span id="hidden" class="legacy">Old</span></div>
+      `);
+      ruleEngine.registerRule({
+        id: "no-legacy-class",
+        name: "Legacy Class",
+        description: "Markup must not use the legacy class",
+        wcag: "4.1.1",
+        severity: "info",
+        category: "custom",
+        exposure: "all",
+        selector: ".legacy",
+        test: () => false,
+        message: "Element uses the legacy class",
+        suggestion: "Remove the legacy class",
+      });
+
+      expect(await issuesFor("no-legacy-class", [byId("hidden")])).toEqual([
+        "hidden",
+      ]);
+      expect(() =>
+        ruleEngine.registerRule({
+          id: "bad-exposure",
+          name: "Bad",
+          description: "Bad",
+          wcag: "4.1.1",
+          severity: "info",
+          category: "custom",
+          exposure: "visible",
+          selector: "span",
+          test: () => true,
+          message: "Bad",
+          suggestion: "Bad",
+        })
+      ).toThrow(/"exposure" must be one of exposed, rendered, all/);
+    });
+
+    it("flags keyboard-reachable content inside aria-hidden", async () => {
+      render(`
+        <button id="visible">Open</button>
+        <div aria-hidden="true">
+          <button id="reachable">Close</button>
+          <button id="untabbable" tabindex="-1">Close</button>
+          <button id="disabled" disabled>Close</button>
+        </div>
+        <div aria-hidden="true" style="display: none">
+          <a id="not-rendered" href="/">Home</a>
+        </div>
+      `);
+
+      expect(
+        await issuesFor(
+          "focusable-in-aria-hidden",
+          Array.from(document.querySelectorAll("button, a"))
+        )
+      ).toEqual(["reachable"]);
+    });
+  });
+
+  describe("ID rules", () => {
+    const relatedOf = async (ruleId) => {
+      ruleEngine.updateEnabledRules([ruleId]);
+      const results = await ruleEngine.executeDocumentRules([document]);
+      return results.map((result) => ({
+        selector: result.selector,
+        related: result.related.map(({ relation, selector }) => ({
+          relation,
+          selector,
+        })),
+      }));
+    };
+
+    it("relates duplicate IDs to each other and their references", async () => {
+      render(`
+        <label for="email">Email</label>
+        <input id="email">
+        <input id="email" aria-describedby="email">
+      `);
+
+      expect(await relatedOf("duplicate-id-referenced")).toEqual([
+        {
+          selector: "input:nth-of-type(1)",
+          related: [
+            { relation: 'also id="email"', selector: "input:nth-of-type(2)" },
+            { relation: "references it with for", selector: "label" },
+            {
+              relation: "references it with aria-describedby",
+              selector: "input:nth-of-type(2)",
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("relates broken references to others missing the same ID", async () => {
+      render(`
+        <input aria-labelledby="name-label">
+        <input aria-describedby="hint name-label">
+      `);
+
+      expect(await relatedOf("broken-id-reference")).toEqual([
+        {
+          selector: "input:nth-of-type(1)",
+          related: [
+            {
+              relation:
+                'also references missing "name-label" with aria-describedby',
+              selector: "input:nth-of-type(2)",
+            },
+          ],
+        },
+        {
+          selector: "input:nth-of-type(2)",
+          related: [
+            {
+              relation:
+                'also references missing "name-label" with aria-labelledby',
+              selector: "input:nth-of-type(1)",
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("keeps relations inside a shadow root", async () => {
+      render(`<div id="host"></div><span id="field">Outside</span>`);
+      byId("host").attachShadow({ mode: "open" }).innerHTML = `
+        <label for="field">Name</label>
+        <input id="field">
+        <input id="field">
+      `;
+
+      expect(await relatedOf("duplicate-id-referenced")).toEqual([
+        {
+          selector: "#host >>> input:nth-of-type(1)",
+          related: [
+            {
+              relation: 'also id="field"',
+              selector: "#host >>> input:nth-of-type(2)",
+            },
+            { relation: "references it with for", selector: "#host >>> label" },
+          ],
+        },
+      ]);
+    });
+  });
+});
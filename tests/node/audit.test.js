@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+
+const { audit } = require("../../src/node/audit.js");
+const A11yConfig = require("../../src/core/config.js");
+const Reporter = require("../../src/core/reporter.js");
+
+const page = (body) => `<!doctype html>
+<html lang="en">
+  <head><title>Pricing - Example Shop</title></head>
+  <body>${body}</body>
+</html>`;
+
+const byRule = (results, ruleId) =>
+  results.filter((result) => result.ruleId === ruleId);
+
+describe("audit()", () => {
+  it("reports violations with their severity and status", async () => {
+    const results = await audit(
+      page('<main><h1>Plans</h1><img src="chart.png"></main>')
+    );
+
+    const [missingAlt] = byRule(results, "missing-alt-text");
+    expect(missingAlt).toMatchObject({
+      severity: "error",
+      status: "violation",
+      selector: expect.stringContaining("img"),
+    });
+    expect(missingAlt.id).toMatch(/^missing-alt-text:/);
+  });
+
+  it("reports layout-dependent rules as needing review", async () => {
+    const results = await audit(page("<main><h1>Plans</h1></main>"));
+
+    const contrast = byRule(results, "insufficient-color-contrast");
+    expect(contrast.length).toBeGreaterThan(0);
+    contrast.forEach((result) => expect(result.status).toBe("needs-review"));
+  });
+
+  it("labels results with the document source", async () => {
+    const results = await audit(page('<main><img src="a.png"></main>'), {
+      source: "pages/pricing.html",
+    });
+
+    results.forEach((result) =>
+      expect(result.frame.source).toBe("pages/pricing.html")
+    );
+  });
+
+  it("only runs the enabled rules", async () => {
+    const results = await audit(
+      page('<main><h1>Plans</h1><h3>Skipped</h3><img src="a.png"></main>'),
+      { enabledRules: ["missing-alt-text"] }
+    );
+
+    expect(new Set(results.map((result) => result.ruleId))).toEqual(
+      new Set(["missing-alt-text"])
+    );
+  });
+
+  it("runs every rule on labels that contain their control", async () => {
+    const onRuleError = jest.fn();
+
+    await audit(
+      page(
+        '<main><h1>Plans</h1><div role="group" aria-labelledby="lbl"><label id="lbl"><input type="checkbox"> Accept</label></div></main>'
+      ),
+      { onRuleError }
+    );
+
+    expect(onRuleError).not.toHaveBeenCalled();
+  });
+
+  describe("issue IDs", () => {
+    it("are the same when a page is rendered again", async () => {
+      const html = page(
+        '<main><h1>Plans</h1><img src="a.png"><h3>Skipped</h3></main>'
+      );
+
+      const first = await audit(html);
+      const second = await audit(html);
+
+      expect(second.map((result) => result.id)).toEqual(
+        first.map((result) => result.id)
+      );
+    });
+
+    it("survive unrelated content added before an element", async () => {
+      const before = await audit(
+        page('<main><h1>Plans</h1><img src="a.png"></main>')
+      );
+      const after = await audit(
+        page(
+          '<main><h1>Plans</h1><p>New intro</p><ul><li>One</li></ul><img src="a.png"></main>'
+        )
+      );
+
+      expect(byRule(after, "missing-alt-text")[0].id).toBe(
+        byRule(before, "missing-alt-text")[0].id
+      );
+    });
+
+    it("differ for elements with different locators", async () => {
+      const results = await audit(
+        page(
+          '<main><h1>Plans</h1><img src="a.png"><nav aria-label="Plans"><img src="b.png"></nav></main>'
+        )
+      );
+
+      const ids = byRule(results, "missing-alt-text").map(
+        (result) => result.id
+      );
+      expect(ids).toHaveLength(2);
+      expect(new Set(ids).size).toBe(2);
+    });
+  });
+
+  describe("config", () => {
+    it("turns rules off and overrides severities", async () => {
+      const results = await audit(
+        page('<main><h1>Plans</h1><h3>Skipped</h3><img src="a.png"></main>'),
+        {
+          config: {
+            rules: {
+              "missing-alt-text": "off",
+              "missing-heading-structure": "error",
+            },
+          },
+        }
+      );
+
+      expect(byRule(results, "missing-alt-text")).toHaveLength(0);
+      expect(byRule(results, "missing-heading-structure")[0].severity).toBe(
+        "error"
+      );
+    });
+
+    it("rejects unknown keys and rule IDs", async () => {
+      const html = page("<main><h1>Plans</h1></main>");
+
+      await expect(
+        audit(html, { config: { rulez: {} } })
+      ).rejects.toBeInstanceOf(A11yConfig.ConfigValidationError);
+
+      const error = await audit(html, {
+        config: { rulez: {}, rules: { "no-such-rule": "off" } },
+      }).catch((caught) => caught);
+      expect(error.problems).toEqual(
+        expect.arrayContaining([
+          'unknown key "rulez"',
+          "rules.no-such-rule: unknown rule",
+        ])
+      );
+    });
+  });
+
+  it("returns unprocessed engine results with raw", async () => {
+    const html = page(
+      '<main><h1>Plans</h1><img src="a.png"><img src="b.png" data-a11y-ignore="missing-alt-text: decorative chart, replaced in #12"></main>'
+    );
+
+    const raw = await audit(html, { raw: true });
+    const missingAlt = byRule(raw, "missing-alt-text");
+
+    expect(missingAlt).toHaveLength(2);
+    missingAlt.forEach((result) => expect(result.id).toBeUndefined());
+    expect(missingAlt.map((result) => result.status).sort()).toEqual([
+      "suppressed",
+      "violation",
+    ]);
+
+    const reporter = new Reporter();
+    reporter.processResults(raw);
+    expect(byRule(reporter.results, "missing-alt-text")).toHaveLength(1);
+    expect(reporter.getSuppressedResults()).toHaveLength(1);
+  });
+
+  it("marks results in the baseline", async () => {
+    const html = page('<main><h1>Plans</h1><img src="a.png"></main>');
+    const reporter = new Reporter();
+    reporter.processResults(await audit(html));
+
+    const results = await audit(html, { baseline: reporter.createBaseline() });
+
+    expect(byRule(results, "missing-alt-text")[0].inBaseline).toBe(true);
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { run } = require("../../src/node/cli.js");
+
+const page = (body) => `<!doctype html>
+<html lang="en">
+  <head><title>Pricing - Example Shop</title></head>
+  <body>${body}</body>
+</html>`;
+
+// Needs-review contrast results and one info issue (no skip link)
+const CLEAN = page("<main><h1>Plans</h1><p>Monthly or yearly.</p></main>");
+// One error (missing-alt-text)
+const MISSING_ALT = page('<main><h1>Plans</h1><img src="chart.png"></main>');
+// One warning (missing-heading-structure)
+const SKIPPED_HEADING = page("<main><h1>Plans</h1><h3>Yearly</h3></main>");
+
+describe("a11y-live scan", () => {
+  let dir;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(
+      file,
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+    return file;
+  };
+
+  const scan = async (...args) => {
+    const io = { stdout: "", stderr: "" };
+    const stream = (key) => ({ write: (text) => (io[key] += text) });
+    const code = await run(["scan", ...args], {
+      stdout: stream("stdout"),
+      stderr: stream("stderr"),
+    });
+    return { code, ...io };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "a11y-live-cli-"));
+    // Config files are looked up from the working directory
+    jest.spyOn(process, "cwd").mockReturnValue(dir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("exit codes", () => {
+    it("is 0 when no errors are found", async () => {
+      const { code, stdout } = await scan(write("clean.html", CLEAN));
+
+      expect(code).toBe(0);
+      expect(stdout).toContain("errors:       0");
+      expect(stdout).toContain("✔ Passed");
+    });
+
+    it("is 1 when errors are found", async () => {
+      const { code, stdout } = await scan(write("alt.html", MISSING_ALT));
+
+      expect(code).toBe(1);
+      expect(stdout).toContain("missing-alt-text");
+      expect(stdout).toContain("✖ Failed: found 1 error issue(s)");
+    });
+
+    it("is 2 for unknown options", async () => {
+      const { code, stderr } = await scan("--frobnicate");
+
+      expect(code).toBe(2);
+      expect(stderr).toContain("Unknown option: --frobnicate");
+    });
+
+    it("is 2 when no files match", async () => {
+      const { code, stderr } = await scan(path.join(dir, "*.html"));
+
+      expect(code).toBe(2);
+      expect(stderr).toContain("No files match");
+    });
+
+    it("is 2 without a command", async () => {
+      expect(
+        await run([], { stdout: { write() {} }, stderr: { write() {} } })
+      ).toBe(2);
+    });
+  });
+
+  it("scans every file matching the globs", async () => {
+    write("clean.html", CLEAN);
+    write("alt.html", MISSING_ALT);
+
+    const { code, stdout } = await scan(path.join(dir, "*.html"));
+
+    expect(code).toBe(1);
+    expect(stdout).toContain("A11y Live scan: 2 file(s)");
+  });
+
+  describe("--fail-on", () => {
+    it("fails on warnings when set to warning", async () => {
+      const file = write("heading.html", SKIPPED_HEADING);
+
+      expect((await scan(file)).code).toBe(0);
+      expect((await scan(file, "--fail-on", "warning")).code).toBe(1);
+    });
+
+    it("fails on info issues when set to info", async () => {
+      const file = write("clean.html", CLEAN);
+
+      expect((await scan(file, "--fail-on", "warning")).code).toBe(0);
+      expect((await scan(file, "--fail-on", "info")).code).toBe(1);
+    });
+
+    it("never fails on severity when set to none", async () => {
+      const file = write("alt.html", MISSING_ALT);
+
+      expect((await scan(file, "--fail-on", "none")).code).toBe(0);
+    });
+
+    it("does not count results that need review", async () => {
+      // Contrast can't be checked without layout; those warnings need review
+      const { code, stdout } = await scan(
+        write("clean.html", CLEAN),
+        "--fail-on",
+        "warning"
+      );
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/needs review: [1-9]/);
+    });
+
+    it("rejects unknown severities", async () => {
+      const { code, stderr } = await scan(
+        write("clean.html", CLEAN),
+        "--fail-on",
+        "fatal"
+      );
+
+      expect(code).toBe(2);
+      expect(stderr).toContain("--fail-on must be one of");
+    });
+  });
+
+  describe("--max-*", () => {
+    it("fails when a count exceeds its maximum", async () => {
+      const file = write("alt.html", MISSING_ALT);
+
+      expect(
+        (await scan(file, "--fail-on", "none", "--max-errors", "1")).code
+      ).toBe(0);
+      const { code, stdout } = await scan(
+        file,
+        "--fail-on",
+        "none",
+        "--max-errors",
+        "0"
+      );
+      expect(code).toBe(1);
+      expect(stdout).toContain("✖ Failed");
+    });
+
+    it("checks warnings and info separately", async () => {
+      const heading = write("heading.html", SKIPPED_HEADING);
+      const clean = write("clean.html", CLEAN);
+
+      expect((await scan(heading, "--max-warnings", "0")).code).toBe(1);
+      expect((await scan(heading, "--max-info", "1")).code).toBe(0);
+      expect((await scan(clean, "--max-info", "0")).code).toBe(1);
+    });
+
+    it("rejects values that aren't counts", async () => {
+      const { code, stderr } = await scan(
+        write("clean.html", CLEAN),
+        "--max-errors",
+        "1.5"
+      );
+
+      expect(code).toBe(2);
+      expect(stderr).toContain("--max-errors must be a non-negative integer");
+    });
+
+    it("overrides thresholds from the config", async () => {
+      const file = write("heading.html", SKIPPED_HEADING);
+      write(".a11yliverc", { thresholds: { failOn: "warning" } });
+
+      expect((await scan(file)).code).toBe(1);
+      expect((await scan(file, "--fail-on", "error")).code).toBe(0);
+    });
+  });
+
+  describe("baselines", () => {
+    it("round-trips through --write-baseline and --baseline", async () => {
+      const file = write("alt.html", MISSING_ALT);
+      const baselineFile = path.join(dir, "a11y-baseline.json");
+
+      const written = await scan(file, "--write-baseline", baselineFile);
+      expect(written.code).toBe(0);
+      expect(written.stdout).toContain(`to ${baselineFile}`);
+
+      const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+      expect(baseline.issues.map((issue) => issue.ruleId)).toContain(
+        "missing-alt-text"
+      );
+
+      // Known issues pass; new ones still fail
+      const known = await scan(file, "--baseline", baselineFile);
+      expect(known.code).toBe(0);
+      expect(known.stdout).toMatch(/baseline: +\d+ known, 0 of \d+ fixed/);
+
+      write(
+        "alt.html",
+        page(
+          '<main><h1>Plans</h1><img src="chart.png"><nav aria-label="Plans"><img src="logo.png"></nav></main>'
+        )
+      );
+      const regressed = await scan(file, "--baseline", baselineFile);
+      expect(regressed.code).toBe(1);
+      expect(regressed.stdout).toContain("found 1 error issue(s)");
+    });
+
+    it("leaves suppressed issues out of a written baseline", async () => {
+      const file = write(
+        "alt.html",
+        page(
+          '<main><h1>Plans</h1><img src="chart.png"><img src="logo.png" data-a11y-ignore="missing-alt-text: logo, replaced in #12"></main>'
+        )
+      );
+      const baselineFile = path.join(dir, "a11y-baseline.json");
+
+      const { code, stdout } = await scan(
+        file,
+        "--write-baseline",
+        baselineFile
+      );
+
+      expect(code).toBe(0);
+      expect(stdout).toContain("suppressed:   1");
+      const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+      expect(
+        baseline.issues.filter((issue) => issue.ruleId === "missing-alt-text")
+      ).toHaveLength(1);
+    });
+
+    it("reports fixed baseline issues", async () => {
+      const file = write("alt.html", MISSING_ALT);
+      const baselineFile = path.join(dir, "a11y-baseline.json");
+      await scan(file, "--write-baseline", baselineFile);
+
+      write("alt.html", CLEAN);
+      const { code, stdout } = await scan(file, "--baseline", baselineFile);
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/baseline: +\d+ known, [1-9]\d* of \d+ fixed/);
+    });
+
+    it("is 2 for a missing or malformed baseline", async () => {
+      const file = write("clean.html", CLEAN);
+
+      const missing = await scan(file, "--baseline", path.join(dir, "no.json"));
+      expect(missing.code).toBe(2);
+      expect(missing.stderr).toContain("Cannot read baseline");
+
+      const malformed = await scan(
+        file,
+        "--baseline",
+        write("bad.json", { issues: "none" })
+      );
+      expect(malformed.code).toBe(2);
+      expect(malformed.stderr).toContain("Invalid baseline");
+    });
+  });
+
+  describe("config", () => {
+    it("applies the nearest config file", async () => {
+      write(".a11yliverc", { rules: { "missing-alt-text": "off" } });
+
+      const { code, stdout } = await scan(write("alt.html", MISSING_ALT));
+
+      expect(code).toBe(0);
+      expect(stdout).not.toContain("missing-alt-text");
+    });
+
+    it("is 2 for unknown keys", async () => {
+      const config = write("a11y.json", { rulez: {} });
+
+      const { code, stderr } = await scan(
+        write("clean.html", CLEAN),
+        "--config",
+        config
+      );
+
+      expect(code).toBe(2);
+      expect(stderr).toContain('unknown key "rulez"');
+    });
+
+    it("is 2 for unknown rule IDs", async () => {
+      write(".a11yliverc", { rules: { "no-such-rule": "off" } });
+
+      const { code, stderr } = await scan(write("clean.html", CLEAN));
+
+      expect(code).toBe(2);
+      expect(stderr).toContain("rules.no-such-rule: unknown rule");
+    });
+  });
+
+  it("writes reports in the format of their extension", async () => {
+    const file = write("alt.html", MISSING_ALT);
+    const json = path.join(dir, "reports", "a11y.json");
+    const html = path.join(dir, "reports", "a11y.html");
+
+    await scan(file, "-o", json, "--output", html);
+
+    const report = JSON.parse(fs.readFileSync(json, "utf8"));
+    expect(report.results.map((result) => result.ruleId)).toContain(
+      "missing-alt-text"
+    );
+    expect(fs.readFileSync(html, "utf8")).toContain("<!DOCTYPE html>");
+  });
+});
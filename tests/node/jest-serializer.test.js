@@ -0,0 +1,44 @@
+const AccessibilityTree = require("../../src/core/tree.js");
+const serializer = require("../../src/node/jest-serializer.js");
+
+expect.addSnapshotSerializer(serializer);
+
+describe("jest-serializer", () => {
+  it("prints accessibility trees in their text form", () => {
+    document.body.innerHTML = `
+      <header>
+        <nav aria-label="Main">
+          <ul>
+            <li><a href="/">Home</a></li>
+            <li><a href="/plans" aria-current="page">Plans</a></li>
+          </ul>
+        </nav>
+      </header>
+      <main>
+        <h1>Plans</h1>
+        <div aria-hidden="true"><button>Hidden</button></div>
+        <label>Billing <select><option>Monthly</option></select></label>
+        <input type="checkbox" id="terms" checked>
+        <label for="terms">I agree</label>
+        <button aria-expanded="false" aria-describedby="more-help">
+          More
+        </button>
+        <span id="more-help">Shows every plan</span>
+        <button disabled>Subscribe</button>
+        <img src="chart.png" alt="Plan comparison">
+        <img src="divider.png" alt="">
+      </main>
+    `;
+
+    expect(AccessibilityTree.build(document.body)).toMatchSnapshot();
+  });
+
+  it("only handles accessibility trees", () => {
+    document.body.innerHTML = "<main><h1>Plans</h1></main>";
+
+    expect(serializer.test(AccessibilityTree.build(document.body))).toBe(true);
+    expect(serializer.test({ ruleId: "missing-alt-text" })).toBe(false);
+    expect(serializer.test([{ role: "main" }])).toBe(false);
+    expect(serializer.test(null)).toBe(false);
+  });
+});
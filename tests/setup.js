@@ -0,0 +1,14 @@
+/**
+ * A11y Live - Jest Setup
+ *
+ * Runs after the test framework is installed in each test file
+ * (jest.setupFilesAfterEnv in package.json).
+ */
+
+afterEach(() => {
+  // Tests in a jsdom file share one document; start each from a blank page
+  if (typeof document !== "undefined") {
+    document.head.innerHTML = "";
+    document.body.innerHTML = "";
+  }
+});
@@ -0,0 +1,57 @@
+const RuleEngine = require("../../src/core/rules.js");
+const UIManager = require("../../src/ui/ui-Manager.js");
+const Overlay = require("../../src/ui/overlay.js");
+
+const byId = (id) => document.getElementById(id);
+
+describe("Overlay", () => {
+  let overlay;
+
+  afterEach(() => {
+    overlay.cleanup();
+  });
+
+  describe("highlight()", () => {
+    it("draws lines to related elements in other frames", async () => {
+      document.body.innerHTML = `<button id="open">Open</button><iframe></iframe>`;
+      const frameDocument = document.querySelector("iframe").contentDocument;
+      frameDocument.body.innerHTML = `<div id="dialog">Settings</div>`;
+
+      const ruleEngine = new RuleEngine({ hasLayout: false });
+      ruleEngine.registerRule({
+        id: "opens-framed-dialog",
+        name: "Framed Dialog",
+        description: "Buttons must not open dialogs in other frames",
+        wcag: "4.1.2",
+        severity: "warning",
+        category: "custom",
+        selector: "button",
+        test: () => false,
+        related: () => [
+          {
+            element: frameDocument.getElementById("dialog"),
+            relation: "opens it",
+          },
+        ],
+        message: "Button opens a dialog in another frame",
+        suggestion: "Open the dialog in the button's frame",
+      });
+      ruleEngine.updateEnabledRules(["opens-framed-dialog"]);
+      const [violation] = await ruleEngine.executeRules([byId("open")]);
+
+      expect(violation.frame.path).toEqual([]);
+      expect(violation.related[0].frame.path).toEqual(["iframe"]);
+
+      overlay = new Overlay(new UIManager({ _ruleEngine: ruleEngine }));
+      overlay.initialize();
+      // Results restored from a report only have selectors to go by
+      overlay.highlight(byId("open"), {
+        ...violation,
+        related: violation.related.map(({ element, ...related }) => related),
+      });
+
+      expect(overlay.relationsEl.querySelectorAll("line")).toHaveLength(1);
+      expect(overlay.relationsEl.style.display).toBe("");
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * A11y Live - Build Configuration
+ *
+ * Bundles the module entry point into dist/a11y-live.js. The bundle is UMD
+ * without a library name, so a plain <script> include exposes A11yEngine,
+ * RuleEngine, Reporter and the UI classes as globals (the global-script
+ * mode), while require() returns them as named exports.
+ */
+
+const path = require("path");
+
+module.exports = (env, argv = {}) => {
+  const isProduction = argv.mode === "production";
+
+  return {
+    entry: "./src/index.js",
+    output: {
+      path: path.resolve(__dirname, "dist"),
+      filename: "a11y-live.js",
+      library: { type: "umd" },
+      globalObject: "this",
+      clean: true,
+    },
+    module: {
+      rules: [
+        {
+          test: /\.js$/,
+          exclude: /node_modules/,
+          use: {
+            loader: "babel-loader",
+            options: { presets: ["@babel/preset-env"] },
+          },
+        },
+      ],
+    },
+    devtool: isProduction ? "source-map" : "eval-cheap-module-source-map",
+    devServer: {
+      static: { directory: __dirname },
+      port: 8080,
+    },
+  };
+};